@@ -0,0 +1,70 @@
+// Payload compression before encryption, matching CryptoManager.compressData and
+// decompressData: zlib-wrapped deflate (java.util.zip.Deflater's default), only for
+// payloads of at least 1 KB and only when it actually saves space.
+export const COMPRESSION_THRESHOLD = 1024;
+
+// The payload header records the original size in 16 bits, so larger payloads are
+// sent as they are. It also bounds what an incoming payload may inflate to.
+export const MAX_ORIGINAL_SIZE = 0xffff;
+
+export const isCompressionSupported = () =>
+  typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+
+const deflate = async (data) => {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Returns { data, compressed }: the deflated bytes when that is smaller, otherwise
+ * the input unchanged. Never throws; a payload that cannot be compressed is sent
+ * as it is, like compressData.
+ */
+export const compressPayload = async (data) => {
+  if (data.length < COMPRESSION_THRESHOLD || data.length > MAX_ORIGINAL_SIZE || !isCompressionSupported()) {
+    return { data, compressed: false };
+  }
+  try {
+    const deflated = await deflate(data);
+    return deflated.length < data.length ? { data: deflated, compressed: true } : { data, compressed: false };
+  } catch (e) {
+    return { data, compressed: false };
+  }
+};
+
+/**
+ * Inflates a payload that must come out at exactly originalSize bytes. Output is
+ * read incrementally and abandoned as soon as it passes that size, so a small
+ * crafted payload cannot expand into a large allocation. Throws on malformed
+ * input or a size mismatch.
+ */
+export const decompressPayload = async (data, originalSize) => {
+  if (!isCompressionSupported()) {
+    throw new Error('Compressed payloads are not supported in this environment');
+  }
+  if (!Number.isInteger(originalSize) || originalSize <= 0 || originalSize > MAX_ORIGINAL_SIZE) {
+    throw new Error(`Invalid original size ${originalSize}`);
+  }
+
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+  const output = new Uint8Array(originalSize);
+  let size = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (size + value.length > originalSize) {
+        throw new Error(`Payload inflates past its declared ${originalSize} bytes`);
+      }
+      output.set(value, size);
+      size += value.length;
+    }
+  } catch (e) {
+    reader.cancel().catch(() => {});
+    throw e;
+  }
+  if (size !== originalSize) {
+    throw new Error(`Payload inflated to ${size} bytes, expected ${originalSize}`);
+  }
+  return output;
+};
@@ -0,0 +1,133 @@
+import { concatBytes } from '../utils/bytes.js';
+
+// Wire formats shared with the Android app and the fusion node relays:
+// - the legacy Frame from Frame.kt (24-byte big-endian header + nonce + ciphertext + tag)
+// - the simplified fusion payload [fusion_id_len | fusion_id | encrypted_message]
+export const FRAME_VERSION = 1;
+export const FRAME_HEADER_SIZE = 24;
+export const NONCE_SIZE = 12;
+export const TAG_SIZE = 16;
+export const MAX_PAYLOAD_SIZE = 65535;
+export const MAX_FUSION_ID_LENGTH = 255;
+export const DEFAULT_TTL = 32;
+
+export const FrameType = Object.freeze({
+  HANDSHAKE: 1,
+  DATA: 2,
+  ACK: 3,
+  REKEY: 4,
+  HEARTBEAT: 5,
+  // Web companion only: group channel messages (crypto/groupChannel.js)
+  GROUP: 6
+});
+
+export const FrameFlags = Object.freeze({
+  COMPRESSED: 0x01,
+  ENCRYPTED: 0x02,
+  SIGNED: 0x04,
+  FRAGMENTED: 0x08,
+  LAST_FRAGMENT: 0x10
+});
+
+const writeHeader = (view, frame) => {
+  view.setUint8(0, frame.version ?? FRAME_VERSION);
+  view.setUint8(1, frame.type);
+  view.setUint8(2, frame.flags ?? 0);
+  view.setUint8(3, frame.headerLength ?? FRAME_HEADER_SIZE);
+  view.setInt32(4, frame.sourceId);
+  view.setInt32(8, frame.destinationId);
+  view.setInt32(12, frame.sessionId);
+  view.setInt32(16, frame.sequence);
+  view.setUint8(20, frame.ttl ?? DEFAULT_TTL);
+  const reserved = frame.reserved ?? new Uint8Array(3);
+  for (let i = 0; i < 3; i++) {
+    view.setUint8(21 + i, reserved[i]);
+  }
+};
+
+// Same bytes as Frame.getAAD(): the header alone
+export const getFrameAAD = (frame) => {
+  const header = new Uint8Array(FRAME_HEADER_SIZE);
+  writeHeader(new DataView(header.buffer), frame);
+  return header;
+};
+
+export const isValidFrame = (frame) =>
+  frame.version === FRAME_VERSION &&
+  frame.headerLength === FRAME_HEADER_SIZE &&
+  frame.nonce.length === NONCE_SIZE &&
+  frame.tag.length === TAG_SIZE &&
+  frame.ciphertext.length <= MAX_PAYLOAD_SIZE &&
+  frame.sequence >= 0 &&
+  frame.ttl > 0;
+
+export const serializeFrame = (frame) => {
+  if (frame.nonce.length !== NONCE_SIZE) {
+    throw new Error(`Nonce must be ${NONCE_SIZE} bytes`);
+  }
+  if (frame.tag.length !== TAG_SIZE) {
+    throw new Error(`Tag must be ${TAG_SIZE} bytes`);
+  }
+  if (frame.ciphertext.length > MAX_PAYLOAD_SIZE) {
+    throw new Error(`Payload exceeds ${MAX_PAYLOAD_SIZE} bytes`);
+  }
+  return concatBytes(getFrameAAD(frame), frame.nonce, frame.ciphertext, frame.tag);
+};
+
+// Returns null for anything that is not a well-formed frame, like Frame.fromByteArray
+export const parseFrame = (bytes) => {
+  if (bytes.length < FRAME_HEADER_SIZE + NONCE_SIZE + TAG_SIZE) {
+    return null;
+  }
+  const ciphertextSize = bytes.length - FRAME_HEADER_SIZE - NONCE_SIZE - TAG_SIZE;
+  if (ciphertextSize > MAX_PAYLOAD_SIZE) {
+    return null;
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const nonceEnd = FRAME_HEADER_SIZE + NONCE_SIZE;
+  return {
+    version: view.getUint8(0),
+    type: view.getUint8(1),
+    flags: view.getUint8(2),
+    headerLength: view.getUint8(3),
+    sourceId: view.getInt32(4),
+    destinationId: view.getInt32(8),
+    sessionId: view.getInt32(12),
+    sequence: view.getInt32(16),
+    ttl: view.getUint8(20),
+    reserved: bytes.slice(21, FRAME_HEADER_SIZE),
+    nonce: bytes.slice(FRAME_HEADER_SIZE, nonceEnd),
+    ciphertext: bytes.slice(nonceEnd, nonceEnd + ciphertextSize),
+    tag: bytes.slice(nonceEnd + ciphertextSize)
+  };
+};
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// [fusion_id_len (uint8) | fusion_id (UTF-8) | encrypted_message], as built by
+// SecureChatViewModel.createPhoneToFusionPayload
+export const encodeFusionPayload = (fusionId, encryptedMessage) => {
+  const fusionIdBytes = encoder.encode(fusionId);
+  if (fusionIdBytes.length === 0 || fusionIdBytes.length > MAX_FUSION_ID_LENGTH) {
+    throw new Error(`Fusion ID must be 1-${MAX_FUSION_ID_LENGTH} bytes`);
+  }
+  if (encryptedMessage.length === 0 || encryptedMessage.length > MAX_PAYLOAD_SIZE) {
+    throw new Error(`Encrypted message must be 1-${MAX_PAYLOAD_SIZE} bytes`);
+  }
+  return concatBytes(Uint8Array.of(fusionIdBytes.length), fusionIdBytes, encryptedMessage);
+};
+
+export const decodeFusionPayload = (bytes) => {
+  if (bytes.length < 1) return null;
+  const fusionIdLength = bytes[0];
+  const messageStart = 1 + fusionIdLength;
+  if (fusionIdLength === 0 || messageStart >= bytes.length) return null;
+  if (bytes.length - messageStart > MAX_PAYLOAD_SIZE) return null;
+
+  return {
+    fusionId: decoder.decode(bytes.subarray(1, messageStart)),
+    encryptedMessage: bytes.slice(messageStart)
+  };
+};
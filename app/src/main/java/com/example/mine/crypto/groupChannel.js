@@ -0,0 +1,140 @@
+import { bytesToBase64, base64ToBytes } from '../utils/bytes.js';
+import { createGroupSession, createGroupFrame, openGroupFrame, deviceIdFromPublicKey, wipeSession } from './session.js';
+
+// Group broadcast channels over a fusion node. The member who creates a channel owns
+// it: it generates the channel key and hands it, with the member list, to each member
+// as a CONTROL message over their pairwise session. A message is sealed once with the
+// channel key (a GROUP frame) and sent to every other member's fusion node, so members
+// only need to be paired with the owner. Removing a member rotates the key, and the
+// removed member cannot read anything sent after that.
+//
+// Every member holds the same key. Frames are bound to the sender's device ID, which
+// outsiders cannot forge, but members are trusted not to pose as one another.
+export const GroupControl = Object.freeze({
+  KEY: 'group-key',
+  REMOVED: 'group-removed'
+});
+
+const GROUP_KEY_SIZE = 32;
+const GROUP_ID_SIZE = 8;
+// Frames sealed just before a rotation still open for this long
+const PREVIOUS_KEY_GRACE_MS = 30 * 1000;
+
+export const generateGroupKey = () => bytesToBase64(crypto.getRandomValues(new Uint8Array(GROUP_KEY_SIZE)));
+
+export const newGroupId = () =>
+  `group-${[...crypto.getRandomValues(new Uint8Array(GROUP_ID_SIZE))].map(b => b.toString(16).padStart(2, '0')).join('')}`;
+
+// members: [{ id (the member's public key, as a peer ID), fusionNode }]
+const isMemberList = (members) =>
+  Array.isArray(members) && members.length > 0 &&
+  members.every(member => typeof member?.id === 'string' && member.id && typeof member.fusionNode === 'string' && member.fusionNode);
+
+// The message that hands a member the channel: its name, owner, key and members
+export const createKeyMessage = ({ groupId, name, owner, epoch, key, members }) => ({
+  type: GroupControl.KEY,
+  groupId,
+  name,
+  owner,
+  epoch,
+  key,
+  members: members.map(({ id, fusionNode }) => ({ id, fusionNode }))
+});
+
+export const createRemovedMessage = (groupId) => ({ type: GroupControl.REMOVED, groupId });
+
+// A control message from a peer as one of the above, or null if it is not one
+export const readGroupControl = (message) => {
+  if (typeof message?.groupId !== 'string' || !message.groupId.startsWith('group-')) return null;
+  if (message.type === GroupControl.REMOVED) {
+    return createRemovedMessage(message.groupId);
+  }
+  if (message.type !== GroupControl.KEY) return null;
+  if (typeof message.name !== 'string' || typeof message.owner !== 'string' || typeof message.key !== 'string') return null;
+  if (!Number.isInteger(message.epoch) || message.epoch < 0 || !isMemberList(message.members)) return null;
+  return createKeyMessage(message);
+};
+
+const indexMembers = async (members) => new Map(await Promise.all(
+  members.map(async member => [await deviceIdFromPublicKey(base64ToBytes(member.id)), member])));
+
+/**
+ * This device's view of one channel: its key for the current epoch (and the previous
+ * one, briefly, for late frames) and who is in it. localPublicKey is ours, to find
+ * our own device ID. seal(text) resolves to a GROUP frame; open(frame) to
+ * { member, text }, or null when the frame does not authenticate or its sender is
+ * not a member (anymore).
+ */
+export const createGroupChannel = async ({ groupId, epoch, key, members, localPublicKey, now = Date.now }) => {
+  const localId = await deviceIdFromPublicKey(base64ToBytes(localPublicKey));
+  let current = await createGroupSession({ groupId, epoch, key, localId });
+  let currentKey = key;
+  let previous = null;
+  let roster = members;
+  // Members by device ID, the sender ID a GROUP frame carries
+  let byDeviceId = await indexMembers(members);
+
+  const findSession = (sessionId) => {
+    if (previous && previous.until <= now()) {
+      wipeSession(previous.session);
+      previous = null;
+    }
+    return [current, previous?.session].find(session => session?.id === sessionId) ?? null;
+  };
+
+  return {
+    get id() {
+      return groupId;
+    },
+
+    get epoch() {
+      return current.epoch;
+    },
+
+    // The Base64 key of the current epoch, for handing to members
+    get key() {
+      return currentKey;
+    },
+
+    get members() {
+      return roster;
+    },
+
+    hasSession(sessionId) {
+      return findSession(sessionId) !== null;
+    },
+
+    // Take a newer key and/or member list; an older epoch is ignored
+    async update({ epoch: nextEpoch, key: nextKey, members: nextMembers }) {
+      if (nextEpoch < current.epoch) return false;
+      if (nextEpoch > current.epoch) {
+        const next = await createGroupSession({ groupId, epoch: nextEpoch, key: nextKey, localId });
+        if (previous) wipeSession(previous.session);
+        previous = { session: current, until: now() + PREVIOUS_KEY_GRACE_MS };
+        current = next;
+        currentKey = nextKey;
+      }
+      byDeviceId = await indexMembers(nextMembers);
+      roster = nextMembers;
+      return true;
+    },
+
+    seal(text) {
+      return createGroupFrame(current, text);
+    },
+
+    async open(frame) {
+      const session = findSession(frame.sessionId);
+      const member = byDeviceId.get(frame.sourceId);
+      if (!session || !member) return null;
+      const text = await openGroupFrame(session, frame);
+      return text === null ? null : { member, text };
+    },
+
+    close() {
+      wipeSession(current);
+      if (previous) wipeSession(previous.session);
+      previous = null;
+    }
+  };
+};
@@ -1,71 +1,487 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Wifi, WifiOff, Settings, QrCode, MessageCircle, Check, X, RefreshCw, Smartphone, Router, Key, Timer, Send, Bluetooth } from 'lucide-react';
+import { Wifi, WifiOff, Settings, QrCode, MessageCircle, Check, X, RefreshCw, Smartphone, Router, Key, Timer, Send, Bluetooth, Copy, Download, Camera, Upload, Activity, History, Trash2, ArrowLeft, Users, Plus, CheckCheck, AlertCircle, ShieldCheck, ShieldAlert, Paperclip, FileText, Search, Star, ClipboardCheck, BarChart3 } from 'lucide-react';
+import { decodeQRPayload } from './qrCodeData.js';
+import { formatBytes } from '../utils/bytes.js';
+import { encodeQR } from '../utils/qrEncoder.js';
+import { createQRCodeScanner, scanImageFile, isQRScanningSupported } from '../utils/qrCodeScanner.js';
+import { findPermittedDevice, isBluetoothSupported } from '../network/bluetoothTransport.js';
+import { MessageState } from '../network/outbox.js';
+import { TransferState } from '../network/fileTransfer.js';
+import { listDevices, DeviceSort, DeviceFilter } from '../network/discovery.js';
+import { PROOF_CHECK_LABELS } from '../network/communicationProof.js';
+import { summarizeNodes, sessionDuration, averageSignal, SessionEnd } from '../network/connectionStats.js';
+import { loadConnectionHistory, saveConnectionHistory, appendSession } from '../data/connectionHistory.js';
+import { ConnectionState } from '../viewmodel/fusionClient.js';
+import { useFusionNode } from '../viewmodel/useFusionNode.js';
+import { canTransition, resolveScreen, routeFor, parseRoute } from '../ui/screens/screenMachine.js';
+import {
+  loadSettings,
+  saveSettings,
+  toStoredNode,
+  autoConnectTarget,
+  QR_EXPIRY_OPTIONS,
+  PreferredTransport
+} from '../data/settings.js';
 
-// Crypto utility functions (simplified for demo)
-const generateKeyPair = () => {
-  const privateKey = Math.random().toString(36).substring(2, 34);
-  const publicKey = Math.random().toString(36).substring(2, 34);
-  return { privateKey, publicKey };
+const ROTATION_NOTICE_MS = 10000;
+const HISTORY_PAGE_SIZE = 30;
+
+const MESSAGE_STATE_LABELS = {
+  [MessageState.QUEUED]: 'Queued',
+  [MessageState.SENT]: 'Sent',
+  [MessageState.RELAYED]: 'Relayed by the fusion node',
+  [MessageState.DELIVERED]: 'Delivered',
+  [MessageState.FAILED]: 'Not delivered'
+};
+
+// Delivery tick on our own bubbles: queued, sent, relayed, delivered or failed
+const MessageStateIcon = ({ state }) => {
+  const label = MESSAGE_STATE_LABELS[state];
+  switch (state) {
+    case MessageState.QUEUED:
+      return <Timer className="w-3 h-3 ml-1" aria-label={label} />;
+    case MessageState.SENT:
+      return <Check className="w-3 h-3 ml-1" aria-label={label} />;
+    case MessageState.RELAYED:
+      return <CheckCheck className="w-3 h-3 ml-1" aria-label={label} />;
+    case MessageState.DELIVERED:
+      return <CheckCheck className="w-3 h-3 ml-1 text-cyan-300" aria-label={label} />;
+    case MessageState.FAILED:
+      return <AlertCircle className="w-3 h-3 ml-1 text-red-300" aria-label={label} />;
+    default:
+      return null;
+  }
+};
+
+// "NODE_B (40 ms) → RELAY (120 ms) → you (35 ms)": each node with the leg that reached it
+const formatRoute = (route) =>
+  [...route.nodes, 'you'].map((node, i) => `${node} (${route.legs[i]} ms)`).join(' → ');
+
+const MAX_ATTACHMENT_SIZE_OPTIONS = [1, 5, 10, 25, 50].map(mb => mb * 1024 * 1024);
+
+const TRANSFER_STATUS = {
+  [TransferState.SENDING]: 'Sending',
+  [TransferState.RECEIVING]: 'Receiving',
+  [TransferState.CANCELLED]: 'Cancelled',
+  [TransferState.COMPLETE]: 'Complete',
+  [TransferState.FAILED]: 'Failed'
+};
+
+// An attachment inside a chat bubble: progress while in transit, then the image
+// inline or a download link
+const AttachmentBubble = ({ transfer, onCancel, onResume }) => {
+  const active = transfer.state === TransferState.SENDING || transfer.state === TransferState.RECEIVING;
+  const resumable = transfer.state === TransferState.CANCELLED ||
+    (transfer.state === TransferState.FAILED && transfer.direction === 'outgoing');
+  const isImage = transfer.mimeType.startsWith('image/');
+  const percent = Math.round((transfer.done / transfer.chunkCount) * 100);
+
+  return (
+    <div className="text-sm">
+      {transfer.url && isImage ? (
+        <a href={transfer.url} download={transfer.name}>
+          <img src={transfer.url} alt={transfer.name} className="max-h-48 rounded-lg mb-1" />
+        </a>
+      ) : (
+        <div className="flex items-center">
+          <FileText className="w-5 h-5 mr-2 flex-shrink-0" />
+          {transfer.url && transfer.state === TransferState.COMPLETE ? (
+            <a href={transfer.url} download={transfer.name} className="underline truncate">{transfer.name}</a>
+          ) : (
+            <span className="truncate">{transfer.name}</span>
+          )}
+        </div>
+      )}
+      <p className="text-xs opacity-70 mt-1">
+        {formatBytes(transfer.size)} · {TRANSFER_STATUS[transfer.state]}
+        {active && ` ${percent}%`}
+        {transfer.error && ` · ${transfer.error}`}
+      </p>
+      {active && (
+        <div className="w-full h-1.5 bg-black/30 rounded-full mt-1 overflow-hidden">
+          <div className="h-full bg-cyan-300 transition-all" style={{ width: `${percent}%` }}></div>
+        </div>
+      )}
+      {(active || resumable) && (
+        <button
+          onClick={active ? onCancel : onResume}
+          className="mt-1 text-xs underline opacity-80 hover:opacity-100"
+        >
+          {active ? 'Cancel' : 'Resume'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+// A peer is verified while its key is the one the user confirmed for its device
+const verificationStatus = (peer, verifications) => {
+  const verified = verifications[peer.deviceId];
+  if (!verified) return 'unverified';
+  return verified.publicKey === peer.id ? 'verified' : 'changed';
 };
 
-const generateQRData = (publicKey, deviceId) => {
-  return `fusion:${publicKey}:${deviceId}:${Date.now()}`;
+// The path a frame took to reach us, with the latency of each leg
+const RoutePath = ({ route, from, to = 'You' }) => (
+  <div className="flex flex-wrap items-center justify-center gap-1 text-xs">
+    <span className="flex items-center"><Smartphone className="w-3 h-3 mr-1" />{from}</span>
+    {[...route.nodes, to].map((node, i) => (
+      <React.Fragment key={`${node}-${i}`}>
+        <span className="text-gray-400">—{route.legs[i]} ms→</span>
+        {i < route.nodes.length ? (
+          <span className="flex items-center"><Router className="w-3 h-3 mr-1" />{node}</span>
+        ) : (
+          <span className="flex items-center"><Smartphone className="w-3 h-3 mr-1" />{node}</span>
+        )}
+      </React.Fragment>
+    ))}
+  </div>
+);
+
+// "45 s", "12 min", "3 h 05 min"
+const formatDuration = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return `${Math.max(0, Math.round(ms / 1000))} s`;
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${(minutes % 60).toString().padStart(2, '0')} min`;
+};
+
+const formatPercent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+// Signal samples of one connection over time, on the 0-100 scale
+const SignalChart = ({ samples, height = 64 }) => {
+  if (samples.length < 2) {
+    return <p className="text-xs text-gray-500 py-2">Not enough signal samples to chart</p>;
+  }
+  const width = 300;
+  const start = samples[0].at;
+  const span = Math.max(1, samples[samples.length - 1].at - start);
+  const points = samples
+    .map(({ at, value }) => `${((at - start) / span) * width},${height - (value / 100) * height}`)
+    .join(' ');
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full" style={{ height }} preserveAspectRatio="none">
+      {[25, 50, 75].map(level => (
+        <line key={level} x1="0" x2={width} y1={height - (level / 100) * height} y2={height - (level / 100) * height}
+          stroke="currentColor" className="text-gray-700" strokeWidth="1" />
+      ))}
+      <polyline points={points} fill="none" stroke="currentColor" className="text-cyan-400" strokeWidth="2"
+        vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
+const ToggleSwitch = ({ on, onToggle, disabled = false }) => (
+  <button
+    onClick={onToggle}
+    disabled={disabled}
+    className={`w-12 h-6 rounded-full flex items-center px-1 disabled:opacity-60 disabled:cursor-not-allowed ${
+      on ? 'bg-green-500 justify-end' : 'bg-gray-600 justify-start'
+    }`}
+  >
+    <div className="w-4 h-4 bg-white rounded-full"></div>
+  </button>
+);
+
+const QR_QUIET_ZONE = 4;
+
+// Draws a QR code onto a canvas, including the quiet zone scanners need
+const QRCodeCanvas = ({ value, errorCorrection, canvasRef, size = 192 }) => {
+  const [renderError, setRenderError] = useState(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !value) return;
+
+    try {
+      const qr = encodeQR(value, { errorCorrection });
+      const moduleCount = qr.size + QR_QUIET_ZONE * 2;
+      const scale = Math.max(1, Math.floor(size / moduleCount));
+      canvas.width = moduleCount * scale;
+      canvas.height = moduleCount * scale;
+
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.fillStyle = '#000000';
+      qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+          if (dark) {
+            ctx.fillRect((x + QR_QUIET_ZONE) * scale, (y + QR_QUIET_ZONE) * scale, scale, scale);
+          }
+        });
+      });
+      setRenderError(null);
+    } catch (e) {
+      setRenderError(e.message);
+    }
+  }, [value, errorCorrection, size, canvasRef]);
+
+  if (renderError) {
+    return (
+      <div className="w-48 h-48 mx-auto flex items-center justify-center text-red-600 text-xs text-center">
+        {renderError}
+      </div>
+    );
+  }
+
+  return <canvas ref={canvasRef} className="w-48 h-48 mx-auto" style={{ imageRendering: 'pixelated' }} />;
 };
 
+const CONNECTION_TYPES = ['bluetooth', 'wifi'];
+
 const FusionNodeApp = () => {
-  const [currentScreen, setCurrentScreen] = useState('start');
-  const [connectionState, setConnectionState] = useState('disconnected');
-  const [connectionType, setConnectionType] = useState(null);
-  const [availableNodes, setAvailableNodes] = useState([
-    { id: 'AADI_pa', name: 'AADI Fusion Node PA', signal: 85, status: 'available', type: 'bluetooth' },
-    { id: 'NODE_2B', name: 'Fusion Node 2B', signal: 72, status: 'available', type: 'wifi' },
-    { id: 'RELAY_01', name: 'Relay Node 01', signal: 91, status: 'available', type: 'bluetooth' }
-  ]);
-  const [bluetoothDevices, setBluetoothDevices] = useState([
-    { id: 'BT_001', name: 'AADI Fusion BT', signal: 88, paired: false },
-    { id: 'BT_002', name: 'Relay Node BT', signal: 75, paired: true }
-  ]);
-  const [wifiNetworks, setWifiNetworks] = useState([
-    { id: 'WIFI_001', name: 'FusionNet_5G', signal: 92, secured: true },
-    { id: 'WIFI_002', name: 'AADI_Network', signal: 67, secured: true }
-  ]);
+  // Link, keys, peers, transfers and discovery live in the headless client
+  const { client, state } = useFusionNode();
+  const [launchRoute] = useState(() => parseRoute(window.location.hash));
+  // The screen asked for by navigation or the URL. What is shown is currentScreen below:
+  // this one once its guard passes (see ui/screens/screenMachine.js).
+  const [requestedScreen, setRequestedScreen] = useState(launchRoute.screen);
+  const [connectionType, setConnectionType] = useState(() =>
+    CONNECTION_TYPES.includes(launchRoute.params.type) ? launchRoute.params.type : null);
+  // Peer code from a #/pair?payload=... link, applied once we are connected to a node
+  const [pendingPairPayload, setPendingPairPayload] = useState(launchRoute.params.payload ?? null);
+  const [deviceQuery, setDeviceQuery] = useState('');
+  const [deviceFilter, setDeviceFilter] = useState(DeviceFilter.ALL);
+  const [deviceSort, setDeviceSort] = useState(DeviceSort.SIGNAL);
+  // Nodes we connected to this session; pinned in the device list with verified ones
+  const [knownNodes, setKnownNodes] = useState([]);
+  const [bluetoothScanning, setBluetoothScanning] = useState(false);
   const [selectedNode, setSelectedNode] = useState(null);
-  const [connectedDevice, setConnectedDevice] = useState(null);
-  const [keyPair, setKeyPair] = useState(null);
+  const [peerInfo, setPeerInfo] = useState(null);
   const [qrCode, setQrCode] = useState(null);
   const [qrExpiry, setQrExpiry] = useState(null);
+  const [qrErrorCorrection, setQrErrorCorrection] = useState('M');
+  const [payloadCopied, setPayloadCopied] = useState(false);
+  const [peerCodeInput, setPeerCodeInput] = useState('');
   const [isConnecting, setIsConnecting] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
-  const [messages, setMessages] = useState([]);
+  const [activePeerId, setActivePeerId] = useState(null);
   const [newMessage, setNewMessage] = useState('');
-  const [connectionEstablished, setConnectionEstablished] = useState(false);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [historyConversation, setHistoryConversation] = useState(null);
+  const [historyMessages, setHistoryMessages] = useState([]);
+  const [historyPassphrase, setHistoryPassphrase] = useState('');
+  const [historyNotice, setHistoryNotice] = useState(null);
+  const [showVerification, setShowVerification] = useState(false);
+  const [showMembers, setShowMembers] = useState(false);
+  // The group being put together on the conversations screen: { name, peerIds }
+  const [groupDraft, setGroupDraft] = useState(null);
+  // Communication proof for a peer: { peerId, running, checks, report }
+  const [proof, setProof] = useState(null);
+  // Past connections, see data/connectionHistory.js
+  const [connectionSessions, setConnectionSessions] = useState(() => loadConnectionHistory());
+  const [statsReturn, setStatsReturn] = useState('start');
+  // Persisted connection preferences, see data/settings.js
+  const [settings, setSettings] = useState(() => loadSettings());
+  const [settingsUnsaved, setSettingsUnsaved] = useState(false);
+  const [appHidden, setAppHidden] = useState(() => typeof document !== 'undefined' && document.hidden);
   const [error, setError] = useState(null);
   
   const qrTimerRef = useRef(null);
-  const connectionCheckRef = useRef(null);
+  const qrCanvasRef = useRef(null);
+  const scanVideoRef = useRef(null);
+  const stopBluetoothScanRef = useRef(null);
+  // Screen as of the last navigation, for handlers that finish after an await
+  const screenRef = useRef(requestedScreen);
+  const pushRouteRef = useRef(false);
+
+  const { connectionState, peers, transfers, verifications, fingerprint: ownFingerprint } = state;
+  // The node we are connected through
+  const connectedDevice = state.node;
+  const activePeer = activePeerId ? peers[activePeerId] ?? null : null;
+  // Groups open in the chat screen too, under their group ID
+  const activeGroup = activePeerId ? state.groups[activePeerId] ?? null : null;
+  const { maxAttachmentSize } = settings;
+  const currentScreen = resolveScreen(requestedScreen, {
+    connectionType,
+    hasSelectedNode: selectedNode !== null,
+    connected: connectedDevice !== null,
+    hasKeyPair: state.publicKey !== null,
+    hasPeerInfo: peerInfo !== null,
+    hasPeers: Object.keys(peers).length > 0,
+    hasActiveChat: activePeer !== null || activeGroup !== null
+  });
+
+  // Moves along a declared transition and ignores any other; the guard is applied when
+  // the screen renders, since callers usually set the state it checks in the same update.
+  // Launch-time jumps (auto-connect) skip the transition table, like the back button does.
+  const navigate = (screen, { jump = false } = {}) => {
+    if (!jump && !canTransition(screenRef.current, screen)) return;
+    screenRef.current = screen;
+    pushRouteRef.current = true;
+    setRequestedScreen(screen);
+  };
+
+  const updateSettings = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+  const { demoMode } = settings;
+  const setDemoMode = (on) => updateSettings({ demoMode: on });
+
+  // Keep the URL and browser history in step with the screen shown. A navigation
+  // adds a history entry; a guard redirect or a parameter change replaces it.
+  useEffect(() => {
+    screenRef.current = currentScreen;
+    if (requestedScreen !== currentScreen) {
+      setRequestedScreen(currentScreen);
+    }
+    const route = routeFor(currentScreen, {
+      type: currentScreen === 'device-list' ? connectionType : null,
+      peer: currentScreen === 'chat' || currentScreen === 'proof' ? activePeerId : null
+    });
+    const push = pushRouteRef.current;
+    pushRouteRef.current = false;
+    if (window.location.hash === route) return;
+    if (push) {
+      window.history.pushState(null, '', route);
+    } else {
+      window.history.replaceState(null, '', route);
+    }
+  }, [currentScreen, requestedScreen, connectionType, activePeerId]);
+
+  // Back, forward and edited URLs go wherever the guards allow
+  useEffect(() => {
+    const onPopState = () => {
+      const { screen, params } = parseRoute(window.location.hash);
+      if (CONNECTION_TYPES.includes(params.type)) {
+        setConnectionType(params.type);
+      }
+      if (params.peer && (client.state.peers[params.peer] || client.state.groups[params.peer])) {
+        setActivePeerId(params.peer);
+      }
+      if (params.payload) {
+        setPendingPairPayload(params.payload);
+      }
+      setRequestedScreen(screen);
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  // A pairing link opens straight into pairing as soon as there is a node to pair through
+  useEffect(() => {
+    if (!pendingPairPayload || !connectedDevice || !state.publicKey) return;
+    if (currentScreen === 'checking-connection') return;
+    setPendingPairPayload(null);
+    if (!qrCode) {
+      handleContinue();
+    }
+    ingestPeerCode(pendingPairPayload);
+  }, [pendingPairPayload, connectedDevice, state.publicKey, currentScreen]);
+
+  useEffect(() => {
+    client.setMaxAttachmentSize(maxAttachmentSize);
+  }, [maxAttachmentSize]);
+
+  useEffect(() => {
+    setSettingsUnsaved(!saveSettings(settings));
+  }, [settings]);
+
+  useEffect(() => {
+    const onVisibilityChange = () => setAppHidden(document.hidden);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', onVisibilityChange);
+  }, []);
+
+  // Outbox flushes and reconnects wait while the app is hidden, unless background
+  // sync is on; back in the foreground the client catches up on both
+  useEffect(() => {
+    client.setSyncPaused(appHidden && !settings.backgroundSync);
+  }, [appHidden, settings.backgroundSync]);
 
-  // Auto-discover devices
+  // Messages for the open chat do not count as unread
   useEffect(() => {
-    const discoverInterval = setInterval(() => {
-      if (connectionState === 'disconnected') {
-        // Simulate device discovery
-        setAvailableNodes(prev => prev.map(node => ({
-          ...node,
-          signal: Math.max(20, Math.min(100, node.signal + (Math.random() - 0.5) * 20))
-        })));
-        setBluetoothDevices(prev => prev.map(device => ({
-          ...device,
-          signal: Math.max(20, Math.min(100, device.signal + (Math.random() - 0.5) * 15))
-        })));
-        setWifiNetworks(prev => prev.map(network => ({
-          ...network,
-          signal: Math.max(30, Math.min(100, network.signal + (Math.random() - 0.5) * 10))
-        })));
+    client.viewPeer(currentScreen === 'chat' ? activePeerId : null);
+  }, [currentScreen, activePeerId]);
+
+  // Background failures and link drops from the client
+  useEffect(() => {
+    const offError = client.on('error', (e) => setError(e.message));
+    const offConnection = client.on('connection', ({ state: linkState, detail, retryIn }) => {
+      if (linkState === ConnectionState.CONNECTED) {
+        setError(null);
+        return;
+      }
+      setError(`${detail ? `Connection lost: ${detail}` : 'Connection lost'}. Reconnecting in ${Math.round(retryIn / 1000)}s…`);
+    });
+    return () => {
+      offError();
+      offConnection();
+    };
+  }, [client]);
+
+  // Keep every connection that ends or fails, and the open one if the page goes away
+  useEffect(() => {
+    const keep = (record) => setConnectionSessions(prev => appendSession(prev, record));
+    const offSession = client.on('session', keep);
+    const onPageHide = () => {
+      const open = client.linkSession;
+      if (open) saveConnectionHistory(appendSession(loadConnectionHistory(), open));
+    };
+    window.addEventListener('pagehide', onPageHide);
+    return () => {
+      offSession();
+      window.removeEventListener('pagehide', onPageHide);
+    };
+  }, [client]);
+
+  useEffect(() => {
+    saveConnectionHistory(connectionSessions);
+  }, [connectionSessions]);
+
+  // Auto-connect: go straight to the default or last trusted node on launch
+  useEffect(() => {
+    const target = autoConnectTarget(settings);
+    if (!target) return;
+
+    let cancelled = false;
+    (async () => {
+      const node = { ...target, signal: null };
+      if (target.type === 'bluetooth' && !target.demo) {
+        // Reconnecting without a gesture needs a device the site was granted before
+        node.device = await findPermittedDevice(target.id).catch(() => null);
+        if (cancelled) return;
+        if (!node.device) {
+          setConnectionType('bluetooth');
+          navigate('device-list', { jump: true });
+          setError(`Scan for ${target.name} again to reconnect over Bluetooth.`);
+          return;
+        }
       }
-    }, 2000);
+      setConnectionType(target.type);
+      setSelectedNode(node);
+      setDemoMode(target.demo);
+      navigate('phone-settings', { jump: true });
+      connectToNode(node, target.demo);
+    })();
 
-    return () => clearInterval(discoverInterval);
-  }, [connectionState]);
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // While the device list is open: simulated nodes in demo mode, the Wi-Fi bridge probe
+  // and pruning. Bluetooth advertisements arrive from the scan the user starts.
+  useEffect(() => {
+    if (currentScreen !== 'device-list') return;
+    return client.startDiscovery({ type: connectionType, demo: demoMode });
+  }, [currentScreen, connectionType, demoMode]);
+
+  useEffect(() => {
+    const stored = [settings.defaultNode, settings.lastNode].filter(Boolean).map(node => node.id);
+    const verifiedNodes = Object.values(verifications).map(record => record.nodeId);
+    client.discovery.setKnown([...knownNodes, ...stored, ...verifiedNodes]);
+  }, [knownNodes, verifications, settings.defaultNode, settings.lastNode]);
+
+  // Stop any Bluetooth scan when leaving the device list
+  useEffect(() => {
+    if (currentScreen === 'device-list') return;
+    if (stopBluetoothScanRef.current) {
+      stopBluetoothScanRef.current();
+      stopBluetoothScanRef.current = null;
+      setBluetoothScanning(false);
+    }
+  }, [currentScreen]);
 
   // QR code expiry timer
   useEffect(() => {
@@ -87,32 +503,159 @@ const FusionNodeApp = () => {
     };
   }, [qrExpiry]);
 
-  // Connection establishment check
+  // Pairing: the client derives the session, sends our handshake and waits for the
+  // peer's. Leaving the screen abandons it.
   useEffect(() => {
-    if (currentScreen === 'checking-connection') {
-      connectionCheckRef.current = setTimeout(() => {
-        // Simulate connection check
-        const success = Math.random() > 0.3; // 70% success rate
-        if (success) {
-          setConnectionEstablished(true);
-          setCurrentScreen('chat');
-        } else {
-          setError('Failed to establish secure connection. Please try again.');
-          setCurrentScreen('qr-generation');
-        }
-      }, 3000);
-    }
+    if (currentScreen !== 'checking-connection') return;
+
+    let cancelled = false;
+    client.pair(peerInfo)
+      .then((peer) => {
+        if (cancelled) return;
+        setPeerInfo(null);
+        openChat(peer.id);
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        setError(e.message);
+        navigate('qr-generation');
+      });
 
     return () => {
-      if (connectionCheckRef.current) {
-        clearTimeout(connectionCheckRef.current);
-      }
+      cancelled = true;
+      client.cancelPairing();
     };
   }, [currentScreen]);
 
+  // The "session rotated" notice fades after a few seconds
+  useEffect(() => {
+    if (!activePeer?.sessionRotatedAt) return;
+    const peerId = activePeer.id;
+    const noticeTimer = setTimeout(() => client.dismissRotationNotice(peerId), ROTATION_NOTICE_MS);
+    return () => clearTimeout(noticeTimer);
+  }, [activePeer?.id, activePeer?.sessionRotatedAt]);
+
+  // Camera scanning while the qr-scan screen is open
+  useEffect(() => {
+    if (currentScreen !== 'qr-scan' || !scanVideoRef.current) return;
+
+    const scanner = createQRCodeScanner(scanVideoRef.current, {
+      onResult: (value) => ingestPeerCode(value),
+      onError: (e) => setError(e.message)
+    });
+    scanner.startScanning();
+
+    return () => scanner.stopScanning();
+  }, [currentScreen]);
+
+  const openChat = (peerId) => {
+    setActivePeerId(peerId);
+    setShowDiagnostics(false);
+    setShowVerification(false);
+    setShowMembers(false);
+    setNewMessage('');
+    setError(null);
+    navigate('chat');
+  };
+
+  const toggleDraftPeer = (peerId) => {
+    setGroupDraft(prev => ({
+      ...prev,
+      peerIds: prev.peerIds.includes(peerId) ? prev.peerIds.filter(id => id !== peerId) : [...prev.peerIds, peerId]
+    }));
+  };
+
+  const createGroup = async () => {
+    if (!groupDraft?.name.trim() || groupDraft.peerIds.length === 0) return;
+    try {
+      const group = await client.createGroup(groupDraft.name.trim(), groupDraft.peerIds);
+      setGroupDraft(null);
+      openChat(group.id);
+    } catch (e) {
+      setError(`Could not create the group: ${e.message}`);
+    }
+  };
+
+  const addGroupMember = (groupId, peerId) => {
+    client.addGroupMember(groupId, peerId).catch(e => setError(`Could not add the member: ${e.message}`));
+  };
+
+  const removeGroupMember = (groupId, peerId) => {
+    client.removeGroupMember(groupId, peerId).catch(e => setError(`Could not remove the member: ${e.message}`));
+  };
+
+  // Verification is stored per peer device, so a new key from the same device is caught
+  const markPeerVerified = async (peer) => {
+    try {
+      await client.markVerified(peer.id);
+    } catch (e) {
+      setError(`Could not store the verification: ${e.message}`);
+      return;
+    }
+    setShowVerification(false);
+  };
+
+  const clearPeerVerification = async (peer) => {
+    try {
+      await client.clearVerification(peer.id);
+    } catch (e) {
+      setError(`Could not clear the verification: ${e.message}`);
+    }
+  };
+
+  // Runs the challenge-response checks over the active peer's session; results
+  // appear as each check finishes
+  const runProof = async () => {
+    const peerId = activePeer.id;
+    const forPeer = (update) => setProof(prev => prev?.peerId === peerId ? { ...prev, ...update(prev) } : prev);
+    setError(null);
+    setProof({ peerId, running: true, checks: [], report: null });
+    try {
+      const report = await client.runProof(peerId, {
+        onProgress: (check) => forPeer(prev => ({ checks: [...prev.checks, check] }))
+      });
+      forPeer(() => ({ running: false, report }));
+    } catch (e) {
+      forPeer(() => ({ running: false }));
+      setError(`Communication proof failed: ${e.message}`);
+    }
+  };
+
+  const downloadProofReport = () => {
+    const { report } = proof;
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `fusion-proof-${report.peerNode}-${report.generatedAt.slice(0, 19).replace(/:/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  // Show our code again so another peer can pair; existing chats keep running
+  const pairAnotherPeer = () => {
+    setPeerInfo(null);
+    setError(null);
+    handleContinue();
+  };
+
   const handleConnectionTypeSelect = (type) => {
     setConnectionType(type);
-    setCurrentScreen('device-list');
+    navigate('device-list');
+  };
+
+  // Web Bluetooth only scans from a user gesture, so this runs from the Scan button
+  const startBluetoothScan = async () => {
+    setError(null);
+    try {
+      setBluetoothScanning(true);
+      stopBluetoothScanRef.current = await client.scanBluetooth();
+    } catch (e) {
+      // Dismissing the chooser is not an error worth showing
+      if (e.name !== 'NotFoundError') {
+        setError(e.message);
+      }
+      setBluetoothScanning(false);
+    }
   };
 
   const handleDeviceSelect = (device) => {
@@ -121,97 +664,273 @@ const FusionNodeApp = () => {
         id: device.id,
         name: device.name,
         signal: device.signal,
-        type: 'bluetooth'
+        type: 'bluetooth',
+        device: device.device
       });
     } else {
       setSelectedNode({
         id: device.id,
         name: device.name,
         signal: device.signal,
-        type: 'wifi'
+        type: 'wifi',
+        url: device.url
       });
     }
-    setCurrentScreen('phone-settings');
+    // Simulated nodes can only be reached through the demo transport
+    if (device.demo) {
+      setDemoMode(true);
+    }
+    navigate('phone-settings');
+  };
+
+  const connectToNode = async (node, useDemo) => {
+    setIsConnecting(true);
+    setError(null);
+
+    // Back at the node settings after connecting: keep the link to the same node,
+    // start over for a different one
+    if (client.state.node?.id !== node.id) {
+      if (client.state.node) client.reset();
+      try {
+        await client.connect(node, { demo: useDemo });
+      } catch (e) {
+        setError(e.message);
+        setIsConnecting(false);
+        return;
+      }
+    }
+
+    setKnownNodes(prev => prev.includes(node.id) ? prev : [...prev, node.id]);
+    updateSettings({ lastNode: toStoredNode({ ...node, demo: useDemo }) });
+    navigate('continue');
+    setIsConnecting(false);
   };
 
-  const handleConnect = async () => {
+  const handleConnect = () => {
     if (!selectedNode) {
       setError('Please select a device first');
       return;
     }
+    connectToNode(selectedNode, demoMode);
+  };
 
-    setIsConnecting(true);
-    setError(null);
+  const discoverDevices = () => {
+    if (settings.preferredTransport === PreferredTransport.ASK) {
+      navigate('connection-type');
+    } else {
+      handleConnectionTypeSelect(settings.preferredTransport);
+    }
+  };
+
+  const handleContinue = () => {
+    navigate('qr-generation');
+    // Generate QR code
+    const expiresAt = Date.now() + settings.qrExpiryMinutes * 60 * 1000;
+    setQrCode(client.createPairingCode({ expiresAt }));
+    setQrExpiry(expiresAt);
+  };
+
+  const copyPayload = async () => {
+    try {
+      await navigator.clipboard.writeText(qrCode);
+      setPayloadCopied(true);
+      setTimeout(() => setPayloadCopied(false), 2000);
+    } catch (e) {
+      setError('Could not copy the payload to the clipboard.');
+    }
+  };
+
+  const downloadQRCode = () => {
+    const canvas = qrCanvasRef.current;
+    if (!canvas) return;
+    const link = document.createElement('a');
+    link.href = canvas.toDataURL('image/png');
+    link.download = `fusion-pairing-${connectedDevice?.id ?? 'qr'}.png`;
+    link.click();
+  };
+
+  // Feed a scanned, uploaded or pasted payload into the pairing state
+  const ingestPeerCode = (text) => {
+    try {
+      setPeerInfo(decodeQRPayload(text.trim()));
+      setPeerCodeInput('');
+      setError(null);
+      navigate('qr-generation');
+    } catch (e) {
+      setPeerInfo(null);
+      setError(e.message);
+    }
+  };
 
-    // Simulate connection process
-    setTimeout(() => {
-      const success = Math.random() > 0.2; // 80% success rate
-      if (success) {
-        setConnectionState('connected');
-        setConnectedDevice(selectedNode);
-        setCurrentScreen('continue');
-        
-        // Generate key pair
-        const keys = generateKeyPair();
-        setKeyPair(keys);
+  const handleScanUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const value = await scanImageFile(file);
+      if (value) {
+        ingestPeerCode(value);
       } else {
-        setError(`Failed to connect to ${selectedNode.name}. Please try again.`);
-        setConnectionState('disconnected');
+        setError('No QR code found in the selected image.');
       }
-      setIsConnecting(false);
-    }, 2000);
+    } catch (e) {
+      setError(e.message);
+    }
   };
 
-  const handleContinue = () => {
-    setCurrentScreen('qr-generation');
-    // Generate QR code
-    const qrData = generateQRData(keyPair.publicKey, connectedDevice.id);
-    setQrCode(qrData);
-    setQrExpiry(Date.now() + 10 * 60 * 1000); // 10 minutes
+  const openScanner = () => {
+    setError(null);
+    navigate('qr-scan');
   };
 
   const handleQRContinue = () => {
-    setCurrentScreen('checking-connection');
+    setError(null);
+    navigate('checking-connection');
   };
 
-  const sendMessage = () => {
-    if (!newMessage.trim()) return;
-
-    const message = {
-      id: Date.now(),
-      text: newMessage,
-      sender: 'you',
-      timestamp: new Date().toLocaleTimeString(),
-      encrypted: true
-    };
+  const sendMessage = async () => {
+    if (!newMessage.trim() || (!activePeer && !activeGroup)) return;
 
-    setMessages(prev => [...prev, message]);
+    // While the link is down the message is queued and goes out on reconnect;
+    // group messages are not queued
+    try {
+      if (activeGroup) {
+        await client.sendGroupMessage(activeGroup.id, newMessage);
+      } else {
+        await client.sendMessage(activePeer.id, newMessage);
+      }
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
     setNewMessage('');
+  };
+
+  const attachFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file || !activePeer) return;
+    if (file.size > maxAttachmentSize) {
+      setError(`${file.name} is ${formatBytes(file.size)}; attachments are limited to ${formatBytes(maxAttachmentSize)}.`);
+      return;
+    }
+
+    try {
+      const data = new Uint8Array(await file.arrayBuffer());
+      await client.sendFile(activePeer.id, {
+        name: file.name,
+        mimeType: file.type || 'application/octet-stream',
+        data
+      });
+    } catch (e) {
+      setError(`Could not send ${file.name}: ${e.message}`);
+    }
+  };
+
+  const cancelTransfer = (id) => {
+    client.cancelTransfer(id).catch(e => setError(`Could not cancel the transfer: ${e.message}`));
+  };
+
+  const resumeTransfer = (id) => {
+    setError(null);
+    client.resumeTransfer(id).catch(e => setError(`Could not resume the transfer: ${e.message}`));
+  };
+
+  const retryMessage = (id) => {
+    setError(null);
+    client.retryMessage(id).catch(e => setError(e.message));
+  };
 
-    // Simulate response
-    setTimeout(() => {
-      const response = {
-        id: Date.now() + 1,
-        text: `Echo: ${newMessage}`,
-        sender: 'peer',
-        timestamp: new Date().toLocaleTimeString(),
-        encrypted: true
-      };
-      setMessages(prev => [...prev, response]);
-    }, 1000);
+  const loadEarlierMessages = (peerId, before) => {
+    client.loadEarlierMessages(peerId, before)
+      .catch(e => setError(`Could not load message history: ${e.message}`));
+  };
+
+  const openHistory = async () => {
+    setHistoryConversation(null);
+    setHistoryMessages([]);
+    setHistoryNotice(null);
+    navigate('history');
+    try {
+      setConversations(client.history ? await client.history.listConversations() : []);
+    } catch (e) {
+      setHistoryNotice(`Could not read history: ${e.message}`);
+    }
+  };
+
+  const openConversationHistory = async (conversation, before) => {
+    try {
+      const page = await client.history.loadPage(conversation.id, { before, limit: HISTORY_PAGE_SIZE });
+      setHistoryConversation({ ...conversation, cursor: page.nextCursor });
+      setHistoryMessages(prev => before ? [...page.messages, ...prev] : page.messages);
+    } catch (e) {
+      setHistoryNotice(`Could not read history: ${e.message}`);
+    }
+  };
+
+  const clearConversationHistory = async (conversation) => {
+    if (!window.confirm(`Delete all stored messages with ${conversation.peerNode ?? 'this peer'}?`)) return;
+    try {
+      await client.clearHistory(conversation.id);
+      setHistoryConversation(null);
+      setHistoryMessages([]);
+      setConversations(await client.history.listConversations());
+    } catch (e) {
+      setHistoryNotice(`Could not clear history: ${e.message}`);
+    }
+  };
+
+  const exportHistory = async () => {
+    try {
+      const archive = await client.history.exportArchive(historyPassphrase);
+      const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `fusion-history-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      setHistoryNotice(`Exported ${archive.messages.length} messages.`);
+    } catch (e) {
+      setHistoryNotice(`Export failed: ${e.message}`);
+    }
+  };
+
+  const importHistory = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = await client.history.importArchive(historyPassphrase, JSON.parse(await file.text()));
+      setConversations(await client.history.listConversations());
+      setHistoryNotice(`Imported ${imported} new messages.`);
+    } catch (e) {
+      setHistoryNotice(`Import failed: ${e.message}`);
+    }
+  };
+
+  const openStats = () => {
+    setStatsReturn(currentScreen);
+    navigate('stats');
+  };
+
+  const clearConnectionHistory = () => {
+    if (!window.confirm('Delete the statistics of all past connections?')) return;
+    setConnectionSessions([]);
   };
 
   const resetApp = () => {
-    setCurrentScreen('start');
-    setConnectionState('disconnected');
+    client.reset();
+    navigate('start');
     setConnectionType(null);
     setSelectedNode(null);
-    setConnectedDevice(null);
-    setKeyPair(null);
+    setPeerInfo(null);
+    setPeerCodeInput('');
     setQrCode(null);
     setQrExpiry(null);
-    setMessages([]);
-    setConnectionEstablished(false);
+    setActivePeerId(null);
+    setShowDiagnostics(false);
     setError(null);
   };
 
@@ -231,14 +950,36 @@ const FusionNodeApp = () => {
           </div>
           <h1 className="text-3xl font-bold mb-4">Fusion Node App</h1>
           <p className="text-purple-200 mb-8">Secure device-to-device communication</p>
+
+          {pendingPairPayload && (
+            <div className="mb-6 p-3 bg-cyan-500/20 border border-cyan-500/30 rounded-lg text-cyan-100 text-sm">
+              Connect to a fusion node to finish pairing with the code from your link.
+            </div>
+          )}
           
           <button
-            onClick={() => setCurrentScreen('connection-type')}
+            onClick={discoverDevices}
             className="w-full py-4 px-8 rounded-xl bg-gradient-to-r from-cyan-500 to-purple-600 hover:from-cyan-600 hover:to-purple-700 font-semibold text-lg shadow-lg transform hover:scale-105 transition-all"
           >
             <Smartphone className="w-6 h-6 inline mr-3" />
             Discover Devices
           </button>
+
+          <button
+            onClick={openHistory}
+            className="w-full mt-4 py-3 px-8 rounded-xl border border-purple-400/40 hover:bg-purple-800/30 font-semibold"
+          >
+            <History className="w-5 h-5 inline mr-2" />
+            Message History
+          </button>
+
+          <button
+            onClick={openStats}
+            className="w-full mt-3 py-3 px-8 rounded-xl border border-purple-400/40 hover:bg-purple-800/30 font-semibold"
+          >
+            <BarChart3 className="w-5 h-5 inline mr-2" />
+            Connection Stats
+          </button>
         </div>
       </div>
     );
@@ -289,7 +1030,7 @@ const FusionNodeApp = () => {
           </div>
 
           <button
-            onClick={() => setCurrentScreen('start')}
+            onClick={() => navigate('start')}
             className="w-full mt-8 py-3 px-6 rounded-xl border border-gray-600 hover:bg-gray-800/50 font-semibold"
           >
             Back
@@ -301,7 +1042,15 @@ const FusionNodeApp = () => {
 
   // Device List Screen
   if (currentScreen === 'device-list') {
-    const devices = connectionType === 'bluetooth' ? bluetoothDevices : wifiNetworks;
+    const devices = listDevices(state.devices, {
+      transport: connectionType,
+      query: deviceQuery,
+      filter: deviceFilter,
+      sort: deviceSort
+    });
+    const filterOptions = connectionType === 'bluetooth'
+      ? [DeviceFilter.ALL, DeviceFilter.PAIRED, DeviceFilter.KNOWN]
+      : [DeviceFilter.ALL, DeviceFilter.SECURED, DeviceFilter.KNOWN];
     const title = connectionType === 'bluetooth' ? 'Bluetooth Devices' : 'Wi-Fi Networks';
     const IconComponent = connectionType === 'bluetooth' ? Wifi : Router;
 
@@ -313,10 +1062,86 @@ const FusionNodeApp = () => {
               <IconComponent className="w-8 h-8" />
             </div>
             <h1 className="text-2xl font-bold mb-2">{title}</h1>
-            <p className="text-blue-200">Scanning for available {connectionType} devices...</p>
+            <p className="text-blue-200">
+              {connectionType === 'bluetooth' && !bluetoothScanning
+                ? 'Scan for nearby fusion nodes'
+                : `Scanning for available ${connectionType} devices...`}
+            </p>
+          </div>
+
+          {connectionType === 'bluetooth' && (
+            <div className="mb-6">
+              <button
+                onClick={startBluetoothScan}
+                disabled={!isBluetoothSupported()}
+                className="w-full py-3 px-6 rounded-xl bg-gradient-to-r from-blue-600 to-cyan-600 hover:from-blue-700 hover:to-cyan-700 font-semibold disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+              >
+                {bluetoothScanning ? (
+                  <RefreshCw className="w-5 h-5 animate-spin mr-2" />
+                ) : (
+                  <Bluetooth className="w-5 h-5 mr-2" />
+                )}
+                {bluetoothScanning ? 'Scanning...' : 'Scan for Fusion Nodes'}
+              </button>
+              {!isBluetoothSupported() && (
+                <p className="text-xs text-gray-400 mt-2 text-center">Web Bluetooth is not available in this browser</p>
+              )}
+              {error && (
+                <div className="mt-4 p-3 bg-red-500/20 border border-red-500/30 rounded-lg text-red-200 text-sm">
+                  {error}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="mb-4 space-y-2">
+            <div className="relative">
+              <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                type="text"
+                value={deviceQuery}
+                onChange={(e) => setDeviceQuery(e.target.value)}
+                placeholder="Search by name or ID"
+                className="w-full pl-9 pr-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-sm"
+              />
+            </div>
+            <div className="flex items-center justify-between text-xs">
+              <div className="flex space-x-1">
+                {filterOptions.map(option => (
+                  <button
+                    key={option}
+                    onClick={() => setDeviceFilter(option)}
+                    className={`px-2 py-1 rounded-full border capitalize ${
+                      deviceFilter === option ? 'border-cyan-400 text-cyan-300' : 'border-gray-600 text-gray-400'
+                    }`}
+                  >
+                    {option}
+                  </button>
+                ))}
+              </div>
+              <select
+                value={deviceSort}
+                onChange={(e) => setDeviceSort(e.target.value)}
+                className="bg-gray-800 border border-gray-600 rounded-lg px-2 py-1"
+              >
+                <option value={DeviceSort.SIGNAL}>Strongest signal</option>
+                <option value={DeviceSort.RECENT}>Recently seen</option>
+              </select>
+            </div>
+            <div className="flex items-center justify-between text-xs text-gray-400">
+              <span>Show simulated demo nodes</span>
+              <ToggleSwitch on={demoMode} onToggle={() => setDemoMode(!demoMode)} />
+            </div>
           </div>
 
           <div className="space-y-4">
+            {devices.length === 0 && (
+              <p className="text-center text-sm text-gray-400 py-6">
+                {state.devices.some(device => device.transport === connectionType)
+                  ? 'No devices match the search'
+                  : 'No devices found yet'}
+              </p>
+            )}
             {devices.map(device => (
               <div 
                 key={device.id}
@@ -339,17 +1164,24 @@ const FusionNodeApp = () => {
                       )}
                     </div>
                     <div>
-                      <h3 className="font-semibold">{device.name}</h3>
+                      <h3 className="font-semibold flex items-center">
+                        {device.known && <Star className="w-4 h-4 text-yellow-400 mr-1" />}
+                        {device.name}
+                        {device.demo && <span className="ml-2 text-xs text-gray-500">Demo</span>}
+                      </h3>
                       <p className="text-sm text-gray-400">
                         {connectionType === 'bluetooth' ? 
                           (device.paired ? 'Paired' : 'Available') : 
                           (device.secured ? 'Secured' : 'Open')
                         }
+                        {` • seen ${Math.max(0, Math.round((Date.now() - device.lastSeen) / 1000))}s ago`}
                       </p>
                     </div>
                   </div>
                   <div className="text-right">
-                    <div className="text-sm font-semibold text-green-400">{device.signal}%</div>
+                    <div className="text-sm font-semibold text-green-400">
+                      {device.signal === null ? '—' : `${device.signal}%`}
+                    </div>
                     <div className="text-xs text-gray-400">Signal</div>
                   </div>
                 </div>
@@ -358,7 +1190,7 @@ const FusionNodeApp = () => {
           </div>
 
           <button
-            onClick={() => setCurrentScreen('connection-type')}
+            onClick={() => navigate('connection-type')}
             className="w-full mt-8 py-3 px-6 rounded-xl border border-gray-600 hover:bg-gray-800/50 font-semibold"
           >
             Back to Connection Types
@@ -392,7 +1224,7 @@ const FusionNodeApp = () => {
                 <div>
                   <p className="font-semibold">{selectedNode?.name}</p>
                   <p className="text-sm text-gray-400">
-                    {connectionType === 'bluetooth' ? 'Bluetooth' : 'Wi-Fi'} • {selectedNode?.signal}% signal
+                    {connectionType === 'bluetooth' ? 'Bluetooth' : 'Wi-Fi'} • {selectedNode?.signal === null ? 'unknown' : `${selectedNode?.signal}%`} signal
                   </p>
                 </div>
               </div>
@@ -400,36 +1232,113 @@ const FusionNodeApp = () => {
 
             <div className="bg-gray-800/50 p-4 rounded-xl">
               <h3 className="font-semibold text-green-400 mb-3">Connection Settings</h3>
+              {settingsUnsaved && (
+                <div className="mb-3 p-3 bg-yellow-500/20 border border-yellow-500/30 rounded-lg text-yellow-200 text-sm">
+                  Settings could not be saved in this browser; they apply to this session only.
+                </div>
+              )}
               <div className="space-y-3">
                 <div className="flex items-center justify-between">
-                  <span>Auto-connect</span>
-                  <div className="w-12 h-6 bg-green-500 rounded-full flex items-center justify-end px-1">
-                    <div className="w-4 h-4 bg-white rounded-full"></div>
+                  <div>
+                    <span>Auto-connect</span>
+                    <p className="text-xs text-gray-400">Reconnect to the default or last node on launch</p>
                   </div>
+                  <ToggleSwitch
+                    on={settings.autoConnect}
+                    onToggle={() => updateSettings({ autoConnect: !settings.autoConnect })}
+                  />
                 </div>
                 <div className="flex items-center justify-between">
-                  <span>Encryption</span>
-                  <div className="w-12 h-6 bg-green-500 rounded-full flex items-center justify-end px-1">
-                    <div className="w-4 h-4 bg-white rounded-full"></div>
+                  <div>
+                    <span>Default node</span>
+                    <p className="text-xs text-gray-400">
+                      {settings.defaultNode ? `Currently ${settings.defaultNode.name}` : 'None; auto-connect uses the last node'}
+                    </p>
                   </div>
+                  <ToggleSwitch
+                    on={!!selectedNode && settings.defaultNode?.id === selectedNode.id}
+                    disabled={!selectedNode}
+                    onToggle={() => updateSettings({
+                      defaultNode: settings.defaultNode?.id === selectedNode.id
+                        ? null
+                        : toStoredNode({ ...selectedNode, demo: demoMode })
+                    })}
+                  />
                 </div>
                 <div className="flex items-center justify-between">
-                  <span>Background sync</span>
-                  <div className="w-12 h-6 bg-gray-600 rounded-full flex items-center justify-start px-1">
-                    <div className="w-4 h-4 bg-white rounded-full"></div>
+                  <div>
+                    <span>Encryption</span>
+                    <p className="text-xs text-gray-400">Always on for chats, attachments and history</p>
                   </div>
+                  <ToggleSwitch on disabled />
                 </div>
-              </div>
-            </div>
-
-            {error && (
-              <div className="p-3 bg-red-500/20 border border-red-500/30 rounded-lg text-red-200 text-sm">
-                {error}
-              </div>
-            )}
-
-            <button
-              onClick={handleConnect}
+                <div className="flex items-center justify-between">
+                  <div>
+                    <span>Background sync</span>
+                    <p className="text-xs text-gray-400">Keep sending and reconnecting while the app is hidden</p>
+                  </div>
+                  <ToggleSwitch
+                    on={settings.backgroundSync}
+                    onToggle={() => updateSettings({ backgroundSync: !settings.backgroundSync })}
+                  />
+                </div>
+                <div className="flex items-center justify-between">
+                  <span>Preferred transport</span>
+                  <select
+                    value={settings.preferredTransport}
+                    onChange={(e) => updateSettings({ preferredTransport: e.target.value })}
+                    className="bg-gray-800 border border-gray-600 rounded-lg px-2 py-1 text-sm"
+                  >
+                    <option value={PreferredTransport.ASK}>Ask each time</option>
+                    <option value={PreferredTransport.BLUETOOTH}>Bluetooth</option>
+                    <option value={PreferredTransport.WIFI}>Wi-Fi</option>
+                  </select>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span>QR code expiry</span>
+                  <select
+                    value={settings.qrExpiryMinutes}
+                    onChange={(e) => updateSettings({ qrExpiryMinutes: Number(e.target.value) })}
+                    className="bg-gray-800 border border-gray-600 rounded-lg px-2 py-1 text-sm"
+                  >
+                    {QR_EXPIRY_OPTIONS.map(minutes => (
+                      <option key={minutes} value={minutes}>{minutes} min</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex items-center justify-between">
+                  <div>
+                    <span>Max attachment size</span>
+                    <p className="text-xs text-gray-400">Larger files are refused, sent or received</p>
+                  </div>
+                  <select
+                    value={maxAttachmentSize}
+                    onChange={(e) => updateSettings({ maxAttachmentSize: Number(e.target.value) })}
+                    className="bg-gray-800 border border-gray-600 rounded-lg px-2 py-1 text-sm"
+                  >
+                    {MAX_ATTACHMENT_SIZE_OPTIONS.map(size => (
+                      <option key={size} value={size}>{formatBytes(size)}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex items-center justify-between">
+                  <div>
+                    <span>Demo mode</span>
+                    <p className="text-xs text-gray-400">Simulated node and peer, no real link</p>
+                  </div>
+                  <ToggleSwitch on={demoMode} onToggle={() => setDemoMode(!demoMode)} />
+                </div>
+              </div>
+            </div>
+
+            {error && (
+              <div className="p-3 bg-red-500/20 border border-red-500/30 rounded-lg text-red-200 text-sm">
+                {error}
+              </div>
+            )}
+
+            <button
+              onClick={handleConnect}
               disabled={isConnecting}
               className="w-full py-3 px-6 rounded-xl bg-gradient-to-r from-green-500 to-teal-600 hover:from-green-600 hover:to-teal-700 font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
             >
@@ -444,7 +1353,7 @@ const FusionNodeApp = () => {
             </button>
 
             <button
-              onClick={() => setCurrentScreen('device-list')}
+              onClick={() => navigate('device-list')}
               className="w-full py-3 px-6 rounded-xl border border-gray-600 hover:bg-gray-800/50 font-semibold"
             >
               Back to Device List
@@ -469,8 +1378,17 @@ const FusionNodeApp = () => {
             <p className="text-sm text-gray-300 mt-1">Device ID: {connectedDevice?.id}</p>
             <div className="flex items-center justify-center mt-3 space-x-2">
               <Key className="w-4 h-4 text-blue-400" />
-              <span className="text-xs text-blue-300">Keys Generated</span>
+              <span className="text-xs text-blue-300">{state.keyAlgorithm} Keys Generated</span>
             </div>
+            {ownFingerprint && (
+              <div className="mt-3">
+                <p className="text-xs text-gray-400">Your key fingerprint</p>
+                <p className="font-mono text-sm text-gray-200 mt-1">{ownFingerprint.join(' ')}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  These digits appear in the safety number you compare with each peer after pairing.
+                </p>
+              </div>
+            )}
           </div>
           <button
             onClick={handleContinue}
@@ -496,11 +1414,48 @@ const FusionNodeApp = () => {
             <p className="text-purple-200">Share this QR code with the other device</p>
           </div>
 
-          <div className="bg-white p-6 rounded-xl mb-6">
-            <div className="w-48 h-48 mx-auto bg-black flex items-center justify-center text-white text-xs text-center">
-              QR CODE<br/>
-              {qrCode?.substring(0, 20)}...<br/>
-              <QrCode className="w-8 h-8 mx-auto mt-2" />
+          <div className="bg-white p-6 rounded-xl mb-4">
+            {qrCode ? (
+              <QRCodeCanvas value={qrCode} errorCorrection={qrErrorCorrection} canvasRef={qrCanvasRef} />
+            ) : (
+              <div className="w-48 h-48 mx-auto bg-gray-200 flex items-center justify-center text-gray-500 text-xs text-center">
+                No QR code
+              </div>
+            )}
+          </div>
+
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center space-x-1">
+              <span className="text-xs text-gray-400 mr-1">Error correction</span>
+              {['L', 'M', 'Q', 'H'].map(level => (
+                <button
+                  key={level}
+                  onClick={() => setQrErrorCorrection(level)}
+                  className={`w-7 h-7 rounded-md text-xs font-semibold ${
+                    qrErrorCorrection === level ? 'bg-purple-600' : 'bg-gray-700 hover:bg-gray-600'
+                  }`}
+                >
+                  {level}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={copyPayload}
+                disabled={!qrCode}
+                className="p-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Copy payload"
+              >
+                {payloadCopied ? <Check className="w-4 h-4 text-green-400" /> : <Copy className="w-4 h-4" />}
+              </button>
+              <button
+                onClick={downloadQRCode}
+                disabled={!qrCode}
+                className="p-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Download PNG"
+              >
+                <Download className="w-4 h-4" />
+              </button>
             </div>
           </div>
 
@@ -516,6 +1471,24 @@ const FusionNodeApp = () => {
             </div>
           </div>
 
+          <div className="bg-gray-800/50 p-4 rounded-xl mb-6">
+            <h3 className="font-semibold text-purple-300 mb-3">Peer's Code</h3>
+            {peerInfo ? (
+              <div className="flex items-center space-x-2 text-sm text-green-400">
+                <Check className="w-4 h-4" />
+                <span>Peer key received via {peerInfo.fusionNode}</span>
+              </div>
+            ) : (
+              <button
+                onClick={openScanner}
+                className="w-full py-2 px-4 rounded-lg bg-purple-600 hover:bg-purple-700 text-sm font-semibold flex items-center justify-center"
+              >
+                <Camera className="w-4 h-4 mr-2" />
+                Scan Peer's Code
+              </button>
+            )}
+          </div>
+
           {error && (
             <div className="mb-4 p-3 bg-red-500/20 border border-red-500/30 rounded-lg text-red-200 text-sm">
               {error}
@@ -524,15 +1497,350 @@ const FusionNodeApp = () => {
 
           <button
             onClick={handleQRContinue}
-            disabled={timeLeft <= 0}
+            disabled={timeLeft <= 0 || !peerInfo}
             className={`w-full py-3 px-6 rounded-xl font-semibold ${
-              timeLeft > 0
+              timeLeft > 0 && peerInfo
                 ? 'bg-gradient-to-r from-purple-500 to-blue-600 hover:from-purple-600 hover:to-blue-700'
                 : 'bg-gray-600 cursor-not-allowed'
             }`}
           >
             Continue
           </button>
+
+          {Object.keys(peers).length > 0 && (
+            <button
+              onClick={() => navigate('conversations')}
+              className="w-full mt-3 py-3 px-6 rounded-xl border border-gray-600 hover:bg-gray-800/50 font-semibold"
+            >
+              Back to Conversations
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // QR Scan Screen
+  if (currentScreen === 'qr-scan') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-900 via-indigo-900 to-black text-white p-4">
+        <div className="max-w-md mx-auto pt-8">
+          <div className="text-center mb-6">
+            <Camera className="w-12 h-12 mx-auto mb-3 text-purple-400" />
+            <h1 className="text-2xl font-bold mb-2">Scan Peer's Code</h1>
+            <p className="text-purple-200">Point the camera at the other device's QR code</p>
+          </div>
+
+          <div className="bg-black rounded-xl overflow-hidden mb-4 aspect-square">
+            {isQRScanningSupported() ? (
+              <video ref={scanVideoRef} className="w-full h-full object-cover" muted playsInline />
+            ) : (
+              <div className="w-full h-full flex items-center justify-center text-gray-400 text-sm text-center p-6">
+                Camera scanning is not available in this browser
+              </div>
+            )}
+          </div>
+
+          <label className="w-full mb-4 py-3 px-6 rounded-xl border border-gray-600 hover:bg-gray-800/50 font-semibold flex items-center justify-center cursor-pointer">
+            <Upload className="w-5 h-5 mr-2" />
+            Upload QR Image
+            <input type="file" accept="image/*" className="hidden" onChange={handleScanUpload} />
+          </label>
+
+          {state.transportKind === 'demo' && (
+            <button
+              onClick={() => ingestPeerCode(state.demoPeerCode)}
+              className="w-full mb-4 py-3 px-6 rounded-xl bg-gradient-to-r from-yellow-500 to-orange-600 hover:from-yellow-600 hover:to-orange-700 font-semibold"
+            >
+              Use Demo Peer
+            </button>
+          )}
+
+          <div className="bg-gray-800/50 p-4 rounded-xl mb-4">
+            <h3 className="font-semibold text-purple-300 mb-3">Or paste the payload</h3>
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={peerCodeInput}
+                onChange={(e) => setPeerCodeInput(e.target.value)}
+                placeholder='{"pk": "...", "fusion_node": "..."}'
+                className="flex-1 bg-gray-900 border border-gray-600 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-purple-500"
+              />
+              <button
+                onClick={() => ingestPeerCode(peerCodeInput)}
+                disabled={!peerCodeInput.trim()}
+                className="px-3 py-2 rounded-lg bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-sm font-semibold"
+              >
+                Add
+              </button>
+            </div>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-500/20 border border-red-500/30 rounded-lg text-red-200 text-sm">
+              {error}
+            </div>
+          )}
+
+          <button
+            onClick={() => navigate('qr-generation')}
+            className="w-full py-3 px-6 rounded-xl border border-gray-600 hover:bg-gray-800/50 font-semibold"
+          >
+            Back to My QR Code
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Message History Screen
+  if (currentScreen === 'history') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 via-indigo-950 to-black text-white p-4">
+        <div className="max-w-md mx-auto pt-8">
+          <div className="text-center mb-6">
+            <History className="w-12 h-12 mx-auto mb-3 text-indigo-400" />
+            <h1 className="text-2xl font-bold mb-2">Message History</h1>
+            <p className="text-indigo-200 text-sm">Stored encrypted on this device</p>
+          </div>
+
+          {!client.history && (
+            <div className="mb-4 p-3 bg-yellow-500/20 border border-yellow-500/30 rounded-lg text-yellow-200 text-sm">
+              {state.historyError
+                ? `History could not be opened: ${state.historyError}`
+                : 'History is not available in this browser.'}
+            </div>
+          )}
+
+          {historyConversation ? (
+            <div className="bg-gray-800/50 rounded-xl p-4 mb-4">
+              <div className="flex items-center justify-between mb-3">
+                <div>
+                  <h3 className="font-semibold">{historyConversation.peerNode ?? 'Unknown peer'}</h3>
+                  <p className="text-xs text-gray-400">{historyConversation.messageCount} messages</p>
+                </div>
+                <button
+                  onClick={() => clearConversationHistory(historyConversation)}
+                  className="p-2 rounded-lg text-red-300 hover:bg-red-500/20"
+                >
+                  <Trash2 className="w-5 h-5" />
+                </button>
+              </div>
+
+              {historyConversation.cursor && (
+                <button
+                  onClick={() => openConversationHistory(historyConversation, historyConversation.cursor)}
+                  className="w-full mb-3 py-2 rounded-lg border border-gray-600 hover:bg-gray-700 text-sm"
+                >
+                  Load earlier messages
+                </button>
+              )}
+
+              <div className="space-y-2 max-h-96 overflow-y-auto">
+                {historyMessages.map(message => (
+                  <div key={message.id} className={`flex ${message.sender === 'you' ? 'justify-end' : 'justify-start'}`}>
+                    <div className={`max-w-xs px-3 py-2 rounded-lg text-sm ${message.sender === 'you' ? 'bg-blue-600' : 'bg-gray-700'}`}>
+                      <p>{message.text}</p>
+                      <p className="text-xs opacity-70 mt-1">{new Date(message.timestamp).toLocaleString()}</p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <button
+                onClick={() => setHistoryConversation(null)}
+                className="w-full mt-4 py-2 rounded-lg border border-gray-600 hover:bg-gray-700 text-sm"
+              >
+                All Conversations
+              </button>
+            </div>
+          ) : (
+            <div className="space-y-3 mb-4">
+              {conversations.length === 0 ? (
+                <p className="text-center text-gray-400 py-6">No stored conversations</p>
+              ) : conversations.map(conversation => (
+                <button
+                  key={conversation.id}
+                  onClick={() => openConversationHistory(conversation)}
+                  className="w-full p-4 rounded-xl bg-gray-800/50 hover:bg-gray-700/50 text-left"
+                >
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <h3 className="font-semibold">{conversation.peerNode ?? 'Unknown peer'}</h3>
+                      <p className="text-xs text-gray-400">
+                        {conversation.messageCount} messages{conversation.via ? ` via ${conversation.via}` : ''}
+                      </p>
+                    </div>
+                    <span className="text-xs text-gray-400">{new Date(conversation.lastMessageAt).toLocaleDateString()}</span>
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="bg-gray-800/50 p-4 rounded-xl mb-4">
+            <h3 className="font-semibold text-indigo-300 mb-1">Encrypted Archive</h3>
+            <p className="text-xs text-gray-400 mb-3">Archives are encrypted with this passphrase</p>
+            <input
+              type="password"
+              value={historyPassphrase}
+              onChange={(e) => setHistoryPassphrase(e.target.value)}
+              placeholder="Archive passphrase"
+              className="w-full mb-3 bg-gray-900 border border-gray-600 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-indigo-500"
+            />
+            <div className="flex space-x-2">
+              <button
+                onClick={exportHistory}
+                disabled={!historyPassphrase || !client.history}
+                className="flex-1 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-sm font-semibold flex items-center justify-center"
+              >
+                <Download className="w-4 h-4 mr-2" />
+                Export
+              </button>
+              <label
+                className={`flex-1 py-2 rounded-lg border border-gray-600 text-sm font-semibold flex items-center justify-center ${
+                  historyPassphrase && client.history ? 'hover:bg-gray-700 cursor-pointer' : 'opacity-50 cursor-not-allowed'
+                }`}
+              >
+                <Upload className="w-4 h-4 mr-2" />
+                Import
+                <input
+                  type="file"
+                  accept="application/json"
+                  className="hidden"
+                  disabled={!historyPassphrase || !client.history}
+                  onChange={importHistory}
+                />
+              </label>
+            </div>
+          </div>
+
+          {historyNotice && (
+            <div className="mb-4 p-3 bg-indigo-500/20 border border-indigo-500/30 rounded-lg text-indigo-200 text-sm">
+              {historyNotice}
+            </div>
+          )}
+
+          <button
+            onClick={() => navigate('start')}
+            className="w-full py-3 px-6 rounded-xl border border-gray-600 hover:bg-gray-800/50 font-semibold"
+          >
+            Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Connection Stats Screen
+  if (currentScreen === 'stats') {
+    const live = state.linkSession;
+    const sessions = live ? appendSession(connectionSessions, live) : connectionSessions;
+    const nodes = summarizeNodes(sessions);
+    const recent = [...sessions].reverse().slice(0, 10);
+
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 via-indigo-950 to-black text-white p-4">
+        <div className="max-w-md mx-auto pt-8">
+          <div className="text-center mb-6">
+            <BarChart3 className="w-12 h-12 mx-auto mb-3 text-cyan-400" />
+            <h1 className="text-2xl font-bold mb-2">Connection Stats</h1>
+            <p className="text-indigo-200 text-sm">{sessions.length} connection{sessions.length === 1 ? '' : 's'} recorded on this device</p>
+          </div>
+
+          {live && (
+            <div className="bg-gray-800/50 rounded-xl p-4 mb-4">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="font-semibold">{live.nodeName}</h3>
+                <span className="text-xs text-green-400">Connected {formatDuration(sessionDuration(live))}</span>
+              </div>
+              <SignalChart samples={live.signal} />
+              <div className="grid grid-cols-2 gap-2 mt-3 text-xs text-gray-300">
+                <span>↑ {formatBytes(live.bytesSent)} · {live.messagesSent} msgs</span>
+                <span>↓ {formatBytes(live.bytesReceived)} · {live.messagesReceived} msgs</span>
+                <span>Resends: {live.resends}</span>
+                <span>Reconnects: {live.reconnects}</span>
+              </div>
+            </div>
+          )}
+
+          <h2 className="text-sm font-semibold text-gray-400 mb-2">Nodes by reliability</h2>
+          <div className="space-y-2 mb-6">
+            {nodes.length === 0 ? (
+              <p className="text-center text-gray-400 py-6">No connections yet</p>
+            ) : nodes.map((node, i) => (
+              <div key={node.nodeId} className="p-3 rounded-lg bg-gray-800/50 border border-gray-700">
+                <div className="flex items-center justify-between mb-1">
+                  <span className="font-medium text-sm flex items-center">
+                    {i === 0 && nodes.length > 1 && <Star className="w-4 h-4 mr-1 text-yellow-400" aria-label="Most reliable" />}
+                    {node.nodeName}
+                  </span>
+                  <span className="text-sm font-semibold">{node.reliability}</span>
+                </div>
+                <div className="h-1.5 bg-gray-700 rounded-full overflow-hidden mb-2">
+                  <div
+                    className={`h-full ${node.reliability >= 80 ? 'bg-green-400' : node.reliability >= 50 ? 'bg-yellow-400' : 'bg-red-400'}`}
+                    style={{ width: `${node.reliability}%` }}
+                  ></div>
+                </div>
+                <p className="text-xs text-gray-400">
+                  {node.attempts - node.failures}/{node.attempts} connected · up {formatPercent(node.uptime)} ·
+                  {' '}first-time delivery {formatPercent(node.deliveryRate)} ·
+                  {' '}signal {node.averageSignal === null ? '—' : `${node.averageSignal}%`}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {formatDuration(node.connectedMs)} over {node.transports.join(', ')} ·
+                  {' '}↑ {formatBytes(node.bytesSent)} ↓ {formatBytes(node.bytesReceived)}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          {recent.length > 0 && (
+            <>
+              <h2 className="text-sm font-semibold text-gray-400 mb-2">Recent connections</h2>
+              <div className="space-y-2 mb-6">
+                {recent.map(session => (
+                  <div key={session.id} className="p-3 rounded-lg bg-gray-800/30 border border-gray-700/60">
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="font-medium">{session.nodeName}</span>
+                      <span className="text-xs text-gray-400">{new Date(session.startedAt).toLocaleString()}</span>
+                    </div>
+                    {session.endReason === SessionEnd.FAILED ? (
+                      <p className="text-xs text-red-300 mt-1">Could not connect over {session.transport}</p>
+                    ) : (
+                      <>
+                        <p className="text-xs text-gray-400 mt-1">
+                          {formatDuration(sessionDuration(session))} over {session.transport}
+                          {session.id === live?.id ? ' · open' : session.endedAt === null ? ' · closed with the page' : ''} ·
+                          {' '}{session.messagesSent + session.messagesReceived} msgs · {session.resends} resends ·
+                          {' '}{session.reconnects} reconnects
+                          {averageSignal(session.signal) !== null && ` · signal ${averageSignal(session.signal)}%`}
+                        </p>
+                        {session.signal.length > 1 && <SignalChart samples={session.signal} height={32} />}
+                      </>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          {connectionSessions.length > 0 && (
+            <button
+              onClick={clearConnectionHistory}
+              className="w-full mb-3 py-3 px-6 rounded-xl bg-red-600/80 hover:bg-red-700 font-semibold"
+            >
+              <Trash2 className="w-5 h-5 inline mr-2" />
+              Clear Statistics
+            </button>
+          )}
+          <button
+            onClick={() => navigate(statsReturn === 'conversations' ? 'conversations' : 'start')}
+            className="w-full py-3 px-6 rounded-xl border border-gray-600 hover:bg-gray-800/50 font-semibold"
+          >
+            Back
+          </button>
         </div>
       </div>
     );
@@ -549,50 +1857,631 @@ const FusionNodeApp = () => {
           <h1 className="text-2xl font-bold mb-4">Establishing Connection</h1>
           <p className="text-yellow-200 mb-6">Verifying secure connection between devices...</p>
           <div className="bg-gray-800/50 p-4 rounded-xl">
-            <div className="flex items-center justify-center space-x-2">
-              <Smartphone className="w-5 h-5" />
-              <div className="text-yellow-400">···</div>
-              <Router className="w-5 h-5" />
-              <div className="text-yellow-400">···</div>
-              <Smartphone className="w-5 h-5" />
+            {state.handshake?.route ? (
+              <>
+                <RoutePath route={state.handshake.route} from={state.handshake.fusionNode} />
+                <p className="text-sm text-gray-300 mt-2">
+                  {state.handshake.route.nodes.length} hop{state.handshake.route.nodes.length === 1 ? '' : 's'} · {state.handshake.route.totalMs} ms
+                </p>
+              </>
+            ) : (
+              <>
+                <div className="flex items-center justify-center space-x-2">
+                  <Smartphone className="w-5 h-5" />
+                  <div className="text-yellow-400">···</div>
+                  <Router className="w-5 h-5" />
+                  <div className="text-yellow-400">···</div>
+                  <Smartphone className="w-5 h-5" />
+                </div>
+                <p className="text-sm text-gray-300 mt-2">Waiting for the peer's handshake via {connectedDevice?.name}</p>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Communication Proof Screen
+  if (currentScreen === 'proof' && activePeer) {
+    const current = proof?.peerId === activePeer.id ? proof : null;
+    const results = Object.fromEntries((current?.checks ?? []).map(check => [check.id, check]));
+    const nextCheck = Object.keys(PROOF_CHECK_LABELS).find(id => !results[id]);
+    const failed = current?.checks.filter(check => !check.passed).length ?? 0;
+
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 to-black text-white p-4">
+        <div className="max-w-md mx-auto pt-8">
+          <div className="flex items-center mb-6">
+            <button onClick={() => navigate('chat')} className="p-2 -ml-2 mr-2 rounded-lg hover:bg-gray-700">
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <div>
+              <h2 className="text-xl font-bold">Communication Proof</h2>
+              <p className="text-gray-400 text-sm">{activePeer.fusionNode} via {connectedDevice?.name}</p>
+            </div>
+          </div>
+
+          <p className="text-sm text-gray-300 mb-4">
+            Sends sealed challenges over the live session and checks that the peer echoes them,
+            how long that takes, that nothing readable leaves this device, and that altered frames are dropped.
+          </p>
+
+          <div className="space-y-2 mb-6">
+            {Object.entries(PROOF_CHECK_LABELS).map(([id, label]) => {
+              const check = results[id];
+              return (
+                <div key={id} className="p-3 rounded-lg bg-gray-800/50 border border-gray-700">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-sm">{label}</span>
+                    {check ? (
+                      check.passed ? <Check className="w-5 h-5 text-green-400" /> : <X className="w-5 h-5 text-red-400" />
+                    ) : current?.running && id === nextCheck ? (
+                      <RefreshCw className="w-4 h-4 text-blue-400 animate-spin" />
+                    ) : (
+                      <div className="w-2 h-2 rounded-full bg-gray-500"></div>
+                    )}
+                  </div>
+                  {check && (
+                    <p className={`text-xs mt-1 ${check.passed ? 'text-gray-400' : 'text-red-300'}`}>
+                      {check.detail} · {check.durationMs} ms
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          {current?.report && (
+            <div className={`p-3 rounded-lg mb-6 text-sm border ${
+              current.report.passed ? 'bg-green-500/10 border-green-500/30' : 'bg-red-500/10 border-red-500/30'
+            }`}>
+              <p className="font-semibold">
+                {current.report.passed ? 'All checks passed' : `${failed} check${failed === 1 ? '' : 's'} failed`}
+              </p>
+              <p className="text-xs text-gray-400 mt-1">{new Date(current.report.generatedAt).toLocaleString()}</p>
+              <p className="text-xs text-gray-400 font-mono mt-1 break-all">
+                {current.report.signature.algorithm} {current.report.signature.value}
+              </p>
+            </div>
+          )}
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-500/20 border border-red-500/30 rounded-lg text-red-200 text-sm">{error}</div>
+          )}
+
+          <div className="space-y-3">
+            <button
+              onClick={runProof}
+              disabled={current?.running || connectionState !== ConnectionState.CONNECTED}
+              className="w-full py-3 px-6 rounded-xl bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed font-semibold"
+            >
+              <ClipboardCheck className="w-5 h-5 inline mr-2" />
+              {current?.running ? 'Running…' : current ? 'Run Again' : 'Run Proof'}
+            </button>
+            {current?.report && (
+              <button
+                onClick={downloadProofReport}
+                className="w-full py-3 px-6 rounded-xl bg-gray-700 hover:bg-gray-600 font-semibold"
+              >
+                <Download className="w-5 h-5 inline mr-2" />
+                Download Signed Report
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Conversation List Screen
+  if (currentScreen === 'conversations') {
+    const peerList = Object.values(peers).sort((a, b) => b.lastActivityAt - a.lastActivityAt);
+    const groupList = Object.values(state.groups).sort((a, b) => b.lastActivityAt - a.lastActivityAt);
+
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 to-black text-white p-4">
+        <div className="max-w-md mx-auto pt-8">
+          <div className="text-center mb-6">
+            <Users className="w-12 h-12 mx-auto mb-3 text-green-400" />
+            <h1 className="text-2xl font-bold mb-2">Conversations</h1>
+            <p className="text-gray-400 text-sm">Connected via {connectedDevice?.name}</p>
+          </div>
+
+          <div className="space-y-3 mb-6">
+            {peerList.length === 0 ? (
+              <p className="text-center text-gray-400 py-6">No paired peers yet</p>
+            ) : peerList.map(peer => {
+              const last = peer.messages[peer.messages.length - 1];
+              return (
+                <button
+                  key={peer.id}
+                  onClick={() => openChat(peer.id)}
+                  className="w-full p-4 rounded-xl bg-gray-800/50 hover:bg-gray-700/50 text-left"
+                >
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-3 min-w-0">
+                      <div className="w-10 h-10 rounded-full bg-green-500 flex items-center justify-center flex-shrink-0">
+                        <MessageCircle className="w-5 h-5" />
+                      </div>
+                      <div className="min-w-0">
+                        <h3 className="font-semibold flex items-center">
+                          {peer.fusionNode}
+                          {verificationStatus(peer, verifications) === 'verified' && (
+                            <ShieldCheck className="w-4 h-4 ml-1 text-green-400" />
+                          )}
+                          {verificationStatus(peer, verifications) === 'changed' && (
+                            <ShieldAlert className="w-4 h-4 ml-1 text-red-400" />
+                          )}
+                        </h3>
+                        <p className="text-xs text-gray-400 truncate">
+                          {last ? `${last.sender === 'you' ? 'You: ' : ''}${last.text}` : 'No messages yet'}
+                        </p>
+                      </div>
+                    </div>
+                    {peer.unread > 0 && (
+                      <span className="ml-2 min-w-6 h-6 px-2 rounded-full bg-blue-600 text-xs font-semibold flex items-center justify-center">
+                        {peer.unread}
+                      </span>
+                    )}
+                  </div>
+                </button>
+              );
+            })}
+            {groupList.map(group => {
+              const last = group.messages[group.messages.length - 1];
+              return (
+                <button
+                  key={group.id}
+                  onClick={() => openChat(group.id)}
+                  className="w-full p-4 rounded-xl bg-gray-800/50 hover:bg-gray-700/50 text-left"
+                >
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-3 min-w-0">
+                      <div className="w-10 h-10 rounded-full bg-purple-500 flex items-center justify-center flex-shrink-0">
+                        <Users className="w-5 h-5" />
+                      </div>
+                      <div className="min-w-0">
+                        <h3 className="font-semibold">{group.name}</h3>
+                        <p className="text-xs text-gray-400 truncate">
+                          {group.removed
+                            ? 'You were removed from this group'
+                            : last
+                              ? `${last.sender === 'you' ? 'You' : last.senderName}: ${last.text}`
+                              : `${group.members.length} members`}
+                        </p>
+                      </div>
+                    </div>
+                    {group.unread > 0 && (
+                      <span className="ml-2 min-w-6 h-6 px-2 rounded-full bg-blue-600 text-xs font-semibold flex items-center justify-center">
+                        {group.unread}
+                      </span>
+                    )}
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+
+          {groupDraft ? (
+            <div className="mb-6 p-4 rounded-xl bg-gray-800/50">
+              <h3 className="font-semibold mb-3">New Group</h3>
+              <input
+                type="text"
+                value={groupDraft.name}
+                onChange={(e) => setGroupDraft(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Group name"
+                className="w-full mb-3 bg-gray-800 border border-gray-600 rounded-xl px-4 py-2 focus:outline-none focus:border-blue-500"
+              />
+              <div className="space-y-2 mb-3">
+                {peerList.map(peer => (
+                  <label key={peer.id} className="flex items-center space-x-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={groupDraft.peerIds.includes(peer.id)}
+                      onChange={() => toggleDraftPeer(peer.id)}
+                    />
+                    <span>{peer.fusionNode}</span>
+                  </label>
+                ))}
+              </div>
+              <p className="text-xs text-gray-400 mb-3">
+                You hold the group key and hand it to each member; removing a member changes it.
+              </p>
+              <div className="flex space-x-2">
+                <button
+                  onClick={createGroup}
+                  disabled={!groupDraft.name.trim() || groupDraft.peerIds.length === 0}
+                  className="flex-1 py-2 rounded-lg bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed font-semibold"
+                >
+                  Create
+                </button>
+                <button
+                  onClick={() => setGroupDraft(null)}
+                  className="flex-1 py-2 rounded-lg border border-gray-600 hover:bg-gray-700"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : peerList.length > 0 && (
+            <button
+              onClick={() => setGroupDraft({ name: '', peerIds: [] })}
+              className="w-full mb-3 py-3 px-6 rounded-xl border border-gray-600 hover:bg-gray-800/50 font-semibold flex items-center justify-center"
+            >
+              <Users className="w-5 h-5 mr-2" />
+              New Group
+            </button>
+          )}
+
+          <button
+            onClick={pairAnotherPeer}
+            className="w-full mb-3 py-3 px-6 rounded-xl bg-gradient-to-r from-green-500 to-teal-600 hover:from-green-600 hover:to-teal-700 font-semibold flex items-center justify-center"
+          >
+            <Plus className="w-5 h-5 mr-2" />
+            Pair Another Peer
+          </button>
+          <button
+            onClick={openStats}
+            className="w-full mb-3 py-3 px-6 rounded-xl border border-gray-600 hover:bg-gray-800/50 font-semibold flex items-center justify-center"
+          >
+            <BarChart3 className="w-5 h-5 mr-2" />
+            Connection Stats
+          </button>
+          <button
+            onClick={resetApp}
+            className="w-full py-3 px-6 rounded-xl border border-gray-600 hover:bg-gray-800/50 font-semibold"
+          >
+            Disconnect
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Group Chat Screen
+  if (currentScreen === 'chat' && activeGroup) {
+    const isOwner = activeGroup.owner === state.publicKey;
+    const memberIds = new Set(activeGroup.members.map(member => member.id));
+    const addable = Object.values(peers).filter(peer => !memberIds.has(peer.id));
+    const unreadElsewhere = Object.values(peers).reduce((total, peer) => total + peer.unread, 0);
+    const memberName = (member) =>
+      member.id === state.publicKey ? 'You' : peers[member.id]?.fusionNode ?? member.fusionNode;
+
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 to-black text-white flex flex-col">
+        {/* Header */}
+        <div className="bg-gray-800/50 p-4 border-b border-gray-700">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={() => navigate('conversations')}
+                className="relative p-2 -ml-2 rounded-lg hover:bg-gray-700"
+              >
+                <ArrowLeft className="w-5 h-5" />
+                {unreadElsewhere > 0 && (
+                  <span className="absolute -top-1 -right-1 min-w-4 h-4 px-1 rounded-full bg-blue-600 text-[10px] font-semibold flex items-center justify-center">
+                    {unreadElsewhere}
+                  </span>
+                )}
+              </button>
+              <div className="w-10 h-10 rounded-full bg-purple-500 flex items-center justify-center">
+                <Users className="w-5 h-5" />
+              </div>
+              <div>
+                <h2 className="font-semibold">{activeGroup.name}</h2>
+                <p className="text-xs text-gray-400">
+                  {activeGroup.members.length} members · key epoch {activeGroup.epoch}
+                </p>
+                {connectionState !== 'connected' && (
+                  <p className="text-xs text-yellow-400 flex items-center">
+                    <WifiOff className="w-3 h-3 mr-1" />
+                    Reconnecting · group messages wait for the link
+                  </p>
+                )}
+              </div>
+            </div>
+            <button
+              onClick={() => setShowMembers(!showMembers)}
+              className={`p-2 rounded-lg hover:bg-gray-700 ${showMembers ? 'text-blue-400' : ''}`}
+              aria-label="Members"
+            >
+              <Users className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {activeGroup.removed && (
+          <div className="bg-red-700 px-4 py-3 border-b border-red-500 text-sm">
+            You were removed from this group and can no longer read or send its messages.
+          </div>
+        )}
+
+        {/* Members */}
+        {showMembers && (
+          <div className="bg-gray-800/30 px-4 py-3 border-b border-gray-700 text-xs">
+            <h3 className="font-semibold text-gray-300 mb-2">Members</h3>
+            <div className="space-y-1 mb-2">
+              {activeGroup.members.map(member => (
+                <div key={member.id} className="flex items-center justify-between text-gray-300">
+                  <span>
+                    {memberName(member)}
+                    {member.id === activeGroup.owner && <span className="ml-1 text-gray-500">(owner)</span>}
+                  </span>
+                  {isOwner && member.id !== state.publicKey && (
+                    <button
+                      onClick={() => removeGroupMember(activeGroup.id, member.id)}
+                      className="p-1 rounded hover:bg-gray-700 text-red-400"
+                      aria-label={`Remove ${memberName(member)}`}
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
             </div>
-            <p className="text-sm text-gray-300 mt-2">Phone A ↔ Fusion Node ↔ Relay ↔ Phone B</p>
+            {isOwner && addable.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {addable.map(peer => (
+                  <button
+                    key={peer.id}
+                    onClick={() => addGroupMember(activeGroup.id, peer.id)}
+                    className="px-2 py-1 rounded-lg border border-gray-600 hover:bg-gray-700 flex items-center"
+                  >
+                    <Plus className="w-3 h-3 mr-1" />
+                    {peer.fusionNode}
+                  </button>
+                ))}
+              </div>
+            )}
+            {isOwner && (
+              <p className="text-gray-500 mt-2">Removing a member changes the group key.</p>
+            )}
+          </div>
+        )}
+
+        {/* Messages */}
+        <div className="flex-1 p-4 overflow-y-auto">
+          <div className="space-y-4">
+            {activeGroup.messages.length === 0 ? (
+              <div className="text-center text-gray-400 py-8">
+                <Users className="w-12 h-12 mx-auto mb-3 opacity-50" />
+                <p>Messages here reach every member</p>
+              </div>
+            ) : (
+              activeGroup.messages.map(message => (
+                <div
+                  key={message.id}
+                  className={`flex ${message.sender === 'you' ? 'justify-end' : 'justify-start'}`}
+                >
+                  <div
+                    className={`max-w-xs lg:max-w-md px-4 py-2 rounded-xl ${
+                      message.sender === 'you'
+                        ? 'bg-blue-600 text-white'
+                        : 'bg-gray-700 text-white'
+                    }`}
+                  >
+                    {message.sender !== 'you' && (
+                      <p className="text-xs font-semibold text-purple-300 mb-0.5">{message.senderName}</p>
+                    )}
+                    <p className="text-sm">{message.text}</p>
+                    <p className="text-xs opacity-70 mt-1 flex items-center">
+                      {message.encrypted && <Key className="w-3 h-3 mr-1" />}
+                      {new Date(message.timestamp).toLocaleTimeString()}
+                      {message.sender === 'you' && <MessageStateIcon state={message.state} />}
+                    </p>
+                  </div>
+                </div>
+              ))
+            )}
           </div>
         </div>
+
+        {/* Message Input */}
+        <div className="p-4 border-t border-gray-700">
+          <div className="flex items-center space-x-3">
+            <input
+              type="text"
+              value={newMessage}
+              onChange={(e) => setNewMessage(e.target.value)}
+              onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
+              disabled={activeGroup.removed}
+              placeholder={`Message ${activeGroup.name}...`}
+              className="flex-1 bg-gray-800 border border-gray-600 rounded-xl px-4 py-2 focus:outline-none focus:border-blue-500 disabled:opacity-50"
+            />
+            <button
+              onClick={sendMessage}
+              disabled={!newMessage.trim() || activeGroup.removed}
+              className="w-10 h-10 rounded-xl bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed flex items-center justify-center"
+            >
+              <Send className="w-5 h-5" />
+            </button>
+          </div>
+          {error && (
+            <div className="mt-2 p-2 bg-red-500/20 border border-red-500/30 rounded-lg text-red-200 text-xs">{error}</div>
+          )}
+          <p className="text-xs text-gray-400 mt-2 text-center">
+            Encrypted with the group key via fusion node relay
+          </p>
+        </div>
       </div>
     );
   }
 
   // Chat Screen
-  if (currentScreen === 'chat') {
+  if (currentScreen === 'chat' && activePeer) {
+    const messages = activePeer.messages;
+    const diagnostics = activePeer.diagnostics;
+    const verification = verificationStatus(activePeer, verifications);
+    const unreadElsewhere = Object.values(peers).reduce((total, peer) => total + peer.unread, 0);
+
     return (
       <div className="min-h-screen bg-gradient-to-br from-gray-900 to-black text-white flex flex-col">
         {/* Header */}
         <div className="bg-gray-800/50 p-4 border-b border-gray-700">
           <div className="flex items-center justify-between">
             <div className="flex items-center space-x-3">
+              <button
+                onClick={() => navigate('conversations')}
+                className="relative p-2 -ml-2 rounded-lg hover:bg-gray-700"
+              >
+                <ArrowLeft className="w-5 h-5" />
+                {unreadElsewhere > 0 && (
+                  <span className="absolute -top-1 -right-1 min-w-4 h-4 px-1 rounded-full bg-blue-600 text-[10px] font-semibold flex items-center justify-center">
+                    {unreadElsewhere}
+                  </span>
+                )}
+              </button>
               <div className="w-10 h-10 rounded-full bg-green-500 flex items-center justify-center">
                 <MessageCircle className="w-5 h-5" />
               </div>
               <div>
-                <h2 className="font-semibold">Secure Chat</h2>
-                <p className="text-xs text-green-400 flex items-center">
-                  <div className="w-2 h-2 bg-green-400 rounded-full mr-1"></div>
-                  Connected via {connectedDevice?.name}
-                </p>
+                <h2 className="font-semibold">{activePeer.fusionNode}</h2>
+                {connectionState === 'connected' ? (
+                  <p className="text-xs text-green-400 flex items-center">
+                    <div className="w-2 h-2 bg-green-400 rounded-full mr-1"></div>
+                    Connected via {connectedDevice?.name}
+                  </p>
+                ) : (
+                  <p className="text-xs text-yellow-400 flex items-center">
+                    <WifiOff className="w-3 h-3 mr-1" />
+                    Reconnecting · messages are queued
+                  </p>
+                )}
+                {activePeer.route && (
+                  <p className="text-xs text-gray-400 flex items-center mt-0.5">
+                    <Router className="w-3 h-3 mr-1" />
+                    {formatRoute(activePeer.route)} · {activePeer.route.totalMs} ms
+                  </p>
+                )}
+                {activePeer.sessionRotatedAt && (
+                  <p className="text-xs text-blue-300 flex items-center mt-0.5">
+                    <RefreshCw className="w-3 h-3 mr-1" />
+                    Session rotated · new keys in use
+                  </p>
+                )}
               </div>
             </div>
+            <div className="flex items-center space-x-1">
+              <button
+                onClick={() => setShowVerification(!showVerification)}
+                className={`p-2 rounded-lg hover:bg-gray-700 ${
+                  verification === 'verified' ? 'text-green-400' : verification === 'changed' ? 'text-red-400' : ''
+                }`}
+              >
+                {verification === 'changed' ? <ShieldAlert className="w-5 h-5" /> : <ShieldCheck className="w-5 h-5" />}
+              </button>
+              <button
+                onClick={() => setShowDiagnostics(!showDiagnostics)}
+                className={`p-2 rounded-lg hover:bg-gray-700 ${showDiagnostics ? 'text-blue-400' : ''}`}
+              >
+                <Activity className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => navigate('proof')}
+                className="p-2 rounded-lg hover:bg-gray-700"
+                aria-label="Communication proof"
+              >
+                <ClipboardCheck className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Key change warning */}
+        {verification === 'changed' && (
+          <div className="bg-red-700 px-4 py-3 border-b border-red-500 text-sm">
+            <p className="font-semibold flex items-center">
+              <ShieldAlert className="w-5 h-5 mr-2" />
+              {activePeer.fusionNode}'s key has changed since you verified it
+            </p>
+            <p className="text-red-100 text-xs mt-1">
+              Someone may be intercepting this chat, or the peer paired again with new keys.
+              Compare the safety number again before sending anything sensitive.
+            </p>
             <button
-              onClick={resetApp}
-              className="p-2 rounded-lg hover:bg-gray-700"
+              onClick={() => setShowVerification(true)}
+              className="mt-2 px-3 py-1 rounded-lg bg-red-900 hover:bg-red-800 text-xs font-semibold"
             >
-              <X className="w-5 h-5" />
+              Compare safety number
             </button>
           </div>
-        </div>
+        )}
+
+        {/* Safety number */}
+        {showVerification && (
+          <div className="bg-gray-800/30 px-4 py-3 border-b border-gray-700 text-xs">
+            <h3 className="font-semibold text-gray-300 mb-1">Safety Number</h3>
+            <p className="text-gray-400 mb-3">
+              Compare these with the numbers on {activePeer.fusionNode}'s screen. If they match, your chat is with the right key.
+            </p>
+            {activePeer.safetyNumber ? (
+              <>
+                <div className="grid grid-cols-4 gap-2 font-mono text-sm text-gray-100 text-center mb-3">
+                  {activePeer.safetyNumber.groups.map((group, i) => <span key={i}>{group}</span>)}
+                </div>
+                <p className="text-2xl text-center tracking-widest mb-3">{activePeer.safetyNumber.emoji.join(' ')}</p>
+                {verification === 'verified' ? (
+                  <div className="flex items-center justify-between">
+                    <span className="text-green-400 flex items-center">
+                      <ShieldCheck className="w-4 h-4 mr-1" />
+                      Verified {new Date(verifications[activePeer.deviceId].verifiedAt).toLocaleDateString()}
+                    </span>
+                    <button
+                      onClick={() => clearPeerVerification(activePeer)}
+                      className="px-3 py-1 rounded-lg border border-gray-600 hover:bg-gray-700"
+                    >
+                      Clear verification
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => markPeerVerified(activePeer)}
+                    className="w-full py-2 rounded-lg bg-green-600 hover:bg-green-700 font-semibold"
+                  >
+                    {verification === 'changed' ? 'Numbers match: trust the new key' : 'Mark as verified'}
+                  </button>
+                )}
+              </>
+            ) : (
+              <p className="text-gray-400">Computing safety number…</p>
+            )}
+          </div>
+        )}
+
+        {/* Diagnostics */}
+        {showDiagnostics && (
+          <div className="bg-gray-800/30 px-4 py-3 border-b border-gray-700 text-xs">
+            <h3 className="font-semibold text-gray-300 mb-2">Session Diagnostics</h3>
+            <div className="grid grid-cols-2 gap-x-6 gap-y-1 text-gray-400">
+              <span>Session ID</span>
+              <span className="font-mono text-right">{diagnostics?.sessionId}</span>
+              <span>Epoch / rotations</span>
+              <span className="font-mono text-right">{diagnostics?.epoch ?? 0} / {diagnostics?.rotations ?? 0}</span>
+              <span>Last sequence sent</span>
+              <span className="font-mono text-right">{diagnostics?.lastSent ?? 0}</span>
+              <span>Highest sequence received</span>
+              <span className="font-mono text-right">{diagnostics?.highestReceived ?? '—'}</span>
+              <span>Dropped duplicates</span>
+              <span className="font-mono text-right">{diagnostics?.duplicates ?? 0}</span>
+              <span>Dropped replays</span>
+              <span className="font-mono text-right">{diagnostics?.replays ?? 0}</span>
+              <span>Dropped out-of-window</span>
+              <span className="font-mono text-right">{diagnostics?.outOfWindow ?? 0}</span>
+            </div>
+          </div>
+        )}
 
         {/* Messages */}
         <div className="flex-1 p-4 overflow-y-auto">
+          {activePeer.historyCursor && (
+            <button
+              onClick={() => loadEarlierMessages(activePeer.id, activePeer.historyCursor)}
+              className="w-full mb-4 py-2 rounded-lg border border-gray-700 hover:bg-gray-800 text-sm text-gray-300"
+            >
+              Load earlier messages
+            </button>
+          )}
           <div className="space-y-4">
             {messages.length === 0 ? (
               <div className="text-center text-gray-400 py-8">
@@ -612,11 +2501,29 @@ const FusionNodeApp = () => {
                         : 'bg-gray-700 text-white'
                     }`}
                   >
-                    <p className="text-sm">{message.text}</p>
+                    {message.attachmentId && transfers[message.attachmentId] ? (
+                      <AttachmentBubble
+                        transfer={transfers[message.attachmentId]}
+                        onCancel={() => cancelTransfer(message.attachmentId)}
+                        onResume={() => resumeTransfer(message.attachmentId)}
+                      />
+                    ) : (
+                      <p className="text-sm">{message.text}</p>
+                    )}
                     <p className="text-xs opacity-70 mt-1 flex items-center">
                       {message.encrypted && <Key className="w-3 h-3 mr-1" />}
-                      {message.timestamp}
+                      {new Date(message.timestamp).toLocaleTimeString()}
+                      {message.sender === 'you' && <MessageStateIcon state={message.state} />}
                     </p>
+                    {message.state === MessageState.FAILED && (
+                      <button
+                        onClick={() => retryMessage(message.id)}
+                        className="mt-1 text-xs text-red-200 underline hover:text-white flex items-center"
+                      >
+                        <RefreshCw className="w-3 h-3 mr-1" />
+                        Not delivered · Retry
+                      </button>
+                    )}
                   </div>
                 </div>
               ))
@@ -627,6 +2534,10 @@ const FusionNodeApp = () => {
         {/* Message Input */}
         <div className="p-4 border-t border-gray-700">
           <div className="flex items-center space-x-3">
+            <label className="w-10 h-10 rounded-xl border border-gray-600 hover:bg-gray-800 flex items-center justify-center cursor-pointer">
+              <Paperclip className="w-5 h-5" />
+              <input type="file" className="hidden" onChange={attachFile} />
+            </label>
             <input
               type="text"
               value={newMessage}
@@ -0,0 +1,52 @@
+import { bytesToBase64 } from '../utils/bytes.js';
+
+// Key generation for the web companion, mirroring CryptoManager.generateX25519KeyPair()
+// Browsers without X25519 in WebCrypto fall back to ECDH P-256.
+const X25519 = { name: 'X25519' };
+const P256 = { name: 'ECDH', namedCurve: 'P-256' };
+
+const generateWith = (algorithm) =>
+  crypto.subtle.generateKey(algorithm, false, ['deriveBits']);
+
+/**
+ * A key pair from its CryptoKeys, e.g. as stored in IndexedDB: { algorithm ('X25519' |
+ * 'P-256'), privateKey, publicKey, publicKeyBytes, publicKeyBase64 }.
+ */
+export const restoreKeyPair = async ({ algorithm, privateKey, publicKey }) => {
+  // The private key stays non-extractable; only the public half leaves the page.
+  // SPKI is what Java's PublicKey.encoded returns, so QRCodeData.create on the
+  // phone and this encoding agree byte for byte.
+  const spki = new Uint8Array(await crypto.subtle.exportKey('spki', publicKey));
+
+  return {
+    algorithm,
+    privateKey,
+    publicKey,
+    publicKeyBytes: spki,
+    publicKeyBase64: bytesToBase64(spki)
+  };
+};
+
+export const generateKeyPair = async () => {
+  let algorithm = X25519;
+  let keys;
+  try {
+    keys = await generateWith(X25519);
+  } catch (e) {
+    algorithm = P256;
+    keys = await generateWith(P256);
+  }
+  return restoreKeyPair({
+    algorithm: algorithm.name === 'X25519' ? 'X25519' : 'P-256',
+    privateKey: keys.privateKey,
+    publicKey: keys.publicKey
+  });
+};
+
+// X25519 SPKI is 44 bytes (OID 1.3.101.110); anything else is treated as P-256
+const X25519_SPKI_LENGTH = 44;
+
+export const importPublicKey = (spki) => {
+  const algorithm = spki.length === X25519_SPKI_LENGTH ? X25519 : P256;
+  return crypto.subtle.importKey('spki', spki, algorithm, true, []);
+};
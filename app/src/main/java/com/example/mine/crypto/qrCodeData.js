@@ -0,0 +1,77 @@
+import { base64ToBytes } from '../utils/bytes.js';
+
+// QR payload codec for the web companion, compatible with QRCodeData.kt:
+// {"pk": <Base64 SPKI public key>, "fusion_node": <node ID>}
+// Web codes add "v", an optional "exp" (epoch ms), "routed" when the sender reads
+// routed payloads (routingInfo.js) and "device_id", which stays the same across key
+// changes so a verified peer with a new key can be told apart from a new peer. Gson
+// ignores all four on the phone, and codes from the phone (no "v") are read as
+// version 1 without routing or a device ID.
+export const QR_PAYLOAD_VERSION = 1;
+
+export class QRPayloadError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'QRPayloadError';
+    this.code = code;
+  }
+}
+
+export const encodeQRPayload = ({ publicKey, fusionNode, expiresAt, routed = false, deviceId = null }) => {
+  const payload = { pk: publicKey, fusion_node: fusionNode, v: QR_PAYLOAD_VERSION };
+  if (expiresAt) {
+    payload.exp = expiresAt;
+  }
+  if (routed) {
+    payload.routed = true;
+  }
+  if (deviceId) {
+    payload.device_id = deviceId;
+  }
+  return JSON.stringify(payload);
+};
+
+// Same checks as QRCodeData.isValid, plus a decodable public key
+const isValidPublicKey = (publicKey) => {
+  try {
+    return base64ToBytes(publicKey).length > 0;
+  } catch (e) {
+    return false;
+  }
+};
+
+export const decodeQRPayload = (text, now = Date.now()) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new QRPayloadError('malformed', 'QR code is not a fusion node code.');
+  }
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new QRPayloadError('malformed', 'QR code is not a fusion node code.');
+  }
+
+  const version = json.v ?? QR_PAYLOAD_VERSION;
+  if (version !== QR_PAYLOAD_VERSION) {
+    throw new QRPayloadError('unsupported-version', `Unsupported QR code version: ${version}`);
+  }
+
+  const { pk, fusion_node: fusionNode, exp, routed, device_id: deviceId } = json;
+  if (typeof pk !== 'string' || pk.length === 0 || !isValidPublicKey(pk)) {
+    throw new QRPayloadError('invalid-key', 'QR code does not contain a valid public key.');
+  }
+  if (typeof fusionNode !== 'string' || fusionNode.length === 0) {
+    throw new QRPayloadError('invalid-node', 'QR code does not name a fusion node.');
+  }
+  if (exp !== undefined && (typeof exp !== 'number' || now >= exp)) {
+    throw new QRPayloadError('expired', 'QR code has expired. Ask the other device for a new one.');
+  }
+
+  return {
+    publicKey: pk,
+    fusionNode,
+    expiresAt: exp ?? null,
+    routed: routed === true,
+    deviceId: typeof deviceId === 'string' && deviceId.length > 0 ? deviceId : null
+  };
+};
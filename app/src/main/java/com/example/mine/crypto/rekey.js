@@ -0,0 +1,307 @@
+import { generateKeyPair } from './keys.js';
+import { FrameType } from './frame.js';
+import { ReplayVerdict } from './replayWindow.js';
+import {
+  establishSession,
+  createFrame,
+  createFileFrame,
+  createControlFrame,
+  openDataFrame,
+  createAckFrame,
+  readAckFrame,
+  createRekeyFrame,
+  readRekeyFrame,
+  createHeartbeatFrame,
+  readHeartbeatFrame,
+  needsRekey,
+  wipeSession
+} from './session.js';
+
+// In-band rekeying for a live chat. When the current session reaches the
+// needsRekey limits, both sides swap fresh ephemeral keys over REKEY frames:
+//
+//   initiator -- request  { epoch, pk } -->  responder   (sealed with the old session)
+//   initiator <-- response { epoch, pk } --  responder   (sealed with the old session)
+//   initiator -- confirm  { epoch }     -->  responder   (sealed with the new session)
+//   initiator <-- confirmed { epoch }   --  responder   (sealed with the new session)
+//
+// The initiator switches on the response, the responder on the confirm (or on
+// any frame of the new session). The initiator resends the confirm until it hears
+// from the peer on the new session; a responder that hears nothing gives the new
+// session up. Retired sessions still decrypt late frames for a short grace period
+// and are then wiped.
+export const RekeyStep = Object.freeze({
+  REQUEST: 'request',
+  RESPONSE: 'response',
+  CONFIRM: 'confirm',
+  CONFIRMED: 'confirmed'
+});
+
+const REKEY_RETRY_MS = 10 * 1000;
+// Long enough for several confirm retries, so only a vanished initiator hits it
+const RESPONDER_TIMEOUT_MS = 6 * REKEY_RETRY_MS;
+const RETIRED_SESSION_GRACE_MS = 30 * 1000;
+
+/**
+ * Owns the chat session with one peer and rotates it when it reaches its limits.
+ * send(frame) puts a control frame (REKEY, ACK) on the link; onRotate(session, previous)
+ * fires after every rotation, onAck(sessionId, sequence) when the peer confirms
+ * one of our DATA frames, onFile(sessionId, data) for incoming attachment data,
+ * onControl(sessionId, message) for incoming control messages and
+ * onEcho(sessionId, challenge) when the peer echoes one of our proof challenges.
+ * The peer's challenges are echoed automatically.
+ */
+export const createRekeyController = ({
+  session,
+  send,
+  onRotate = () => {},
+  onAck = () => {},
+  onFile = () => {},
+  onControl = () => {},
+  onEcho = () => {},
+  now = Date.now
+}) => {
+  let current = session;
+  let pending = null;
+  // After we switched as the initiator, until the peer is heard on the new session: { sentAt }
+  let confirming = null;
+  let retired = [];
+  let rotations = 0;
+
+  const findSession = (sessionId) =>
+    [current, pending?.session, ...retired.map(entry => entry.session)]
+      .find(candidate => candidate?.id === sessionId) ?? null;
+
+  const rotate = (next) => {
+    const previous = current;
+    retired.push({ session: previous, until: now() + RETIRED_SESSION_GRACE_MS });
+    current = next;
+    pending = null;
+    confirming = null;
+    rotations += 1;
+    onRotate(next, previous);
+  };
+
+  const sendRequest = async () => {
+    pending.sentAt = now();
+    send(await createRekeyFrame(current, {
+      step: RekeyStep.REQUEST,
+      epoch: pending.epoch,
+      pk: pending.keyPair.publicKeyBase64
+    }));
+  };
+
+  const sendConfirm = async () => {
+    confirming.sentAt = now();
+    send(await createRekeyFrame(current, { step: RekeyStep.CONFIRM, epoch: current.epoch }));
+  };
+
+  const sendResponse = async () => {
+    pending.respondedAt = now();
+    send(await createRekeyFrame(current, {
+      step: RekeyStep.RESPONSE,
+      epoch: pending.epoch,
+      pk: pending.publicKeyBase64
+    }));
+  };
+
+  // Any frame from the peer on the new session shows it switched too
+  const heardOn = (target) => {
+    if (confirming && target === current) confirming = null;
+  };
+
+  const startRekey = async () => {
+    pending = { role: 'initiator', epoch: current.epoch + 1, keyPair: null, sentAt: 0 };
+    const started = pending;
+    const keyPair = await generateKeyPair();
+    // A collision may have turned us into the responder meanwhile
+    if (pending !== started) return;
+    pending.keyPair = keyPair;
+    await sendRequest();
+  };
+
+  const respond = async (message) => {
+    if (pending?.role === 'responder' && pending.peerPublicKey === message.pk) {
+      // The initiator retried: our response was lost
+      await sendResponse();
+      return;
+    }
+    if (message.epoch !== current.epoch + 1) return;
+    if (pending?.role === 'initiator') {
+      // Both sides started at once: the lower device ID keeps the initiator role
+      if (current.localId < current.peerId) return;
+    }
+
+    if (pending?.session) wipeSession(pending.session);
+    pending = { role: 'responder', epoch: message.epoch, peerPublicKey: message.pk };
+    const started = pending;
+    const keyPair = await generateKeyPair();
+    const next = await establishSession(keyPair, message.pk, { epoch: message.epoch });
+    if (pending !== started) {
+      wipeSession(next);
+      return;
+    }
+    pending.session = next;
+    pending.publicKeyBase64 = keyPair.publicKeyBase64;
+    await sendResponse();
+  };
+
+  const complete = async (message) => {
+    if (pending?.role !== 'initiator' || !pending.keyPair || pending.completing) return;
+    if (message.epoch !== pending.epoch) return;
+    pending.completing = true;
+    const { keyPair } = pending;
+    const next = await establishSession(keyPair, message.pk, { epoch: message.epoch });
+    rotate(next);
+    confirming = { sentAt: 0 };
+    await sendConfirm();
+  };
+
+  const handleRekey = async (frame) => {
+    const target = findSession(frame.sessionId);
+    if (!target) return;
+    const message = await readRekeyFrame(target, frame);
+    if (!message) return;
+    heardOn(target);
+
+    if (message.step === RekeyStep.REQUEST && target === current) {
+      await respond(message);
+    } else if (message.step === RekeyStep.RESPONSE && target === current) {
+      await complete(message);
+    } else if (message.step === RekeyStep.CONFIRM && (target === pending?.session || target === current)) {
+      // A repeated confirm means our answer was lost
+      if (target === pending?.session) rotate(target);
+      send(await createRekeyFrame(target, { step: RekeyStep.CONFIRMED, epoch: target.epoch }));
+    }
+  };
+
+  const handleHeartbeat = async (frame) => {
+    const target = findSession(frame.sessionId);
+    if (!target) return;
+    const message = await readHeartbeatFrame(target, frame);
+    if (message) heardOn(target);
+    if (typeof message?.challenge === 'string') {
+      send(await createHeartbeatFrame(target, { echo: message.challenge }));
+    } else if (typeof message?.echo === 'string') {
+      onEcho(target.id, message.echo);
+    }
+  };
+
+  // Like SessionManager.cleanupExpiredSessions, for sessions we rotated away from.
+  // A peer that has not switched yet still sends on the old one.
+  const cleanupExpiredSessions = () => {
+    const time = now();
+    retired = retired.filter(entry => {
+      if (entry.until > time || confirming) return true;
+      wipeSession(entry.session);
+      return false;
+    });
+  };
+
+  const controller = {
+    get session() {
+      return current;
+    },
+
+    get rotations() {
+      return rotations;
+    },
+
+    get isRekeying() {
+      return pending !== null;
+    },
+
+    // Whether a frame for this session ID belongs to this peer
+    hasSession(sessionId) {
+      return findSession(sessionId) !== null;
+    },
+
+    // Start or retry a rekey when due and drop expired sessions; call periodically
+    async tick() {
+      cleanupExpiredSessions();
+      if (pending?.role === 'responder' && pending.session && now() - pending.respondedAt >= RESPONDER_TIMEOUT_MS) {
+        // The initiator went quiet: stay on the current session and rekey afresh when due
+        wipeSession(pending.session);
+        pending = null;
+      }
+      if (confirming) {
+        if (now() - confirming.sentAt >= REKEY_RETRY_MS) await sendConfirm();
+      } else if (!pending) {
+        if (needsRekey(current, now())) await startRekey();
+      } else if (pending.role === 'initiator' && pending.keyPair && now() - pending.sentAt >= REKEY_RETRY_MS) {
+        await sendRequest();
+      }
+    },
+
+    // Chat keeps flowing on the current session while a rekey is in flight
+    async createFrame(text) {
+      await controller.tick();
+      return createFrame(current, text);
+    },
+
+    async createFileFrame(data) {
+      await controller.tick();
+      return createFileFrame(current, data);
+    },
+
+    async createControlFrame(message) {
+      await controller.tick();
+      return createControlFrame(current, message);
+    },
+
+    // A proof challenge sealed on the current session; the caller sends it
+    createChallengeFrame(challenge) {
+      return createHeartbeatFrame(current, { challenge });
+    },
+
+    // Returns the message text for new DATA frames, null for everything else.
+    // DATA frames are acknowledged on the session they arrived on.
+    async receive(frame) {
+      if (frame.type === FrameType.REKEY) {
+        await handleRekey(frame);
+        return null;
+      }
+      if (frame.type === FrameType.HEARTBEAT) {
+        await handleHeartbeat(frame);
+        return null;
+      }
+      const target = findSession(frame.sessionId);
+      if (!target) return null;
+
+      if (frame.type === FrameType.ACK) {
+        const sequence = await readAckFrame(target, frame);
+        if (sequence !== null) {
+          heardOn(target);
+          onAck(target.id, sequence);
+        }
+        return null;
+      }
+
+      const { text, file, control, verdict } = await openDataFrame(target, frame);
+      // A duplicate is a retry whose ACK was lost, so it is acknowledged again
+      if (verdict === ReplayVerdict.ACCEPTED || verdict === ReplayVerdict.DUPLICATE) {
+        send(await createAckFrame(target, frame.sequence));
+      }
+      // Dropped frames may not be authenticated (out-of-window ones are never
+      // decrypted), so only accepted ones may switch sessions or be delivered
+      if (verdict !== ReplayVerdict.ACCEPTED) return null;
+      heardOn(target);
+      // Data on the new session means the initiator switched and its confirm was lost
+      if (target === pending?.session) rotate(target);
+      if (file !== null) onFile(target.id, file);
+      if (control !== null) onControl(target.id, control);
+      return text;
+    },
+
+    close() {
+      [current, pending?.session, ...retired.map(entry => entry.session)]
+        .filter(Boolean)
+        .forEach(wipeSession);
+      pending = null;
+      confirming = null;
+      retired = [];
+    }
+  };
+
+  return controller;
+};
@@ -0,0 +1,56 @@
+// Sliding replay window, the JS side of SessionManager.ReplayWindow
+export const REPLAY_WINDOW_SIZE = 64; // SessionManager.REPLAY_WINDOW_SIZE
+
+export const ReplayVerdict = Object.freeze({
+  ACCEPTED: 'accepted',
+  // The same frame (sequence and nonce) delivered again, e.g. by a relay
+  DUPLICATE: 'duplicate',
+  // A different frame reusing a sequence number that was already accepted
+  REPLAY: 'replay',
+  // Older than the window, so it can no longer be told apart from a replay
+  OUT_OF_WINDOW: 'out-of-window'
+});
+
+const sameBytes = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+export const createReplayWindow = (windowSize = REPLAY_WINDOW_SIZE) => {
+  // sequence -> nonce of the frame accepted with it
+  const received = new Map();
+  let highestSequence = -1;
+
+  const check = (sequence, nonce) => {
+    if (sequence <= highestSequence - windowSize) {
+      return ReplayVerdict.OUT_OF_WINDOW;
+    }
+    const acceptedNonce = received.get(sequence);
+    if (acceptedNonce) {
+      return sameBytes(acceptedNonce, nonce) ? ReplayVerdict.DUPLICATE : ReplayVerdict.REPLAY;
+    }
+    return ReplayVerdict.ACCEPTED;
+  };
+
+  return {
+    get highestSequence() {
+      return highestSequence;
+    },
+
+    // Classify without recording, for cheap drops before decryption
+    check,
+
+    // Like checkAndAdd: records the sequence only when it is accepted
+    checkAndAdd(sequence, nonce) {
+      const verdict = check(sequence, nonce);
+      if (verdict !== ReplayVerdict.ACCEPTED) return verdict;
+
+      received.set(sequence, Uint8Array.from(nonce));
+      if (sequence > highestSequence) {
+        highestSequence = sequence;
+      }
+      // Clean up old sequences outside window
+      for (const seen of received.keys()) {
+        if (seen <= highestSequence - windowSize) received.delete(seen);
+      }
+      return verdict;
+    }
+  };
+};
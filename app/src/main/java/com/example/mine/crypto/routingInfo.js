@@ -0,0 +1,141 @@
+import { parseFrame, serializeFrame, MAX_FUSION_ID_LENGTH, DEFAULT_TTL } from './frame.js';
+import { concatBytes } from '../utils/bytes.js';
+
+// Routing metadata for frames relayed across several fusion nodes, the web
+// counterpart of RoutingInfo.kt. A routed payload wraps the encrypted message in
+//
+//   [0x00 | version | source_len | source | fusion_id_len | fusion_id | sent_at |
+//    hop_count | hops... | encrypted_message]
+//   hop: [node_len | node | at]   (sent_at and at are float64 epoch milliseconds)
+//
+// The leading zero cannot start a simplified fusion payload (its fusion ID is never
+// empty), so both formats can share a link. Every node that forwards the frame
+// decrements the frame's TTL and appends itself to the hop list. The TTL is not part
+// of the frame's AAD, and neither is this envelope: it is for routing and display only.
+export const ROUTED_PAYLOAD_MARKER = 0x00;
+export const ROUTING_VERSION = 1;
+export const MAX_HOPS = DEFAULT_TTL;
+
+export const RouteVerdict = Object.freeze({
+  ACCEPTED: 'accepted',
+  EXPIRED: 'expired', // TTL ran out
+  LOOP: 'loop' // a node appears twice in the hop list
+});
+
+const TIMESTAMP_SIZE = 8;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const encodeNodeId = (nodeId) => {
+  const bytes = encoder.encode(nodeId);
+  if (bytes.length === 0 || bytes.length > MAX_FUSION_ID_LENGTH) {
+    throw new Error(`Node ID must be 1-${MAX_FUSION_ID_LENGTH} bytes`);
+  }
+  return concatBytes(Uint8Array.of(bytes.length), bytes);
+};
+
+const encodeTimestamp = (ms) => {
+  const bytes = new Uint8Array(TIMESTAMP_SIZE);
+  new DataView(bytes.buffer).setFloat64(0, ms);
+  return bytes;
+};
+
+export const isRoutedPayload = (bytes) => bytes.length > 0 && bytes[0] === ROUTED_PAYLOAD_MARKER;
+
+export const encodeRoutedPayload = ({ source, destination, sentAt = Date.now(), hops = [] }, encryptedMessage) => {
+  if (hops.length > MAX_HOPS) {
+    throw new Error(`A route has at most ${MAX_HOPS} hops`);
+  }
+  return concatBytes(
+    Uint8Array.of(ROUTED_PAYLOAD_MARKER, ROUTING_VERSION),
+    encodeNodeId(source),
+    encodeNodeId(destination),
+    encodeTimestamp(sentAt),
+    Uint8Array.of(hops.length),
+    ...hops.flatMap(hop => [encodeNodeId(hop.nodeId), encodeTimestamp(hop.at)]),
+    encryptedMessage
+  );
+};
+
+// Returns { route: { source, destination, sentAt, hops }, encryptedMessage } or null
+export const decodeRoutedPayload = (bytes) => {
+  if (!isRoutedPayload(bytes) || bytes.length < 2 || bytes[1] !== ROUTING_VERSION) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 2;
+  const readNodeId = () => {
+    const length = bytes[offset];
+    if (!length || offset + 1 + length > bytes.length) throw new RangeError('Truncated node ID');
+    const nodeId = decoder.decode(bytes.subarray(offset + 1, offset + 1 + length));
+    offset += 1 + length;
+    return nodeId;
+  };
+  const readTimestamp = () => {
+    const ms = view.getFloat64(offset);
+    offset += TIMESTAMP_SIZE;
+    return ms;
+  };
+
+  try {
+    const source = readNodeId();
+    const destination = readNodeId();
+    const sentAt = readTimestamp();
+    const hopCount = view.getUint8(offset++);
+    if (hopCount > MAX_HOPS) return null;
+    const hops = [];
+    for (let i = 0; i < hopCount; i++) {
+      hops.push({ nodeId: readNodeId(), at: readTimestamp() });
+    }
+    if (offset >= bytes.length) return null;
+    return { route: { source, destination, sentAt, hops }, encryptedMessage: bytes.slice(offset) };
+  } catch (e) {
+    return null;
+  }
+};
+
+export const checkRoute = (route, ttl) => {
+  if (ttl <= 0) return RouteVerdict.EXPIRED;
+  const seen = new Set(route.hops.map(hop => hop.nodeId));
+  return seen.size === route.hops.length ? RouteVerdict.ACCEPTED : RouteVerdict.LOOP;
+};
+
+/**
+ * What a fusion node does when it forwards a routed payload: drop it if it has
+ * been here before or its TTL runs out, otherwise decrement the TTL and append
+ * this node to the hop list. Returns { verdict, bytes }; bytes is null unless accepted.
+ */
+export const relayRoutedPayload = (payload, nodeId, now = Date.now()) => {
+  const decoded = decodeRoutedPayload(payload);
+  const frame = decoded && parseFrame(decoded.encryptedMessage);
+  if (!frame) return { verdict: null, bytes: null };
+
+  const { route } = decoded;
+  if (route.hops.some(hop => hop.nodeId === nodeId)) {
+    return { verdict: RouteVerdict.LOOP, bytes: null };
+  }
+  const ttl = frame.ttl - 1;
+  const hops = [...route.hops, { nodeId, at: now }];
+  const verdict = hops.length > MAX_HOPS ? RouteVerdict.EXPIRED : checkRoute({ ...route, hops }, ttl);
+  if (verdict !== RouteVerdict.ACCEPTED) {
+    return { verdict, bytes: null };
+  }
+  return { verdict, bytes: encodeRoutedPayload({ ...route, hops }, serializeFrame({ ...frame, ttl })) };
+};
+
+/**
+ * The path a frame took as seen by its receiver: the nodes it crossed and the
+ * latency of each leg, from the sender to the first node through to us. Node
+ * clocks are not synchronized, so negative legs are shown as 0.
+ */
+export const describeRoute = (route, receivedAt = Date.now()) => {
+  const times = [route.sentAt, ...route.hops.map(hop => hop.at), receivedAt];
+  const legs = times.slice(1).map((at, i) => Math.max(0, Math.round(at - times[i])));
+  return {
+    source: route.source,
+    destination: route.destination,
+    nodes: route.hops.map(hop => hop.nodeId),
+    legs,
+    totalMs: Math.max(0, Math.round(receivedAt - route.sentAt))
+  };
+};
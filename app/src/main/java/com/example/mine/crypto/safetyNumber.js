@@ -0,0 +1,56 @@
+import { concatBytes } from '../utils/bytes.js';
+
+// Safety numbers let two people confirm, side by side or over a call, that the
+// public keys their apps exchanged are each other's. Each key is stretched into a
+// 30-digit fingerprint (iterated SHA-512, as in Signal's numeric fingerprints);
+// the safety number is both fingerprints in a fixed order, so both phones show the
+// same 60 digits. The emoji line is a shorter rendering of the same number.
+export const SAFETY_NUMBER_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+const FINGERPRINT_CHUNKS = 6;
+const CHUNK_SIZE = 5;
+const EMOJI_COUNT = 8;
+
+// 64 emoji that are easy to tell apart and to name out loud
+const EMOJI = [
+  '🐶', '🐱', '🦊', '🐻', '🐼', '🐨', '🐯', '🦁', '🐮', '🐷', '🐸', '🐵', '🐔', '🐧', '🐦', '🦉',
+  '🐴', '🦄', '🐝', '🦋', '🐌', '🐞', '🐢', '🐍', '🐙', '🦀', '🐠', '🐬', '🐳', '🦈', '🐊', '🦒',
+  '🌵', '🌲', '🌻', '🌹', '🍄', '🌙', '⭐', '🔥', '🌈', '⚡', '❄️', '🍎', '🍌', '🍇', '🍓', '🍒',
+  '🍕', '🍩', '🎈', '🎁', '🎸', '🎲', '⚽', '🚀', '🚲', '⛵', '🔑', '🔔', '📎', '✏️', '⏰', '💡'
+];
+
+const sha512 = async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-512', bytes));
+
+// 30 digits for one SPKI public key, in six groups of five
+export const computeFingerprint = async (spki) => {
+  const version = Uint8Array.of(0, SAFETY_NUMBER_VERSION);
+  let hash = await sha512(concatBytes(version, spki));
+  for (let i = 1; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = await sha512(concatBytes(hash, spki));
+  }
+
+  const groups = [];
+  for (let chunk = 0; chunk < FINGERPRINT_CHUNKS; chunk++) {
+    let value = 0;
+    for (let i = 0; i < CHUNK_SIZE; i++) {
+      value = value * 256 + hash[chunk * CHUNK_SIZE + i];
+    }
+    groups.push(String(value % 100000).padStart(5, '0'));
+  }
+  return groups;
+};
+
+/**
+ * The safety number shared by two keys: { groups (twelve 5-digit strings), digits,
+ * emoji }. It does not depend on which side computes it.
+ */
+export const computeSafetyNumber = async (localSpki, peerSpki) => {
+  const fingerprints = [await computeFingerprint(localSpki), await computeFingerprint(peerSpki)]
+    .sort((a, b) => a.join('').localeCompare(b.join('')));
+  const groups = fingerprints.flat();
+  const digits = groups.join('');
+
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(digits)));
+  const emoji = [...hash.subarray(0, EMOJI_COUNT)].map(byte => EMOJI[byte % EMOJI.length]);
+  return { groups, digits, emoji };
+};
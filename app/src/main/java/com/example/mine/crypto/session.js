@@ -0,0 +1,461 @@
+import { base64ToBytes, concatBytes } from '../utils/bytes.js';
+import { importPublicKey } from './keys.js';
+import { FrameType, FrameFlags, DEFAULT_TTL, NONCE_SIZE, TAG_SIZE } from './frame.js';
+import { encodeQRPayload, decodeQRPayload } from './qrCodeData.js';
+import { createReplayWindow, ReplayVerdict } from './replayWindow.js';
+import { compressPayload, decompressPayload } from './compression.js';
+
+// Session layer for the web companion, following SessionManager.kt:
+// ECDH -> HKDF-SHA256 ("v1-session-keys") -> per-direction AES-256-GCM keys.
+const SESSION_KEY_LENGTH = 32;
+const GCM_IV_LENGTH = 12;
+const SESSION_INFO = 'v1-session-keys';
+// Separate HKDF output for signing proof reports, so the chat keys are never reused for it
+const REPORT_KEY_INFO = 'v1-proof-report';
+
+// ContentType from SessionManager.kt. Chat messages are TEXT; attachment
+// transfers travel as FILE payloads on the same DATA frames, and group channel
+// control messages (keys, membership) as CONTROL payloads.
+export const ContentType = Object.freeze({
+  TEXT: 1,
+  BINARY: 2,
+  FILE: 3,
+  CONTROL: 4
+});
+
+// Payload header in front of the data: [content type | compressed | original size]
+export const PAYLOAD_HEADER_SIZE = 4;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const compareBytes = (a, b) => {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+};
+
+const sha256 = async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+
+// Positive 32-bit ID from a digest, the shape Kotlin uses for session and device IDs
+const idFromDigest = (digest) =>
+  (new DataView(digest.buffer).getUint32(0) & 0x7fffffff) || 1;
+
+export const deviceIdFromPublicKey = async (spki) => idFromDigest(await sha256(spki));
+
+// Both peers only share the two public keys, so they are put in a canonical
+// (sorted) order wherever the Kotlin code uses "ours, then theirs".
+const orderKeys = (ourSpki, peerSpki) =>
+  compareBytes(ourSpki, peerSpki) <= 0 ? [ourSpki, peerSpki, true] : [peerSpki, ourSpki, false];
+
+// Same layout as SessionManager.generateHandshakeSalt:
+// [epoch (8) | session id (4) | public key | public key]
+const generateHandshakeSalt = (epoch, sessionId, firstSpki, secondSpki) => {
+  const header = new Uint8Array(12);
+  const view = new DataView(header.buffer);
+  view.setBigInt64(0, BigInt(epoch));
+  view.setInt32(8, sessionId);
+  return concatBytes(header, firstSpki, secondSpki);
+};
+
+// AAD from SessionManager.createSimpleAAD: [session id | destination id | compressed]
+const createSimpleAAD = (sessionId, destinationId, isCompressed) => {
+  const aad = new Uint8Array(12);
+  const view = new DataView(aad.buffer);
+  view.setInt32(0, sessionId);
+  view.setInt32(4, destinationId);
+  view.setInt32(8, isCompressed ? 1 : 0);
+  return aad;
+};
+
+// Nonce: 8 random bytes, then the frame sequence where CryptoManager.generateNonce puts
+// it. GCM authenticates the nonce, so the replay window only sees authenticated
+// sequence numbers while the AAD keeps the phone's layout.
+const createNonce = (sequence) => {
+  const nonce = crypto.getRandomValues(new Uint8Array(GCM_IV_LENGTH));
+  new DataView(nonce.buffer).setInt32(GCM_IV_LENGTH - 4, sequence);
+  return nonce;
+};
+
+const nonceMatches = (nonce, sequence) =>
+  nonce.length === GCM_IV_LENGTH &&
+  new DataView(nonce.buffer, nonce.byteOffset, nonce.length).getInt32(GCM_IV_LENGTH - 4) === sequence;
+
+// Payload.toByteArray: [content type | compressed | original size (short) | data]
+const encodePayload = (contentType, { data, compressed }, originalSize) => {
+  const header = new Uint8Array(PAYLOAD_HEADER_SIZE);
+  const view = new DataView(header.buffer);
+  view.setUint8(0, contentType);
+  view.setUint8(1, compressed ? 1 : 0);
+  view.setUint16(2, originalSize & 0xffff);
+  return concatBytes(header, data);
+};
+
+// Returns { contentType, compressed, originalSize, data } or null, like Payload.fromByteArray.
+// Kotlin writes the size as a signed short; read unsigned, it is exact up to 64 KB.
+const decodePayload = (bytes) => {
+  if (bytes.length < PAYLOAD_HEADER_SIZE) return null;
+  return {
+    contentType: bytes[0],
+    compressed: bytes[1] === 1,
+    originalSize: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint16(2),
+    data: bytes.subarray(PAYLOAD_HEADER_SIZE)
+  };
+};
+
+const importAesKey = (raw) =>
+  crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+
+/**
+ * Derive a session with a peer from our key pair and the peer's Base64 SPKI public key.
+ * The options let both sides pin the same session ID and epoch (e.g. after a rekey);
+ * by default both are derived from the two public keys.
+ */
+export const establishSession = async (keyPair, peerPublicKeyBase64, options = {}) => {
+  const peerSpki = base64ToBytes(peerPublicKeyBase64);
+  const peerPublicKey = await importPublicKey(peerSpki);
+  const [firstSpki, secondSpki, weAreFirst] = orderKeys(keyPair.publicKeyBytes, peerSpki);
+
+  const sessionId = options.sessionId ?? idFromDigest(await sha256(concatBytes(firstSpki, secondSpki)));
+  const epoch = options.epoch ?? 0;
+
+  const algorithm = keyPair.privateKey.algorithm.name;
+  const sharedSecret = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: algorithm, public: peerPublicKey },
+    keyPair.privateKey,
+    SESSION_KEY_LENGTH * 8
+  ));
+
+  const hkdfKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveBits']);
+  const salt = generateHandshakeSalt(epoch, sessionId, firstSpki, secondSpki);
+  const keyMaterial = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(SESSION_INFO) },
+    hkdfKey,
+    SESSION_KEY_LENGTH * 2 * 8
+  ));
+  const reportKeyMaterial = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(REPORT_KEY_INFO) },
+    hkdfKey,
+    SESSION_KEY_LENGTH * 8
+  ));
+
+  // kTx is the first half for the peer whose key sorts first; the other side swaps
+  const firstHalf = keyMaterial.slice(0, SESSION_KEY_LENGTH);
+  const secondHalf = keyMaterial.slice(SESSION_KEY_LENGTH);
+  const txKey = await importAesKey(weAreFirst ? firstHalf : secondHalf);
+  const rxKey = await importAesKey(weAreFirst ? secondHalf : firstHalf);
+  // Both peers hold the same report key, so either can check the other's reports
+  const reportKey = await crypto.subtle.importKey(
+    'raw', reportKeyMaterial, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+
+  // Clean up sensitive data
+  sharedSecret.fill(0);
+  keyMaterial.fill(0);
+  reportKeyMaterial.fill(0);
+  firstHalf.fill(0);
+  secondHalf.fill(0);
+
+  return {
+    id: sessionId,
+    epoch,
+    createdAt: Date.now(),
+    localId: await deviceIdFromPublicKey(keyPair.publicKeyBytes),
+    peerId: await deviceIdFromPublicKey(peerSpki),
+    peerPublicKeyBase64,
+    txKey,
+    rxKey,
+    reportKey,
+    sendCounter: 0,
+    replayWindow: createReplayWindow(),
+    // Frames dropped by the replay window, for diagnostics
+    dropped: { duplicates: 0, replays: 0, outOfWindow: 0 },
+    isEstablished: true
+  };
+};
+
+// Encrypt a payload with a fresh nonce carrying the sequence, like encryptMessageSecure.
+// The data is compressed first when that helps (see compression.js). The sequence and
+// the compressed bit are authenticated and must match on decryption.
+const encryptPayload = async (session, contentType, data, sequence) => {
+  if (!session?.isEstablished) {
+    throw new Error('Session not established');
+  }
+  if (!data.length) {
+    throw new Error('Message cannot be empty');
+  }
+
+  const packed = await compressPayload(data);
+  const nonce = createNonce(sequence);
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: nonce, additionalData: createSimpleAAD(session.id, session.peerId, packed.compressed) },
+    session.txKey,
+    encodePayload(contentType, packed, data.length)
+  ));
+
+  return { nonce, ciphertext, compressed: packed.compressed };
+};
+
+// Returns { contentType, data }, or null when authentication fails or a compressed
+// payload does not inflate to its declared size
+const decryptPayload = async (session, { nonce, ciphertext, sequence, compressed = false }) => {
+  if (!session?.isEstablished || !nonceMatches(nonce, sequence)) return null;
+
+  try {
+    const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: nonce, additionalData: createSimpleAAD(session.id, session.localId, compressed) },
+      session.rxKey,
+      ciphertext
+    ));
+    const payload = decodePayload(plaintext);
+    if (!payload || payload.compressed !== compressed) return null;
+    if (!compressed) return payload;
+    return { ...payload, data: await decompressPayload(payload.data, payload.originalSize) };
+  } catch (e) {
+    return null;
+  }
+};
+
+export const encryptMessage = (session, text, sequence = 0) =>
+  encryptPayload(session, ContentType.TEXT, encoder.encode(text ?? ''), sequence);
+
+// Returns null when authentication fails, like SessionManager.decryptMessage.
+// compressed is the flag encryptMessage returned alongside the ciphertext.
+export const decryptMessage = async (session, { nonce, ciphertext, sequence = 0, compressed = false }) => {
+  const payload = await decryptPayload(session, { nonce, ciphertext, sequence, compressed });
+  return payload?.contentType === ContentType.TEXT ? decoder.decode(payload.data) : null;
+};
+
+// WebCrypto appends the GCM tag to the ciphertext; the frame carries it separately
+const sealPayload = async (session, type, contentType, data) => {
+  // Claimed before encrypting so concurrent sends never share a sequence number
+  session.sendCounter += 1;
+  const sequence = session.sendCounter;
+  const { nonce, ciphertext, compressed } = await encryptPayload(session, contentType, data, sequence);
+
+  return {
+    type,
+    flags: FrameFlags.ENCRYPTED | (compressed ? FrameFlags.COMPRESSED : 0),
+    sourceId: session.localId,
+    destinationId: session.peerId,
+    sessionId: session.id,
+    sequence,
+    ttl: DEFAULT_TTL,
+    nonce,
+    ciphertext: ciphertext.slice(0, ciphertext.length - TAG_SIZE),
+    tag: ciphertext.slice(ciphertext.length - TAG_SIZE)
+  };
+};
+
+const sealFrame = (session, type, text) => sealPayload(session, type, ContentType.TEXT, encoder.encode(text ?? ''));
+
+// Seal a chat message into a DATA frame, like SessionManager.createFrame
+export const createFrame = (session, text) => sealFrame(session, FrameType.DATA, text);
+
+// Seal binary attachment data (see fileTransfer.js) into a DATA frame
+export const createFileFrame = (session, data) => sealPayload(session, FrameType.DATA, ContentType.FILE, data);
+
+// Seal a control message (an object, sent as JSON) into a DATA frame. It is
+// acknowledged and retried like chat; see crypto/groupChannel.js for its use.
+export const createControlFrame = (session, message) =>
+  sealPayload(session, FrameType.DATA, ContentType.CONTROL, encoder.encode(JSON.stringify(message)));
+
+const DROP_COUNTERS = {
+  [ReplayVerdict.DUPLICATE]: 'duplicates',
+  [ReplayVerdict.REPLAY]: 'replays',
+  [ReplayVerdict.OUT_OF_WINDOW]: 'outOfWindow'
+};
+
+const NOT_OURS = Object.freeze({ text: null, file: null, control: null, verdict: null });
+
+const countDrop = (session, verdict) => {
+  session.dropped[DROP_COUNTERS[verdict]] += 1;
+  return { ...NOT_OURS, verdict };
+};
+
+const parseControl = (data) => {
+  try {
+    const control = JSON.parse(decoder.decode(data));
+    return control && typeof control === 'object' ? control : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Returns { text, file, control, verdict }: text for TEXT payloads, file (bytes) for
+// FILE ones, control (the parsed object) for CONTROL ones. All are null for frames
+// that are not ours (verdict null), fail authentication (verdict null) or are
+// rejected by the replay window (the verdict says why; those are counted in
+// session.dropped).
+const openFrame = async (session, frame, type) => {
+  if (frame.type !== type || frame.sessionId !== session?.id || !session.isEstablished) {
+    return NOT_OURS;
+  }
+
+  // Duplicates and stale frames are dropped without spending a decryption on them
+  const verdict = session.replayWindow.check(frame.sequence, frame.nonce);
+  if (verdict === ReplayVerdict.DUPLICATE || verdict === ReplayVerdict.OUT_OF_WINDOW) {
+    return countDrop(session, verdict);
+  }
+
+  // The COMPRESSED flag goes into the AAD, so flipping it in transit fails authentication
+  const payload = await decryptPayload(session, {
+    nonce: frame.nonce,
+    ciphertext: concatBytes(frame.ciphertext, frame.tag),
+    sequence: frame.sequence,
+    compressed: (frame.flags & FrameFlags.COMPRESSED) !== 0
+  });
+  if (!payload) return NOT_OURS;
+
+  // Only authenticated frames enter the window, so forgeries cannot poison it.
+  // Checked again because the window may have moved while decrypting.
+  const accepted = session.replayWindow.checkAndAdd(frame.sequence, frame.nonce);
+  if (accepted !== ReplayVerdict.ACCEPTED) return countDrop(session, accepted);
+  return {
+    text: payload.contentType === ContentType.TEXT ? decoder.decode(payload.data) : null,
+    file: payload.contentType === ContentType.FILE ? payload.data.slice() : null,
+    control: payload.contentType === ContentType.CONTROL ? parseControl(payload.data) : null,
+    verdict: accepted
+  };
+};
+
+// Like decryptFrame, but also reports the replay verdict so callers can re-acknowledge duplicates
+export const openDataFrame = (session, frame) => openFrame(session, frame, FrameType.DATA);
+
+export const decryptFrame = async (session, frame) => (await openDataFrame(session, frame)).text;
+
+// ACK frames confirm receipt of one DATA frame by its sequence number. They are
+// sealed too, so a relay cannot fake a delivery.
+export const createAckFrame = (session, sequence) =>
+  sealFrame(session, FrameType.ACK, JSON.stringify({ ack: sequence }));
+
+// Returns the acknowledged sequence number, or null
+export const readAckFrame = async (session, frame) => {
+  const { text } = await openFrame(session, frame, FrameType.ACK);
+  if (text === null) return null;
+  try {
+    const { ack } = JSON.parse(text);
+    return Number.isInteger(ack) ? ack : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// REKEY frames carry a small JSON control message, sealed like chat messages
+// so only the current peer can rotate the session
+export const createRekeyFrame = (session, message) =>
+  sealFrame(session, FrameType.REKEY, JSON.stringify(message));
+
+export const readRekeyFrame = async (session, frame) => {
+  const { text } = await openFrame(session, frame, FrameType.REKEY);
+  if (text === null) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+};
+
+// HEARTBEAT frames carry the challenges of a communication proof
+// (network/communicationProof.js): { challenge } out, { echo } back
+export const createHeartbeatFrame = (session, message) =>
+  sealFrame(session, FrameType.HEARTBEAT, JSON.stringify(message));
+
+export const readHeartbeatFrame = async (session, frame) => {
+  const { text } = await openFrame(session, frame, FrameType.HEARTBEAT);
+  if (text === null) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+};
+
+// Group sessions share one AES-256-GCM key (Base64 raw bytes) between every member
+// of a channel. Each member seals with its own device ID where a pairwise session
+// has the peer's, so the AAD binds a frame to its sender, and keeps a send counter;
+// receivers keep one replay window per sender. The ID comes from the group ID and
+// key epoch, so all members agree on it.
+export const createGroupSession = async ({ groupId, epoch, key, localId }) => {
+  const raw = base64ToBytes(key);
+  if (raw.length !== SESSION_KEY_LENGTH) {
+    throw new Error(`Group key must be ${SESSION_KEY_LENGTH} bytes`);
+  }
+  const groupKey = await importAesKey(raw);
+  raw.fill(0);
+  return {
+    id: idFromDigest(await sha256(encoder.encode(`${groupId}:${epoch}`))),
+    epoch,
+    createdAt: Date.now(),
+    localId,
+    peerId: localId,
+    txKey: groupKey,
+    rxKey: groupKey,
+    sendCounter: 0,
+    // Replay windows by sender device ID
+    senders: new Map(),
+    dropped: { duplicates: 0, replays: 0, outOfWindow: 0 },
+    isEstablished: true
+  };
+};
+
+export const createGroupFrame = async (session, text) => ({
+  ...await sealPayload(session, FrameType.GROUP, ContentType.TEXT, encoder.encode(text ?? '')),
+  destinationId: 0
+});
+
+// Returns the message text, or null. The sender's device ID (frame.sourceId) is
+// authenticated; whether it belongs to a member is for the caller to check.
+export const openGroupFrame = async (session, frame) => {
+  if (!session?.isEstablished || frame.sourceId === session.localId) return null;
+  // A sender's window is only kept once one of its frames authenticates
+  const replayWindow = session.senders.get(frame.sourceId) ?? createReplayWindow();
+  const { text, verdict } = await openFrame({ ...session, localId: frame.sourceId, replayWindow }, frame, FrameType.GROUP);
+  if (verdict === ReplayVerdict.ACCEPTED) session.senders.set(frame.sourceId, replayWindow);
+  return text;
+};
+
+// Limits from SessionManager.needsRekey
+export const MAX_MESSAGES_PER_SESSION = 1000000;
+export const MAX_SESSION_AGE_MS = 24 * 60 * 60 * 1000;
+
+export const needsRekey = (session, now = Date.now()) =>
+  session.sendCounter > MAX_MESSAGES_PER_SESSION || now - session.createdAt > MAX_SESSION_AGE_MS;
+
+// CryptoKeys are non-extractable and cannot be zeroed, so wiping drops every
+// reference to them and retires the session, like cleanupExpiredSessions
+export const wipeSession = (session) => {
+  session.txKey = null;
+  session.rxKey = null;
+  session.reportKey = null;
+  session.senders?.clear();
+  session.isEstablished = false;
+};
+
+// HANDSHAKE frames carry the sender's pairing payload in the clear, so the peer can
+// confirm the scanned key is live on the link before chat starts. routed advertises
+// that we read routed payloads, and deviceId is our lasting identity; the phone's
+// handshake has neither.
+export const createHandshakeFrame = async (keyPair, fusionNode, { routed = false, deviceId = null } = {}) => ({
+  type: FrameType.HANDSHAKE,
+  flags: 0,
+  sourceId: await deviceIdFromPublicKey(keyPair.publicKeyBytes),
+  destinationId: 0,
+  sessionId: 0,
+  sequence: 0,
+  ttl: DEFAULT_TTL,
+  nonce: new Uint8Array(NONCE_SIZE),
+  ciphertext: encoder.encode(encodeQRPayload({ publicKey: keyPair.publicKeyBase64, fusionNode, routed, deviceId })),
+  tag: new Uint8Array(TAG_SIZE)
+});
+
+// Returns { publicKey, fusionNode, routed, deviceId } or null when the frame is not a usable handshake
+export const readHandshakeFrame = (frame) => {
+  if (frame.type !== FrameType.HANDSHAKE) return null;
+  try {
+    return decodeQRPayload(decoder.decode(frame.ciphertext));
+  } catch (e) {
+    return null;
+  }
+};
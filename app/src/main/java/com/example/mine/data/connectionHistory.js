@@ -0,0 +1,62 @@
+import { defaultStorage } from './settings.js';
+import { COUNTERS, SessionEnd } from '../network/connectionStats.js';
+
+// Past connections to fusion nodes (network/connectionStats.js records), kept in
+// localStorage like the settings. Only the most recent sessions are kept, and
+// records that do not look like one are dropped on load.
+const STORAGE_KEY = 'fusion-node-connection-history';
+
+export const MAX_SESSIONS = 100;
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isTime = (value) => Number.isFinite(value) && value > 0;
+
+// A stored record cleaned up, or null if it cannot be one
+export const toStoredSession = (record) => {
+  if (!record || typeof record !== 'object') return null;
+  if (typeof record.id !== 'string' || typeof record.nodeId !== 'string' || !record.nodeId) return null;
+  if (!isTime(record.startedAt) || !isTime(record.updatedAt) || record.updatedAt < record.startedAt) return null;
+  if (!COUNTERS.every(key => isCount(record[key])) || !isCount(record.downtimeMs)) return null;
+
+  return {
+    ...Object.fromEntries(COUNTERS.map(key => [key, record[key]])),
+    id: record.id,
+    nodeId: record.nodeId,
+    nodeName: typeof record.nodeName === 'string' ? record.nodeName : record.nodeId,
+    transport: typeof record.transport === 'string' ? record.transport : null,
+    demo: record.demo === true,
+    connected: record.connected === true,
+    startedAt: record.startedAt,
+    updatedAt: record.updatedAt,
+    endedAt: isTime(record.endedAt) ? record.endedAt : null,
+    endReason: Object.values(SessionEnd).includes(record.endReason) ? record.endReason : null,
+    downtimeMs: record.downtimeMs,
+    signal: Array.isArray(record.signal)
+      ? record.signal.filter(sample => isTime(sample?.at) && Number.isFinite(sample.value))
+      : []
+  };
+};
+
+// Adds or replaces (by ID) a session, keeping the newest MAX_SESSIONS
+export const appendSession = (sessions, record) =>
+  [...sessions.filter(session => session.id !== record.id), record].slice(-MAX_SESSIONS);
+
+export const loadConnectionHistory = ({ storage = defaultStorage() } = {}) => {
+  try {
+    const stored = JSON.parse(storage?.getItem(STORAGE_KEY) ?? '[]');
+    return Array.isArray(stored) ? stored.map(toStoredSession).filter(Boolean).slice(-MAX_SESSIONS) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// Returns false if the history could not be written
+export const saveConnectionHistory = (sessions, { storage = defaultStorage() } = {}) => {
+  if (!storage) return false;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(sessions.slice(-MAX_SESSIONS)));
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
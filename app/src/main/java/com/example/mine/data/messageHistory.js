@@ -0,0 +1,316 @@
+import { bytesToBase64, base64ToBytes } from '../utils/bytes.js';
+
+// Chat history for the web companion, the browser counterpart of MessageDatabase.kt.
+// Messages live in IndexedDB, encrypted at rest with a non-extractable AES-GCM key
+// that is generated once and kept in the same database. Only what the store needs
+// to index (conversation, session, time, message ID) is kept in the clear.
+// Safety-number verifications of peers and our own identity key pair live in the
+// same database.
+const DB_NAME = 'fusion-node-history';
+const DB_VERSION = 3;
+const KEY_ID = 'history';
+const IDENTITY_ID = 'identity';
+const GCM_IV_LENGTH = 12;
+
+export const DEFAULT_PAGE_SIZE = 50;
+
+// Archives are re-encrypted under a passphrase so they can be moved between browsers
+export const ARCHIVE_FORMAT = 'fusion-node-history';
+export const ARCHIVE_VERSION = 1;
+const ARCHIVE_KDF_ITERATIONS = 310000;
+const ARCHIVE_SALT_LENGTH = 16;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error ?? new Error('Transaction aborted'));
+});
+
+const openDatabase = (indexedDB) => new Promise((resolve, reject) => {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = (event) => {
+    const db = req.result;
+    if (event.oldVersion < 1) {
+      db.createObjectStore('keys', { keyPath: 'id' });
+      db.createObjectStore('conversations', { keyPath: 'id' });
+      const messages = db.createObjectStore('messages', { keyPath: 'id', autoIncrement: true });
+      // The record ID breaks timestamp ties so pages never skip or repeat a message
+      messages.createIndex('byConversation', ['conversationId', 'timestamp', 'id']);
+      messages.createIndex('byMessageId', ['conversationId', 'messageId'], { unique: true });
+    }
+    if (event.oldVersion === 2) {
+      // Verifications used to be per fusion node, which peers can share; keys were
+      // new on every connect then, so none of them would still match
+      db.deleteObjectStore('verifiedPeers');
+    }
+    if (event.oldVersion < 3) {
+      // Verified peers by device: { deviceId, publicKey, nodeId, verifiedAt }
+      db.createObjectStore('verifiedPeers', { keyPath: 'deviceId' });
+    }
+  };
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const loadStorageKey = async (db) => {
+  const stored = await request(db.transaction('keys').objectStore('keys').get(KEY_ID));
+  if (stored) return stored.key;
+
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  const tx = db.transaction('keys', 'readwrite');
+  tx.objectStore('keys').put({ id: KEY_ID, key, createdAt: Date.now() });
+  await transactionDone(tx);
+  return key;
+};
+
+// The clear metadata is bound as AAD so records cannot be moved between conversations
+const recordAAD = ({ conversationId, sessionId, messageId, timestamp }) =>
+  encoder.encode(JSON.stringify([conversationId, sessionId, messageId, timestamp]));
+
+export const encryptRecord = async (key, { conversationId, sessionId, messageId, timestamp, sender, text }) => {
+  const meta = { conversationId, sessionId, messageId, timestamp };
+  const nonce = crypto.getRandomValues(new Uint8Array(GCM_IV_LENGTH));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: nonce, additionalData: recordAAD(meta) },
+    key,
+    encoder.encode(JSON.stringify({ sender, text }))
+  ));
+  return { ...meta, nonce, ciphertext };
+};
+
+// Returns null when the record does not authenticate under this key
+export const decryptRecord = async (key, record) => {
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: record.nonce, additionalData: recordAAD(record) },
+      key,
+      record.ciphertext
+    );
+    const { sender, text } = JSON.parse(decoder.decode(plaintext));
+    return {
+      id: record.messageId,
+      conversationId: record.conversationId,
+      sessionId: record.sessionId,
+      timestamp: record.timestamp,
+      sender,
+      text
+    };
+  } catch (e) {
+    return null;
+  }
+};
+
+export const deriveArchiveKey = async (passphrase, salt, iterations = ARCHIVE_KDF_ITERATIONS) => {
+  if (!passphrase) {
+    throw new Error('A passphrase is required');
+  }
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * Build an archive of decrypted messages, re-encrypted under a passphrase.
+ * Conversation metadata (peer node and public key) stays readable.
+ */
+export const createArchive = async (passphrase, { conversations, messages }) => {
+  const salt = crypto.getRandomValues(new Uint8Array(ARCHIVE_SALT_LENGTH));
+  const key = await deriveArchiveKey(passphrase, salt);
+  const records = [];
+  for (const message of messages) {
+    const record = await encryptRecord(key, { ...message, messageId: message.id });
+    records.push({ ...record, nonce: bytesToBase64(record.nonce), ciphertext: bytesToBase64(record.ciphertext) });
+  }
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ARCHIVE_KDF_ITERATIONS, salt: bytesToBase64(salt) },
+    conversations,
+    messages: records
+  };
+};
+
+// Throws on a malformed archive or wrong passphrase; returns { conversations, messages }
+export const readArchive = async (passphrase, archive) => {
+  if (archive?.format !== ARCHIVE_FORMAT || !Array.isArray(archive.messages) ||
+      !Array.isArray(archive.conversations) || typeof archive.kdf?.salt !== 'string') {
+    throw new Error('Not a message history archive');
+  }
+  if (archive.version !== ARCHIVE_VERSION) {
+    throw new Error(`Unsupported archive version ${archive.version}`);
+  }
+  const key = await deriveArchiveKey(passphrase, base64ToBytes(archive.kdf.salt), archive.kdf.iterations);
+
+  const messages = [];
+  for (const record of archive.messages) {
+    const message = await decryptRecord(key, {
+      ...record,
+      nonce: base64ToBytes(record.nonce),
+      ciphertext: base64ToBytes(record.ciphertext)
+    });
+    if (!message) {
+      throw new Error('Wrong passphrase or damaged archive');
+    }
+    messages.push(message);
+  }
+  return { conversations: archive.conversations, messages };
+};
+
+/**
+ * Open the history store. Conversations are keyed by the peer's public key;
+ * messages keep the session they were exchanged in.
+ */
+export const openMessageHistory = async ({ indexedDB = globalThis.indexedDB } = {}) => {
+  if (!indexedDB) {
+    throw new Error('IndexedDB is not available');
+  }
+  const db = await openDatabase(indexedDB);
+  const key = await loadStorageKey(db);
+
+  const readAll = async (storeName) => request(db.transaction(storeName).objectStore(storeName).getAll());
+
+  const history = {
+    listConversations: async () =>
+      (await readAll('conversations')).sort((a, b) => b.lastMessageAt - a.lastMessageAt),
+
+    // Upserts the conversation and stores the message. Returns false when the
+    // message ID is already stored.
+    async addMessage(conversation, { id, sessionId, timestamp = Date.now(), sender, text }) {
+      const record = await encryptRecord(key, {
+        conversationId: conversation.id,
+        sessionId,
+        messageId: id,
+        timestamp,
+        sender,
+        text
+      });
+
+      const tx = db.transaction(['conversations', 'messages'], 'readwrite');
+      const conversations = tx.objectStore('conversations');
+      const messages = tx.objectStore('messages');
+      const existing = await request(messages.index('byMessageId').getKey([conversation.id, id]));
+      if (existing === undefined) {
+        const stored = await request(conversations.get(conversation.id));
+        conversations.put({
+          ...stored,
+          ...conversation,
+          createdAt: stored?.createdAt ?? timestamp,
+          lastMessageAt: Math.max(stored?.lastMessageAt ?? 0, timestamp),
+          messageCount: (stored?.messageCount ?? 0) + 1
+        });
+        messages.add(record);
+      }
+      await transactionDone(tx);
+      return existing === undefined;
+    },
+
+    /**
+     * One page of a conversation, walking back from `before` (a nextCursor from the
+     * previous page; omit for the newest page). Returns { messages (oldest first),
+     * nextCursor }, where nextCursor is null once the start is reached.
+     */
+    async loadPage(conversationId, { before = [Infinity], limit = DEFAULT_PAGE_SIZE } = {}) {
+      const range = IDBKeyRange.bound([conversationId, -Infinity], [conversationId, ...before], false, true);
+      const index = db.transaction('messages').objectStore('messages').index('byConversation');
+      const records = [];
+      await new Promise((resolve, reject) => {
+        const req = index.openCursor(range, 'prev');
+        req.onsuccess = () => {
+          const cursor = req.result;
+          // One extra record tells whether an older page exists
+          if (!cursor || records.length > limit) {
+            resolve();
+            return;
+          }
+          records.push(cursor.value);
+          cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+      });
+
+      const hasMore = records.length > limit;
+      const page = records.slice(0, limit);
+      const messages = (await Promise.all(page.map(record => decryptRecord(key, record)))).filter(Boolean);
+      return {
+        messages: messages.reverse(),
+        nextCursor: hasMore ? [page[page.length - 1].timestamp, page[page.length - 1].id] : null
+      };
+    },
+
+    async clearConversation(conversationId) {
+      const tx = db.transaction(['conversations', 'messages'], 'readwrite');
+      const range = IDBKeyRange.bound([conversationId, -Infinity], [conversationId, Infinity]);
+      const messages = tx.objectStore('messages');
+      const ids = await request(messages.index('byConversation').getAllKeys(range));
+      ids.forEach(id => messages.delete(id));
+      tx.objectStore('conversations').delete(conversationId);
+      await transactionDone(tx);
+    },
+
+    listVerifications: () => readAll('verifiedPeers'),
+
+    async saveVerification({ deviceId, publicKey, nodeId, verifiedAt = Date.now() }) {
+      const tx = db.transaction('verifiedPeers', 'readwrite');
+      tx.objectStore('verifiedPeers').put({ deviceId, publicKey, nodeId, verifiedAt });
+      await transactionDone(tx);
+    },
+
+    async removeVerification(deviceId) {
+      const tx = db.transaction('verifiedPeers', 'readwrite');
+      tx.objectStore('verifiedPeers').delete(deviceId);
+      await transactionDone(tx);
+    },
+
+    /**
+     * Our long-term identity: { deviceId, algorithm, privateKey, publicKey } with
+     * non-extractable CryptoKeys. create() makes one the first time, when nothing is stored.
+     */
+    async loadIdentity(create) {
+      const stored = await request(db.transaction('keys').objectStore('keys').get(IDENTITY_ID));
+      if (stored) return stored.identity;
+
+      const identity = await create();
+      const tx = db.transaction('keys', 'readwrite');
+      tx.objectStore('keys').put({ id: IDENTITY_ID, identity, createdAt: Date.now() });
+      await transactionDone(tx);
+      return identity;
+    },
+
+    async exportArchive(passphrase) {
+      const messages = (await Promise.all((await readAll('messages')).map(record => decryptRecord(key, record))))
+        .filter(Boolean);
+      return createArchive(passphrase, { conversations: await readAll('conversations'), messages });
+    },
+
+    // Merges an archive into the store; returns how many messages were new
+    async importArchive(passphrase, archive) {
+      const { conversations, messages } = await readArchive(passphrase, archive);
+      const byId = new Map(conversations.map(conversation => [conversation.id, conversation]));
+      let imported = 0;
+      for (const message of messages) {
+        const conversation = byId.get(message.conversationId) ?? { id: message.conversationId };
+        if (await history.addMessage(conversation, message)) imported += 1;
+      }
+      return imported;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+
+  return history;
+};
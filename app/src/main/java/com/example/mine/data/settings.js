@@ -0,0 +1,97 @@
+import { DEFAULT_MAX_ATTACHMENT_SIZE } from '../network/fileTransfer.js';
+
+// Connection preferences for the web companion, kept in localStorage under one key.
+// Stored values are checked field by field on load, so a corrupted or outdated entry
+// falls back to the defaults instead of breaking the app. Without localStorage
+// (private windows, Node) settings still work for the session but are not kept.
+const STORAGE_KEY = 'fusion-node-settings';
+
+export const QR_EXPIRY_OPTIONS = [1, 5, 10, 30, 60]; // minutes
+
+export const PreferredTransport = Object.freeze({
+  ASK: 'ask',
+  BLUETOOTH: 'bluetooth',
+  WIFI: 'wifi'
+});
+
+export const DEFAULT_SETTINGS = Object.freeze({
+  autoConnect: true,
+  backgroundSync: false,
+  qrExpiryMinutes: 10,
+  preferredTransport: PreferredTransport.ASK,
+  // Nodes are stored as { id, name, type, url, demo }; Bluetooth handles are not serializable
+  defaultNode: null,
+  lastNode: null,
+  maxAttachmentSize: DEFAULT_MAX_ATTACHMENT_SIZE,
+  // Simulated nodes and peers instead of real links; off until the user asks for it
+  demoMode: false
+});
+
+// The part of a selected device worth keeping, or null if it is not one
+export const toStoredNode = (node) => {
+  if (!node || typeof node.id !== 'string' || !node.id) return null;
+  if (node.type !== 'bluetooth' && node.type !== 'wifi') return null;
+  return {
+    id: node.id,
+    name: typeof node.name === 'string' ? node.name : node.id,
+    type: node.type,
+    url: typeof node.url === 'string' ? node.url : null,
+    demo: node.demo === true
+  };
+};
+
+const sanitize = (stored) => {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (!stored || typeof stored !== 'object') return settings;
+
+  for (const key of ['autoConnect', 'backgroundSync', 'demoMode']) {
+    if (typeof stored[key] === 'boolean') settings[key] = stored[key];
+  }
+  if (QR_EXPIRY_OPTIONS.includes(stored.qrExpiryMinutes)) {
+    settings.qrExpiryMinutes = stored.qrExpiryMinutes;
+  }
+  if (Object.values(PreferredTransport).includes(stored.preferredTransport)) {
+    settings.preferredTransport = stored.preferredTransport;
+  }
+  if (Number.isInteger(stored.maxAttachmentSize) && stored.maxAttachmentSize > 0) {
+    settings.maxAttachmentSize = stored.maxAttachmentSize;
+  }
+  settings.defaultNode = toStoredNode(stored.defaultNode);
+  settings.lastNode = toStoredNode(stored.lastNode);
+  return settings;
+};
+
+// localStorage, or null where it is missing or disabled
+export const defaultStorage = () => {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch (e) {
+    // Some browsers throw on access when storage is disabled
+    return null;
+  }
+};
+
+export const loadSettings = ({ storage = defaultStorage() } = {}) => {
+  try {
+    const json = storage?.getItem(STORAGE_KEY);
+    return sanitize(json ? JSON.parse(json) : null);
+  } catch (e) {
+    return sanitize(null);
+  }
+};
+
+// Returns false if the settings could not be written
+export const saveSettings = (settings, { storage = defaultStorage() } = {}) => {
+  if (!storage) return false;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(sanitize(settings)));
+    return true;
+  } catch (e) {
+    // Quota exceeded or storage disabled: keep the in-memory settings
+    return false;
+  }
+};
+
+// The node auto-connect goes to: the chosen default, else the last one connected to
+export const autoConnectTarget = (settings) =>
+  settings.autoConnect ? settings.defaultNode ?? settings.lastNode : null;
@@ -0,0 +1,207 @@
+import { createTransportBase, TransportState } from './transport.js';
+import { FrameFlags, MAX_PAYLOAD_SIZE } from '../crypto/frame.js';
+import { concatBytes } from '../utils/bytes.js';
+
+// Web Bluetooth link to a fusion node, the browser side of BleManager.kt.
+// UUIDs must match the ones the node advertises.
+export const FUSION_SERVICE_UUID = '12345678-1234-1234-1234-123456789abc';
+export const MESSAGE_CHARACTERISTIC_UUID = '87654321-4321-4321-4321-cba987654321';
+export const STATUS_CHARACTERISTIC_UUID = '11111111-2222-3333-4444-555555555555';
+
+// Web Bluetooth does not expose the negotiated ATT MTU, so chunks start at the
+// default (23 - 3 bytes ATT header) until the node reports its MTU on the status
+// characteristic as {"mtu": <bytes>}. A write never carries more than one attribute
+// value, 512 bytes, however large the MTU.
+const DEFAULT_ATT_MTU = 23;
+const ATT_HEADER_SIZE = 3;
+const MAX_ATTRIBUTE_SIZE = 512;
+const CHUNK_HEADER_SIZE = 1;
+const MAX_MESSAGE_SIZE = MAX_PAYLOAD_SIZE + 512;
+
+export const isBluetoothSupported = () =>
+  typeof navigator !== 'undefined' && !!navigator.bluetooth;
+
+// Map RSSI (dBm) onto the 0-100 signal scale the device list uses
+export const rssiToSignal = (rssi) =>
+  Math.round(Math.max(0, Math.min(100, ((rssi + 100) / 60) * 100)));
+
+/**
+ * Discover fusion nodes advertising FUSION_SERVICE_UUID. Uses the LE scan API
+ * where the browser has it (devices with RSSI, continuously); otherwise falls back
+ * to the device chooser, which yields one device without RSSI.
+ * Must be called from a user gesture. Resolves to a function that stops the scan.
+ */
+export const scanForFusionNodes = async ({ onDevice }) => {
+  if (!isBluetoothSupported()) {
+    throw new Error('Web Bluetooth is not available in this browser.');
+  }
+
+  const filters = [{ services: [FUSION_SERVICE_UUID] }];
+
+  if (typeof navigator.bluetooth.requestLEScan === 'function') {
+    const scan = await navigator.bluetooth.requestLEScan({ filters, keepRepeatedDevices: true });
+    const onAdvertisement = (event) => {
+      onDevice({
+        id: event.device.id,
+        name: event.device.name || event.name || 'Unknown Device',
+        rssi: event.rssi ?? null,
+        device: event.device
+      });
+    };
+    navigator.bluetooth.addEventListener('advertisementreceived', onAdvertisement);
+    return () => {
+      navigator.bluetooth.removeEventListener('advertisementreceived', onAdvertisement);
+      scan.stop();
+    };
+  }
+
+  const device = await navigator.bluetooth.requestDevice({ filters });
+  onDevice({ id: device.id, name: device.name || 'Unknown Device', rssi: null, device });
+  return () => {};
+};
+
+// A device this site was allowed to use before, so it can be reconnected without a
+// user gesture. Resolves to null where getDevices() is missing or the grant is gone.
+export const findPermittedDevice = async (id) => {
+  if (!isBluetoothSupported() || typeof navigator.bluetooth.getDevices !== 'function') {
+    return null;
+  }
+  const devices = await navigator.bluetooth.getDevices();
+  return devices.find(device => device.id === id) ?? null;
+};
+
+// Each chunk is [flags | data]; FRAGMENTED marks more to come, LAST_FRAGMENT ends a message
+const splitIntoChunks = (bytes, chunkSize) => {
+  const dataSize = chunkSize - CHUNK_HEADER_SIZE;
+  const chunks = [];
+  for (let offset = 0; offset < bytes.length || chunks.length === 0; offset += dataSize) {
+    const isLast = offset + dataSize >= bytes.length;
+    const flags = isLast ? FrameFlags.LAST_FRAGMENT : FrameFlags.FRAGMENTED;
+    chunks.push(concatBytes(Uint8Array.of(flags), bytes.subarray(offset, offset + dataSize)));
+  }
+  return chunks;
+};
+
+// Bytes per write for an MTU the node reported: never below the default, never above one attribute
+export const chunkSizeForMtu = (mtu) =>
+  Math.min(MAX_ATTRIBUTE_SIZE, Math.max(DEFAULT_ATT_MTU, Number.isInteger(mtu) ? mtu : DEFAULT_ATT_MTU) - ATT_HEADER_SIZE);
+
+const readMtu = async (service) => {
+  try {
+    const status = await service.getCharacteristic(STATUS_CHARACTERISTIC_UUID);
+    const value = await status.readValue();
+    const json = JSON.parse(new TextDecoder().decode(value));
+    return Number.isInteger(json.mtu) && json.mtu > DEFAULT_ATT_MTU ? json.mtu : DEFAULT_ATT_MTU;
+  } catch (e) {
+    return DEFAULT_ATT_MTU;
+  }
+};
+
+export const createBluetoothTransport = ({ device }) => {
+  const { transport, emit, setState } = createTransportBase('bluetooth');
+  let characteristic = null;
+  let chunkSize = chunkSizeForMtu(DEFAULT_ATT_MTU);
+  let received = [];
+  let receivedSize = 0;
+  let writeQueue = Promise.resolve();
+  let stopWatching = null;
+
+  // RSSI of the connected node's advertisements, where the browser can watch them
+  const onAdvertisement = (event) => {
+    if (event.rssi !== undefined && event.rssi !== null) emit('signal', rssiToSignal(event.rssi));
+  };
+
+  const watchSignal = () => {
+    if (stopWatching || typeof device.watchAdvertisements !== 'function') return;
+    const abort = new AbortController();
+    device.addEventListener('advertisementreceived', onAdvertisement);
+    device.watchAdvertisements({ signal: abort.signal }).catch(() => {});
+    stopWatching = () => {
+      device.removeEventListener('advertisementreceived', onAdvertisement);
+      abort.abort();
+      stopWatching = null;
+    };
+  };
+
+  const onValueChanged = (event) => {
+    const { value } = event.target;
+    const chunk = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    if (chunk.length < CHUNK_HEADER_SIZE) return;
+
+    received.push(chunk.slice(CHUNK_HEADER_SIZE));
+    receivedSize += chunk.length - CHUNK_HEADER_SIZE;
+    if (receivedSize > MAX_MESSAGE_SIZE) {
+      // Runaway sender: drop what we have and wait for the next message
+      received = [];
+      receivedSize = 0;
+      return;
+    }
+    if (chunk[0] & FrameFlags.LAST_FRAGMENT) {
+      const message = concatBytes(...received);
+      received = [];
+      receivedSize = 0;
+      emit('frame', message);
+    }
+  };
+
+  const onDisconnected = () => {
+    characteristic = null;
+    if (transport.state === TransportState.CONNECTED) {
+      setState(TransportState.DISCONNECTED, 'Bluetooth device disconnected');
+    }
+  };
+
+  transport.connect = async () => {
+    setState(TransportState.CONNECTING);
+    try {
+      device.addEventListener('gattserverdisconnected', onDisconnected);
+      const server = await device.gatt.connect();
+      const service = await server.getPrimaryService(FUSION_SERVICE_UUID);
+      chunkSize = chunkSizeForMtu(await readMtu(service));
+      characteristic = await service.getCharacteristic(MESSAGE_CHARACTERISTIC_UUID);
+      characteristic.addEventListener('characteristicvaluechanged', onValueChanged);
+      await characteristic.startNotifications();
+      setState(TransportState.CONNECTED);
+      emit('node', device.name || device.id);
+      watchSignal();
+    } catch (e) {
+      device.removeEventListener('gattserverdisconnected', onDisconnected);
+      setState(TransportState.FAILED, e.message);
+      throw new Error(`Bluetooth connection failed: ${e.message}`);
+    }
+  };
+
+  transport.send = (bytes) => {
+    if (!characteristic || transport.state !== TransportState.CONNECTED) {
+      return false;
+    }
+    // GATT allows one operation at a time, so writes are serialized
+    const target = characteristic;
+    const chunks = splitIntoChunks(bytes, chunkSize);
+    writeQueue = writeQueue
+      .then(async () => {
+        for (const chunk of chunks) {
+          await target.writeValueWithResponse(chunk);
+        }
+        // Every chunk was written with a response, so the node has the whole message
+        emit('relayed', bytes);
+      })
+      .catch((e) => setState(TransportState.FAILED, `Bluetooth write failed: ${e.message}`));
+    return true;
+  };
+
+  transport.close = () => {
+    setState(TransportState.CLOSED);
+    stopWatching?.();
+    device.removeEventListener('gattserverdisconnected', onDisconnected);
+    if (characteristic) {
+      characteristic.removeEventListener('characteristicvaluechanged', onValueChanged);
+      characteristic = null;
+    }
+    if (device.gatt.connected) {
+      device.gatt.disconnect();
+    }
+  };
+
+  return transport;
+};
@@ -0,0 +1,200 @@
+// Per-connection statistics for the web companion, the counterpart of
+// WifiConnectionHistory.kt and WifiUsageStatistics.kt. A recorder follows one
+// connection to a fusion node (traffic each way, resends, link drops and signal
+// samples); summarizeNodes() folds finished records into per-node reliability so the
+// best node can be picked.
+//
+// Record: { id, nodeId, nodeName, transport, demo, connected, startedAt, updatedAt,
+//   endedAt, endReason, bytesSent, bytesReceived, framesSent, framesReceived,
+//   messagesSent, messagesReceived, resends, reconnects, downtimeMs,
+//   signal: [{ at, value }] }
+// endedAt stays null for a connection still open, or one the page closed under.
+export const MAX_SIGNAL_SAMPLES = 240;
+
+// Every record's counters, summed per node in summaries
+export const COUNTERS = [
+  'bytesSent', 'bytesReceived', 'framesSent', 'framesReceived',
+  'messagesSent', 'messagesReceived', 'resends', 'reconnects'
+];
+
+export const SessionEnd = Object.freeze({
+  CLOSED: 'closed',
+  FAILED: 'failed'
+});
+
+// Halves the samples by averaging neighbours, so a long session keeps its shape
+const compactSamples = (samples) => {
+  const compacted = [];
+  for (let i = 0; i < samples.length; i += 2) {
+    const pair = samples.slice(i, i + 2);
+    compacted.push({
+      at: pair[0].at,
+      value: Math.round(pair.reduce((sum, sample) => sum + sample.value, 0) / pair.length)
+    });
+  }
+  return compacted;
+};
+
+/**
+ * Records one connection to node ({ id, name }) over a transport kind. Call
+ * connected() once the link is up and end() when it goes away; the counters in
+ * between are cheap enough to call per frame.
+ */
+export const createSessionRecorder = ({ node, transport, demo = false, now = Date.now }) => {
+  const startedAt = now();
+  const record = {
+    id: `${node.id}-${startedAt}-${Math.random().toString(36).slice(2, 8)}`,
+    nodeId: node.id,
+    nodeName: node.name ?? node.id,
+    transport,
+    demo,
+    connected: false,
+    startedAt,
+    updatedAt: startedAt,
+    endedAt: null,
+    endReason: null,
+    ...Object.fromEntries(COUNTERS.map(key => [key, 0])),
+    downtimeMs: 0,
+    signal: []
+  };
+  // When the link dropped, while it is down
+  let droppedAt = null;
+
+  // The record as of now, counting an ongoing drop as downtime
+  const snapshot = () => {
+    const at = now();
+    return {
+      ...record,
+      updatedAt: at,
+      downtimeMs: record.downtimeMs + (droppedAt === null ? 0 : at - droppedAt),
+      signal: [...record.signal]
+    };
+  };
+
+  return {
+    get id() {
+      return record.id;
+    },
+
+    connected() {
+      record.connected = true;
+    },
+
+    // One frame of size bytes, including resends
+    sent(size) {
+      record.framesSent += 1;
+      record.bytesSent += size;
+    },
+
+    received(size) {
+      record.framesReceived += 1;
+      record.bytesReceived += size;
+    },
+
+    messageSent() {
+      record.messagesSent += 1;
+    },
+
+    messageReceived() {
+      record.messagesReceived += 1;
+    },
+
+    resent() {
+      record.resends += 1;
+    },
+
+    linkDown() {
+      droppedAt ??= now();
+    },
+
+    // A link that comes back after a drop counts as a reconnect
+    linkUp() {
+      if (droppedAt === null) return;
+      record.downtimeMs += now() - droppedAt;
+      record.reconnects += 1;
+      droppedAt = null;
+    },
+
+    // value is on the device list's 0-100 scale; readings older than the last are skipped
+    sampleSignal(value, at = now()) {
+      if (!Number.isFinite(value)) return;
+      const last = record.signal[record.signal.length - 1];
+      if (last && at <= last.at) return;
+      record.signal.push({ at, value: Math.round(value) });
+      if (record.signal.length > MAX_SIGNAL_SAMPLES) {
+        record.signal = compactSamples(record.signal);
+      }
+    },
+
+    snapshot,
+
+    end(reason = SessionEnd.CLOSED) {
+      const final = snapshot();
+      return { ...final, endedAt: final.updatedAt, endReason: reason };
+    }
+  };
+};
+
+export const sessionDuration = (record) => (record.endedAt ?? record.updatedAt) - record.startedAt;
+
+export const averageSignal = (samples) =>
+  samples.length === 0 ? null : Math.round(samples.reduce((sum, sample) => sum + sample.value, 0) / samples.length);
+
+/**
+ * One entry per node, most reliable first: connection attempts and failures, time
+ * connected, traffic, resends, reconnects and average signal, plus
+ *   successRate   connections that came up / attempts
+ *   uptime        share of connected time the link was not down
+ *   deliveryRate  share of frames sent that were not resends
+ *   reliability   0-100, the product of the three
+ */
+export const summarizeNodes = (records) => {
+  const nodes = new Map();
+  // Records arrive oldest first, so the latest name wins
+  for (const record of records) {
+    const node = nodes.get(record.nodeId) ?? {
+      nodeId: record.nodeId,
+      nodeName: record.nodeName,
+      transports: [],
+      attempts: 0,
+      failures: 0,
+      connectedMs: 0,
+      downtimeMs: 0,
+      ...Object.fromEntries(COUNTERS.map(key => [key, 0])),
+      samples: [],
+      lastConnectedAt: null
+    };
+    node.nodeName = record.nodeName;
+    if (!node.transports.includes(record.transport)) node.transports.push(record.transport);
+    node.attempts += 1;
+    if (!record.connected) {
+      node.failures += 1;
+      nodes.set(record.nodeId, node);
+      continue;
+    }
+    node.connectedMs += sessionDuration(record);
+    node.downtimeMs += record.downtimeMs;
+    for (const key of COUNTERS) {
+      node[key] += record[key];
+    }
+    node.samples.push(...record.signal);
+    node.lastConnectedAt = Math.max(node.lastConnectedAt ?? 0, record.startedAt);
+    nodes.set(record.nodeId, node);
+  }
+
+  return [...nodes.values()]
+    .map(({ samples, ...node }) => {
+      const successRate = (node.attempts - node.failures) / node.attempts;
+      const uptime = node.connectedMs > 0 ? Math.max(0, 1 - node.downtimeMs / node.connectedMs) : successRate > 0 ? 1 : 0;
+      const deliveryRate = node.framesSent > 0 ? Math.max(0, 1 - node.resends / node.framesSent) : 1;
+      return {
+        ...node,
+        averageSignal: averageSignal(samples),
+        successRate,
+        uptime,
+        deliveryRate,
+        reliability: Math.round(100 * successRate * uptime * deliveryRate)
+      };
+    })
+    .sort((a, b) => b.reliability - a.reliability || (b.averageSignal ?? -1) - (a.averageSignal ?? -1));
+};
@@ -0,0 +1,160 @@
+import { createTransportBase, TransportState, sendFrame, readFrame } from './transport.js';
+import { generateKeyPair } from '../crypto/keys.js';
+import { encodeQRPayload } from '../crypto/qrCodeData.js';
+import { establishSession, createHandshakeFrame, readHandshakeFrame } from '../crypto/session.js';
+import { createRekeyController } from '../crypto/rekey.js';
+import { decodeRoutedPayload, relayRoutedPayload } from '../crypto/routingInfo.js';
+import { rssiToSignal } from './bluetoothTransport.js';
+
+// Demo transport: the old simulated behavior, now explicit and off by default.
+// It plays a fusion node with one peer behind it that answers handshakes and echoes
+// chat messages, with the same random failure rates the app used to hard-code.
+// Its frames reach us through a relay: DEMO_PEER -> DEMO_RELAY -> our node.
+export const DEMO_PEER_NODE = 'DEMO_PEER';
+export const DEMO_RELAY_NODE = 'DEMO_RELAY';
+
+const CONNECT_DELAY_MS = 2000;
+const CONNECT_SUCCESS_RATE = 0.8;
+const HANDSHAKE_SUCCESS_RATE = 0.7;
+const ECHO_DELAY_MS = 1000;
+const RELAY_DELAY_MS = 300;
+const HOP_LATENCY_MS = [40, 250];
+
+const randomHopLatency = () =>
+  HOP_LATENCY_MS[0] + Math.random() * (HOP_LATENCY_MS[1] - HOP_LATENCY_MS[0]);
+
+// Forward a routed payload through each node of the simulated path
+const relayAlong = (bytes, nodes) => {
+  let payload = bytes;
+  let at = decodeRoutedPayload(bytes).route.sentAt;
+  for (const nodeId of nodes) {
+    at += randomHopLatency();
+    payload = relayRoutedPayload(payload, nodeId, at).bytes;
+    if (!payload) return null;
+  }
+  return payload;
+};
+
+// nodeId picks the simulated node whose signal level the link reports
+export const createDemoTransport = ({ nodeId = null } = {}) => {
+  const { transport, emit, setState } = createTransportBase('demo');
+  let peerKeys = null;
+  let peerChat = null;
+  let clientNode = null;
+  let signalTimer = null;
+  const baseRssi = DEMO_NODES.find(node => node.id === nodeId)?.rssi ?? DEFAULT_DEMO_RSSI;
+
+  // The simulated peer's side of the link
+  const peerLink = {
+    send: (bytes) => {
+      const { route } = decodeRoutedPayload(bytes);
+      const relayed = relayAlong(bytes, [DEMO_PEER_NODE, DEMO_RELAY_NODE, route.destination]);
+      setTimeout(() => {
+        if (relayed && transport.state === TransportState.CONNECTED) {
+          emit('frame', relayed);
+        }
+      }, ECHO_DELAY_MS);
+      return true;
+    }
+  };
+  const sendAsPeer = (fusionId, frame) => sendFrame(peerLink, fusionId, frame, { source: DEMO_PEER_NODE });
+
+  const handleAsPeer = async (bytes) => {
+    const incoming = readFrame(bytes);
+    if (!incoming) return;
+
+    const handshake = readHandshakeFrame(incoming.frame);
+    if (handshake) {
+      if (Math.random() > HANDSHAKE_SUCCESS_RATE) return; // simulated handshake loss
+      peerChat?.close();
+      peerChat = createRekeyController({
+        session: await establishSession(peerKeys, handshake.publicKey),
+        send: (frame) => sendAsPeer(handshake.fusionNode, frame)
+      });
+      clientNode = handshake.fusionNode;
+      sendAsPeer(clientNode, await createHandshakeFrame(peerKeys, DEMO_PEER_NODE));
+      return;
+    }
+
+    // The simulated peer follows rekeys like a real client would
+    const text = peerChat ? await peerChat.receive(incoming.frame) : null;
+    if (text !== null) {
+      sendAsPeer(clientNode, await peerChat.createFrame(`Echo: ${text}`));
+    }
+  };
+
+  transport.connect = async () => {
+    setState(TransportState.CONNECTING);
+    await new Promise(resolve => setTimeout(resolve, CONNECT_DELAY_MS));
+    if (Math.random() > CONNECT_SUCCESS_RATE) {
+      setState(TransportState.FAILED, 'Simulated connection failure');
+      throw new Error('Simulated connection failure');
+    }
+    // Reconnects keep the same peer, so its chat and the outbox survive a dropped link
+    peerKeys ??= await generateKeyPair();
+    // What the demo peer's QR code would contain
+    transport.peerPayload = encodeQRPayload({
+      publicKey: peerKeys.publicKeyBase64,
+      fusionNode: DEMO_PEER_NODE,
+      routed: true
+    });
+    setState(TransportState.CONNECTED);
+    emit('node', DEMO_PEER_NODE);
+    clearInterval(signalTimer);
+    signalTimer = setInterval(() => emit('signal', rssiToSignal(jitteredRssi(baseRssi))), ADVERTISE_INTERVAL_MS);
+  };
+
+  transport.send = (bytes) => {
+    if (transport.state !== TransportState.CONNECTED) {
+      return false;
+    }
+    handleAsPeer(bytes.slice());
+    setTimeout(() => emit('relayed', bytes), RELAY_DELAY_MS);
+    return true;
+  };
+
+  transport.close = () => {
+    setState(TransportState.CLOSED);
+    clearInterval(signalTimer);
+    peerChat?.close();
+    peerChat = null;
+  };
+
+  return transport;
+};
+
+// Simulated advertisements for the device list in demo mode: RSSI wanders around each
+// node's base level, and the relay drops out now and then, so the list shows
+// smoothing and staleness the way a real scan would.
+const DEMO_NODES = [
+  { id: 'AADI_pa', name: 'AADI Fusion Node PA', transport: 'bluetooth', rssi: -55, paired: true },
+  { id: 'RELAY_01', name: 'Relay Node 01', transport: 'bluetooth', rssi: -48, presence: 0.6 },
+  { id: 'NODE_2B', name: 'Fusion Node 2B', transport: 'wifi', rssi: -62, secured: true },
+  { id: 'FUSIONNET_5G', name: 'FusionNet_5G', transport: 'wifi', rssi: -50, secured: true },
+  { id: 'AADI_OPEN', name: 'AADI_Network', transport: 'wifi', rssi: -78 }
+];
+const ADVERTISE_INTERVAL_MS = 2000;
+const RSSI_JITTER_DBM = 8;
+const DEFAULT_DEMO_RSSI = -60;
+
+const jitteredRssi = (rssi) => rssi + (Math.random() - 0.5) * 2 * RSSI_JITTER_DBM;
+
+// Calls onAdvertisement({ id, name, transport, signal, secured, paired, demo }); returns a stop function
+export const advertiseDemoNodes = ({ onAdvertisement, interval = ADVERTISE_INTERVAL_MS }) => {
+  const advertise = () => {
+    for (const { rssi, presence = 1, ...node } of DEMO_NODES) {
+      if (Math.random() > presence) continue;
+      const reading = jitteredRssi(rssi);
+      onAdvertisement({
+        secured: false,
+        paired: false,
+        ...node,
+        signal: rssiToSignal(reading),
+        demo: true
+      });
+    }
+  };
+  advertise();
+  const timer = setInterval(advertise, interval);
+  return () => clearInterval(timer);
+};
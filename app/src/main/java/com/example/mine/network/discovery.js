@@ -0,0 +1,127 @@
+// Nearby fusion nodes as reported by the active transports, the web counterpart of
+// BluetoothDiscoveryManager.kt and WifiDiscoveryManager.kt. Each transport feeds
+// advertisements in; the registry keeps one entry per node with when it was first and
+// last seen, a smoothed signal and what we know about it, and forgets nodes that stop
+// advertising.
+export const DEFAULT_STALE_AFTER_MS = 15000;
+// Weight of a new reading in the signal's moving average; RSSI is noisy
+const SIGNAL_SMOOTHING = 0.3;
+
+export const DeviceSort = Object.freeze({
+  SIGNAL: 'signal',
+  RECENT: 'recent'
+});
+
+export const DeviceFilter = Object.freeze({
+  ALL: 'all',
+  PAIRED: 'paired',
+  SECURED: 'secured',
+  KNOWN: 'known'
+});
+
+const smoothSignal = (previous, reading) => {
+  if (reading === null || reading === undefined) return previous ?? null;
+  if (previous === null || previous === undefined) return Math.round(reading);
+  return Math.round(previous + SIGNAL_SMOOTHING * (reading - previous));
+};
+
+/**
+ * Registry of discovered devices. advertise() takes
+ * { id, name, transport, signal, secured, paired, ...extra } from a scan; anything
+ * extra (a Web Bluetooth device handle, a bridge URL) is kept for connecting later.
+ * onChange(entries) runs whenever the list changes.
+ */
+export const createDiscoveryRegistry = ({
+  staleAfter = DEFAULT_STALE_AFTER_MS,
+  onChange = () => {},
+  now = Date.now
+} = {}) => {
+  const devices = new Map();
+  // Nodes we have connected to or verified; they survive pruning as a flag
+  const known = new Set();
+
+  const entries = () => [...devices.values()];
+  const changed = () => onChange(entries());
+
+  const advertise = ({ id, name, transport, signal = null, secured = false, paired = false, ...extra }) => {
+    const previous = devices.get(id);
+    const at = now();
+    devices.set(id, {
+      ...previous,
+      ...extra,
+      id,
+      name: name || previous?.name || 'Unknown Device',
+      transport,
+      signal: smoothSignal(previous?.signal, signal),
+      secured,
+      paired,
+      known: known.has(id),
+      firstSeen: previous?.firstSeen ?? at,
+      lastSeen: at
+    });
+    changed();
+  };
+
+  // Drop devices not heard from within staleAfter; returns the IDs removed
+  const prune = () => {
+    const cutoff = now() - staleAfter;
+    const removed = entries().filter(device => device.lastSeen < cutoff).map(device => device.id);
+    removed.forEach(id => devices.delete(id));
+    if (removed.length > 0) changed();
+    return removed;
+  };
+
+  const setKnown = (ids) => {
+    known.clear();
+    ids.forEach(id => known.add(id));
+    for (const device of devices.values()) {
+      device.known = known.has(device.id);
+    }
+    changed();
+  };
+
+  const clear = () => {
+    devices.clear();
+    changed();
+  };
+
+  return {
+    get entries() {
+      return entries();
+    },
+    advertise,
+    prune,
+    setKnown,
+    clear
+  };
+};
+
+const matches = (device, filter) => {
+  switch (filter) {
+    case DeviceFilter.PAIRED:
+      return device.paired;
+    case DeviceFilter.SECURED:
+      return device.secured;
+    case DeviceFilter.KNOWN:
+      return device.known;
+    default:
+      return true;
+  }
+};
+
+/**
+ * The device list as shown: one transport, narrowed by a search query and filter,
+ * known nodes first, then by signal (unknown signal last) or by most recently seen.
+ */
+export const listDevices = (entries, { transport, query = '', filter = DeviceFilter.ALL, sort = DeviceSort.SIGNAL } = {}) => {
+  const needle = query.trim().toLowerCase();
+  const bySort = sort === DeviceSort.RECENT
+    ? (a, b) => b.lastSeen - a.lastSeen
+    : (a, b) => (b.signal ?? -1) - (a.signal ?? -1) || b.lastSeen - a.lastSeen;
+
+  return entries
+    .filter(device => !transport || device.transport === transport)
+    .filter(device => !needle || device.name.toLowerCase().includes(needle) || device.id.toLowerCase().includes(needle))
+    .filter(device => matches(device, filter))
+    .sort((a, b) => Number(b.known) - Number(a.known) || bySort(a, b));
+};
@@ -0,0 +1,402 @@
+import { MAX_PAYLOAD_SIZE, FRAME_HEADER_SIZE, NONCE_SIZE, TAG_SIZE } from '../crypto/frame.js';
+import { PAYLOAD_HEADER_SIZE } from '../crypto/session.js';
+import { bytesToBase64, concatBytes } from '../utils/bytes.js';
+
+// File and image attachments. A transfer is an OFFER with the file's metadata and
+// SHA-256, followed by its chunks once the OFFER is acknowledged; every message is a FILE payload on an ordinary
+// DATA frame, so it is encrypted with the session keys, acknowledged, retried and
+// queued offline by the outbox like chat text. The receiver reassembles the chunks
+// and checks the digest before showing the file.
+//
+//   [kind | transfer ID (16) | body]
+//   OFFER:  JSON { name, mimeType, size, chunkSize, chunkCount, sha256 }
+//   CHUNK:  [index (uint32) | data]
+//   CANCEL: empty (either side stops; chunks received so far are kept)
+//   RESUME: bitmap of the chunks the receiver holds, bit i of byte i / 8 (the
+//           receiver asks the sender to continue, or answers a resumed OFFER)
+const MessageKind = Object.freeze({
+  OFFER: 1,
+  CHUNK: 2,
+  CANCEL: 3,
+  RESUME: 4
+});
+
+const TRANSFER_ID_SIZE = 16;
+const MESSAGE_HEADER_SIZE = 1 + TRANSFER_ID_SIZE;
+const CHUNK_INDEX_SIZE = 4;
+
+// The largest chunk whose DATA frame still fits the frame payload limit
+export const CHUNK_SIZE = MAX_PAYLOAD_SIZE - FRAME_HEADER_SIZE - NONCE_SIZE - TAG_SIZE -
+  PAYLOAD_HEADER_SIZE - MESSAGE_HEADER_SIZE - CHUNK_INDEX_SIZE;
+
+export const DEFAULT_MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+// Chunks in flight per transfer; the next goes out as each one is acknowledged
+const SEND_WINDOW = 4;
+
+export const TransferState = Object.freeze({
+  SENDING: 'sending',
+  RECEIVING: 'receiving',
+  CANCELLED: 'cancelled',
+  COMPLETE: 'complete',
+  FAILED: 'failed'
+});
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toHex = (bytes) => [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex) => Uint8Array.from(hex.match(/../g), pair => parseInt(pair, 16));
+
+const sha256 = async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+
+const encodeMessage = (kind, transferId, body = new Uint8Array(0)) =>
+  concatBytes(Uint8Array.of(kind), fromHex(transferId), body);
+
+const encodeChunk = (transferId, index, data) => {
+  const header = new Uint8Array(CHUNK_INDEX_SIZE);
+  new DataView(header.buffer).setUint32(0, index);
+  return encodeMessage(MessageKind.CHUNK, transferId, concatBytes(header, data));
+};
+
+// Which chunks an incoming transfer holds, for RESUME
+const encodeHeld = (transfer) => {
+  const bitmap = new Uint8Array(Math.ceil(transfer.chunkCount / 8));
+  transfer.chunks.forEach((chunk, index) => {
+    if (chunk) bitmap[index >> 3] |= 1 << (index & 7);
+  });
+  return bitmap;
+};
+
+const readHeld = (transfer, body) => {
+  if (body.length !== Math.ceil(transfer.chunkCount / 8)) return null;
+  const held = new Set();
+  for (let index = 0; index < transfer.chunkCount; index++) {
+    if (body[index >> 3] & (1 << (index & 7))) held.add(index);
+  }
+  return held;
+};
+
+const encodeOffer = ({ id, name, mimeType, size, chunkSize, chunkCount, sha256: digest }) =>
+  encodeMessage(MessageKind.OFFER, id,
+    encoder.encode(JSON.stringify({ name, mimeType, size, chunkSize, chunkCount, sha256: digest })));
+
+const decodeMessage = (bytes) => {
+  if (bytes.length < MESSAGE_HEADER_SIZE) return null;
+  return {
+    kind: bytes[0],
+    transferId: toHex(bytes.subarray(1, MESSAGE_HEADER_SIZE)),
+    body: bytes.subarray(MESSAGE_HEADER_SIZE)
+  };
+};
+
+const readOffer = (body) => {
+  try {
+    const offer = JSON.parse(decoder.decode(body));
+    const { name, mimeType, size, chunkSize, chunkCount, sha256: digest } = offer;
+    if (typeof name !== 'string' || typeof mimeType !== 'string' || typeof digest !== 'string') return null;
+    if (!Number.isInteger(size) || size <= 0 || !Number.isInteger(chunkSize) || chunkSize <= 0 ||
+        chunkSize > CHUNK_SIZE || chunkCount !== Math.ceil(size / chunkSize)) {
+      return null;
+    }
+    return { name, mimeType, size, chunkSize, chunkCount, sha256: digest };
+  } catch (e) {
+    return null;
+  }
+};
+
+// Public view of a transfer, for the message list
+const snapshot = (transfer) => ({
+  id: transfer.id,
+  peerId: transfer.peerId,
+  direction: transfer.direction,
+  name: transfer.name,
+  mimeType: transfer.mimeType,
+  size: transfer.size,
+  chunkCount: transfer.chunkCount,
+  done: transfer.direction === 'outgoing' ? transfer.delivered.size : transfer.received,
+  state: transfer.state,
+  data: transfer.state === TransferState.COMPLETE || transfer.direction === 'outgoing' ? transfer.data : null,
+  error: transfer.error
+});
+
+/**
+ * send(peerId, bytes) hands a FILE payload to the outbox and resolves to its outbox
+ * entry ID; discard(entryId) drops a queued one. Report outbox progress with
+ * chunkDelivered(entryId) and chunkFailed(entryId). onChange(transfer) fires on
+ * every progress or state change.
+ */
+export const createFileTransfers = ({
+  send,
+  discard = () => {},
+  onChange = () => {},
+  maxSize = DEFAULT_MAX_ATTACHMENT_SIZE
+}) => {
+  const transfers = new Map();
+  let sizeLimit = maxSize;
+
+  const update = (transfer, changes = {}) => {
+    Object.assign(transfer, changes);
+    onChange(snapshot(transfer));
+  };
+
+  const sendControl = (transfer, kind, body) => send(transfer.peerId, encodeMessage(kind, transfer.id, body));
+
+  // The receiver drops chunks of a transfer it has not accepted, so chunks wait
+  // until chunkDelivered() reports the OFFER's entry
+  const sendOffer = async (transfer) => {
+    transfer.offerEntry = await send(transfer.peerId, encodeOffer(transfer));
+  };
+
+  // Keep SEND_WINDOW chunks in flight until every chunk is acknowledged
+  const pump = async (transfer) => {
+    while (transfer.state === TransferState.SENDING && transfer.offerEntry === null &&
+           transfer.inFlight.size < SEND_WINDOW) {
+      let index = 0;
+      while (index < transfer.chunkCount && (transfer.delivered.has(index) || transfer.inFlight.has(index))) {
+        index += 1;
+      }
+      if (index === transfer.chunkCount) break;
+
+      transfer.inFlight.add(index);
+      const start = index * transfer.chunkSize;
+      const chunk = transfer.data.subarray(start, start + transfer.chunkSize);
+      const entryId = await send(transfer.peerId, encodeChunk(transfer.id, index, chunk));
+      // Cancelled while the chunk was being sealed
+      if (!transfer.inFlight.has(index)) {
+        discard(entryId);
+        return;
+      }
+      transfer.entries.set(entryId, index);
+    }
+  };
+
+  // For callers that cannot wait, like outbox progress: a send that throws fails the transfer
+  const pumpInBackground = (transfer) => {
+    pump(transfer).catch(e => {
+      stopSending(transfer);
+      update(transfer, { state: TransferState.FAILED, error: `Could not send a chunk: ${e.message}` });
+    });
+  };
+
+  const stopSending = (transfer) => {
+    transfer.entries.forEach((index, entryId) => discard(entryId));
+    transfer.entries.clear();
+    transfer.inFlight.clear();
+    transfer.offerEntry = null;
+  };
+
+  const findByEntry = (entryId) =>
+    [...transfers.values()].find(transfer => transfer.offerEntry === entryId || transfer.entries?.has(entryId)) ?? null;
+
+  const complete = async (transfer) => {
+    const data = concatBytes(...transfer.chunks);
+    transfer.chunks = [];
+    if (bytesToBase64(await sha256(data)) !== transfer.sha256) {
+      update(transfer, { state: TransferState.FAILED, error: 'Integrity check failed' });
+      return;
+    }
+    update(transfer, { state: TransferState.COMPLETE, data });
+  };
+
+  const receiveOffer = (peerId, transferId, body) => {
+    const existing = transfers.get(transferId);
+    if (existing) {
+      // The sender resumed a transfer we already hold chunks of. Chunks that came in
+      // after we cancelled were acknowledged but dropped, so tell it what we have.
+      if (existing.peerId === peerId && existing.state === TransferState.CANCELLED) {
+        update(existing, { state: TransferState.RECEIVING, error: null });
+        sendControl(existing, MessageKind.RESUME, encodeHeld(existing));
+      }
+      return;
+    }
+
+    const offer = readOffer(body);
+    if (!offer) return;
+    // Checked before anything is allocated for the chunks
+    const tooLarge = offer.size > sizeLimit;
+    const transfer = {
+      id: transferId,
+      peerId,
+      direction: 'incoming',
+      ...offer,
+      chunks: tooLarge ? [] : new Array(offer.chunkCount),
+      received: 0,
+      state: tooLarge ? TransferState.FAILED : TransferState.RECEIVING,
+      data: null,
+      error: tooLarge ? `Larger than the ${sizeLimit} byte limit` : null
+    };
+    transfers.set(transferId, transfer);
+    update(transfer);
+    if (tooLarge) {
+      sendControl(transfer, MessageKind.CANCEL);
+    }
+  };
+
+  const receiveChunk = async (transfer, body) => {
+    if (transfer.direction !== 'incoming' || body.length <= CHUNK_INDEX_SIZE) return;
+    // Chunks still in flight when we cancelled are dropped; RESUME asks for them again
+    if (transfer.state !== TransferState.RECEIVING) return;
+
+    const index = new DataView(body.buffer, body.byteOffset, body.byteLength).getUint32(0);
+    const data = body.slice(CHUNK_INDEX_SIZE);
+    const expected = index === transfer.chunkCount - 1
+      ? transfer.size - index * transfer.chunkSize
+      : transfer.chunkSize;
+    if (index >= transfer.chunkCount || data.length !== expected || transfer.chunks[index]) return;
+
+    transfer.chunks[index] = data;
+    transfer.received += 1;
+    update(transfer);
+    if (transfer.received === transfer.chunkCount) {
+      await complete(transfer);
+    }
+  };
+
+  const manager = {
+    get transfers() {
+      return [...transfers.values()].map(snapshot);
+    },
+
+    setMaxSize(bytes) {
+      sizeLimit = bytes;
+    },
+
+    // Offer a file to a peer and start sending it; resolves to the transfer
+    async sendFile(peerId, { name, mimeType = 'application/octet-stream', data }) {
+      if (!data.length) {
+        throw new Error('The file is empty');
+      }
+      if (data.length > sizeLimit) {
+        throw new Error(`Attachments are limited to ${sizeLimit} bytes`);
+      }
+      const transfer = {
+        id: toHex(crypto.getRandomValues(new Uint8Array(TRANSFER_ID_SIZE))),
+        peerId,
+        direction: 'outgoing',
+        name,
+        mimeType,
+        size: data.length,
+        chunkSize: CHUNK_SIZE,
+        chunkCount: Math.ceil(data.length / CHUNK_SIZE),
+        sha256: bytesToBase64(await sha256(data)),
+        data,
+        delivered: new Set(),
+        inFlight: new Set(),
+        entries: new Map(),
+        offerEntry: null,
+        state: TransferState.SENDING,
+        error: null
+      };
+      transfers.set(transfer.id, transfer);
+      update(transfer);
+
+      await sendOffer(transfer);
+      return snapshot(transfer);
+    },
+
+    // FILE payloads from a peer's DATA frames
+    async receive(peerId, bytes) {
+      const message = decodeMessage(bytes);
+      if (!message) return;
+      if (message.kind === MessageKind.OFFER) {
+        receiveOffer(peerId, message.transferId, message.body);
+        return;
+      }
+
+      const transfer = transfers.get(message.transferId);
+      if (!transfer || transfer.peerId !== peerId) return;
+      switch (message.kind) {
+        case MessageKind.CHUNK:
+          await receiveChunk(transfer, message.body);
+          break;
+        case MessageKind.CANCEL:
+          // ACKs only say the frames arrived, so a receiver that refused the offer
+          // can still cancel a transfer whose chunks were all acknowledged
+          if (transfer.state === TransferState.SENDING || transfer.state === TransferState.RECEIVING ||
+              (transfer.direction === 'outgoing' && transfer.state === TransferState.COMPLETE)) {
+            if (transfer.direction === 'outgoing') stopSending(transfer);
+            update(transfer, { state: TransferState.CANCELLED, error: 'Cancelled by the peer' });
+          }
+          break;
+        case MessageKind.RESUME: {
+          if (transfer.direction !== 'outgoing') break;
+          // The receiver's list wins over our ACKs: it may have dropped acknowledged chunks
+          const held = readHeld(transfer, message.body);
+          if (held) update(transfer, { delivered: held });
+          if (transfer.state === TransferState.SENDING) {
+            await pump(transfer);
+          } else {
+            await manager.resume(transfer.id);
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    },
+
+    chunkDelivered(entryId) {
+      const transfer = findByEntry(entryId);
+      if (!transfer) return;
+      if (transfer.offerEntry === entryId) {
+        transfer.offerEntry = null;
+        pumpInBackground(transfer);
+        return;
+      }
+      const index = transfer.entries.get(entryId);
+      transfer.entries.delete(entryId);
+      transfer.inFlight.delete(index);
+      transfer.delivered.add(index);
+      if (transfer.delivered.size === transfer.chunkCount) {
+        update(transfer, { state: TransferState.COMPLETE });
+        return;
+      }
+      update(transfer);
+      pumpInBackground(transfer);
+    },
+
+    // The outbox gave up on the OFFER or a chunk; the transfer can be resumed by hand
+    chunkFailed(entryId) {
+      const transfer = findByEntry(entryId);
+      if (!transfer || transfer.state !== TransferState.SENDING) return;
+      stopSending(transfer);
+      update(transfer, { state: TransferState.FAILED, error: 'The peer stopped acknowledging chunks' });
+    },
+
+    async cancel(transferId) {
+      const transfer = transfers.get(transferId);
+      if (!transfer || (transfer.state !== TransferState.SENDING && transfer.state !== TransferState.RECEIVING)) return;
+      if (transfer.direction === 'outgoing') stopSending(transfer);
+      update(transfer, { state: TransferState.CANCELLED, error: null });
+      await sendControl(transfer, MessageKind.CANCEL);
+    },
+
+    // Continue a cancelled or failed transfer from the chunks already delivered
+    async resume(transferId) {
+      const transfer = transfers.get(transferId);
+      if (!transfer || (transfer.state !== TransferState.CANCELLED && transfer.state !== TransferState.FAILED)) return;
+      if (transfer.direction === 'incoming') {
+        // Failed incoming transfers (too large, corrupted) cannot be resumed
+        if (transfer.state !== TransferState.CANCELLED) return;
+        update(transfer, { state: TransferState.RECEIVING, error: null });
+        await sendControl(transfer, MessageKind.RESUME, encodeHeld(transfer));
+        return;
+      }
+      update(transfer, { state: TransferState.SENDING, error: null });
+      // A fresh OFFER tells a receiver that cancelled to accept chunks again
+      await sendOffer(transfer);
+    },
+
+    // Drop every transfer with a peer, e.g. on disconnect
+    clear() {
+      transfers.forEach(transfer => {
+        if (transfer.direction === 'outgoing') stopSending(transfer);
+      });
+      transfers.clear();
+    }
+  };
+
+  return manager;
+};
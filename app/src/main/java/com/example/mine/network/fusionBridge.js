@@ -0,0 +1,99 @@
+import { connect } from 'node:net';
+import { fileURLToPath } from 'node:url';
+import { createWebSocketServer } from './webSocketServer.js';
+
+// WebSocket <-> TCP bridge between the web companion and a fusion node.
+// The node speaks TcpManager.kt's protocol: newline-terminated lines, JSON control
+// messages (HANDSHAKE, NODE_ID, INFO, ...). Frames are carried as
+// {"type": "FRAME", "data": "<Base64>"} lines and surface as binary WebSocket messages.
+// Once a frame from the web client is written to the node, the bridge answers with a
+// {"type": "RELAYED"} text message; they come in the order the frames were sent.
+//
+// Usage: node fusionBridge.js [--node 192.168.4.1:18080] [--port 18081]
+export const DEFAULT_NODE_PORT = 18080; // TcpManager.DEFAULT_PORT
+export const DEFAULT_BRIDGE_PORT = 18081;
+
+const bridgeClient = (client, { nodeHost, nodePort, log }) => {
+  const tcp = connect({ host: nodeHost, port: nodePort });
+  let pending = '';
+
+  tcp.setEncoding('utf8');
+  tcp.on('connect', () => {
+    log(`connected to fusion node ${nodeHost}:${nodePort}`);
+    // Same opening message TcpManager.sendHandshake sends
+    tcp.write(`${JSON.stringify({ type: 'HANDSHAKE', client: 'web', version: '1.0' })}\n`);
+  });
+
+  tcp.on('data', (chunk) => {
+    pending += chunk;
+    let newline;
+    while ((newline = pending.indexOf('\n')) >= 0) {
+      const line = pending.slice(0, newline).trim();
+      pending = pending.slice(newline + 1);
+      if (!line) continue;
+
+      let json = null;
+      try {
+        json = JSON.parse(line);
+      } catch (e) {
+        // Plain text lines are passed through as control messages
+      }
+      if (json?.type === 'FRAME' && typeof json.data === 'string') {
+        client.send(new Uint8Array(Buffer.from(json.data, 'base64')));
+      } else {
+        client.send(line);
+      }
+    }
+  });
+
+  tcp.on('error', (e) => {
+    log(`fusion node error: ${e.message}`);
+    client.close();
+  });
+  tcp.on('close', () => client.close());
+
+  client.on('message', (data, isBinary) => {
+    if (isBinary) {
+      const line = `${JSON.stringify({ type: 'FRAME', data: Buffer.from(data).toString('base64') })}\n`;
+      tcp.write(line, (e) => {
+        if (!e) client.send(JSON.stringify({ type: 'RELAYED' }));
+      });
+    } else {
+      tcp.write(`${data}\n`);
+    }
+  });
+  client.on('close', () => tcp.end());
+};
+
+export const startFusionBridge = ({
+  port = DEFAULT_BRIDGE_PORT,
+  nodeHost = '127.0.0.1',
+  nodePort = DEFAULT_NODE_PORT,
+  log = () => {}
+} = {}) => createWebSocketServer({
+  port,
+  onConnection: (client) => {
+    log('web client connected');
+    bridgeClient(client, { nodeHost, nodePort, log });
+  }
+});
+
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (argv[i] === '--node') {
+      const [host, port] = argv[i + 1].split(':');
+      options.nodeHost = host;
+      if (port) options.nodePort = Number(port);
+    } else if (argv[i] === '--port') {
+      options.port = Number(argv[i + 1]);
+    }
+  }
+  return options;
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const options = parseArgs(process.argv.slice(2));
+  startFusionBridge({ ...options, log: (message) => console.log(`[fusion-bridge] ${message}`) });
+  console.log(`[fusion-bridge] listening on ws://0.0.0.0:${options.port ?? DEFAULT_BRIDGE_PORT}`);
+}
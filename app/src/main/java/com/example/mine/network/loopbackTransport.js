@@ -0,0 +1,40 @@
+import { createTransportBase, TransportState } from './transport.js';
+
+// Two in-memory transports wired to each other, for tests and local development.
+// Delivery is asynchronous, as it would be over a real link.
+export const createLoopbackPair = () => {
+  const ends = [createTransportBase('loopback'), createTransportBase('loopback')];
+
+  ends.forEach((end, index) => {
+    const other = ends[1 - index];
+    const { transport, emit, setState } = end;
+
+    transport.connect = async () => {
+      setState(TransportState.CONNECTED);
+    };
+
+    transport.send = (bytes) => {
+      if (transport.state !== TransportState.CONNECTED ||
+          other.transport.state !== TransportState.CONNECTED) {
+        return false;
+      }
+      const copy = bytes.slice();
+      setTimeout(() => {
+        if (other.transport.state === TransportState.CONNECTED) {
+          other.emit('frame', copy);
+          emit('relayed', bytes);
+        }
+      }, 0);
+      return true;
+    };
+
+    transport.close = () => {
+      setState(TransportState.CLOSED);
+      if (other.transport.state === TransportState.CONNECTED) {
+        other.setState(TransportState.DISCONNECTED, 'Peer closed the link');
+      }
+    };
+  });
+
+  return ends.map(end => end.transport);
+};
@@ -0,0 +1,157 @@
+// Outgoing message pipeline for the web companion. Every chat message goes through
+// the outbox and moves forward through:
+//
+//   queued -> sent -> relayed -> delivered
+//
+// queued:    sealed, waiting for the link (offline messages stay here)
+// sent:      handed to the link
+// relayed:   the fusion node confirmed it took the frame
+// delivered: the peer's ACK frame arrived
+//
+// Unacknowledged messages are resent with exponential backoff and end up failed
+// after MAX_ATTEMPTS; failed messages can be retried by hand. Delivered messages
+// leave the outbox, so it only holds what is still in flight or failed.
+export const MessageState = Object.freeze({
+  QUEUED: 'queued',
+  SENT: 'sent',
+  RELAYED: 'relayed',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+});
+
+export const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+// 2s, 4s, 8s, ... capped at 30s
+export const retryDelay = (attempts) =>
+  Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+
+/**
+ * Entries carry content: chat text, or the bytes of an attachment message.
+ * seal(entry) resolves to the frame to send for an entry; it is called once on
+ * enqueue and again on a retry when reseal(entry) says the frame can no longer be
+ * used (e.g. its session was rotated away). transmit(entry) returns the bytes handed
+ * to the link, or null when the link is down. onChange(entry) fires on every state change.
+ */
+export const createOutbox = ({ seal, reseal = () => false, transmit, onChange = () => {}, now = Date.now }) => {
+  const entries = new Map();
+
+  const setState = (entry, state, error = null) => {
+    entry.state = state;
+    entry.error = error;
+    onChange({ ...entry });
+  };
+
+  const attempt = async (entry) => {
+    if (reseal(entry)) {
+      entry.frame = await seal(entry);
+    }
+    const bytes = transmit(entry);
+    if (!bytes) {
+      // Offline: wait for the link without using up an attempt
+      entry.nextAttemptAt = null;
+      if (entry.state !== MessageState.QUEUED) setState(entry, MessageState.QUEUED);
+      return;
+    }
+
+    entry.bytes = bytes;
+    entry.attempts += 1;
+    entry.nextAttemptAt = now() + retryDelay(entry.attempts);
+    if (entry.state !== MessageState.RELAYED) {
+      setState(entry, MessageState.SENT);
+    }
+  };
+
+  const isPending = (entry) =>
+    entry.state === MessageState.QUEUED || entry.state === MessageState.SENT || entry.state === MessageState.RELAYED;
+
+  const find = (predicate) => [...entries.values()].find(predicate) ?? null;
+
+  const outbox = {
+    get entries() {
+      return [...entries.values()].map(entry => ({ ...entry }));
+    },
+
+    // Seal and send a message; resolves to the entry once it has a frame
+    async enqueue(peerId, content) {
+      const entry = {
+        id: null,
+        peerId,
+        content,
+        state: MessageState.QUEUED,
+        attempts: 0,
+        nextAttemptAt: null,
+        frame: null,
+        bytes: null,
+        error: null,
+        createdAt: now()
+      };
+      entry.frame = await seal(entry);
+      entry.id = `you-${entry.frame.sessionId}-${entry.frame.sequence}`;
+      entries.set(entry.id, entry);
+      await attempt(entry);
+      return { ...entry };
+    },
+
+    // Resend what is due: queued messages (e.g. after a reconnect) and
+    // unacknowledged ones whose backoff has elapsed
+    async flush() {
+      for (const entry of entries.values()) {
+        if (!isPending(entry)) continue;
+        if (entry.state !== MessageState.QUEUED && entry.nextAttemptAt > now()) continue;
+        if (entry.attempts >= MAX_ATTEMPTS) {
+          setState(entry, MessageState.FAILED, 'No delivery confirmation from the peer');
+          continue;
+        }
+        await attempt(entry);
+      }
+    },
+
+    // The link confirmed these bytes reached the fusion node
+    markRelayed(bytes) {
+      const entry = find(candidate => candidate.bytes === bytes);
+      if (entry && entry.state === MessageState.SENT) {
+        setState(entry, MessageState.RELAYED);
+      }
+    },
+
+    // The peer acknowledged the DATA frame with this session and sequence
+    acknowledge(sessionId, sequence) {
+      const entry = find(candidate =>
+        candidate.frame?.sessionId === sessionId && candidate.frame?.sequence === sequence);
+      if (entry && isPending(entry)) {
+        entry.frame = null;
+        entry.bytes = null;
+        setState(entry, MessageState.DELIVERED);
+        entries.delete(entry.id);
+      }
+    },
+
+    async retry(id) {
+      const entry = entries.get(id);
+      if (!entry || entry.state !== MessageState.FAILED) return;
+      entry.attempts = 0;
+      setState(entry, MessageState.QUEUED);
+      await attempt(entry);
+    },
+
+    // Stop retrying one message, e.g. a chunk of a cancelled transfer
+    discard(id) {
+      entries.delete(id);
+    },
+
+    // Drop every message for a peer, e.g. when it is unpaired
+    forget(peerId) {
+      for (const [id, entry] of entries) {
+        if (entry.peerId === peerId) entries.delete(id);
+      }
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+
+  return outbox;
+};
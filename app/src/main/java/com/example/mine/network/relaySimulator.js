@@ -0,0 +1,435 @@
+import { createServer as createTcpServer } from 'node:net';
+import { fileURLToPath } from 'node:url';
+import { createWebSocketServer } from './webSocketServer.js';
+import { createTransportBase, TransportState } from './transport.js';
+import { DEFAULT_NODE_PORT, DEFAULT_BRIDGE_PORT } from './fusionBridge.js';
+import { parseFrame, serializeFrame, encodeFusionPayload, decodeFusionPayload, MAX_FUSION_ID_LENGTH } from '../crypto/frame.js';
+import { isRoutedPayload, decodeRoutedPayload, relayRoutedPayload, RouteVerdict } from '../crypto/routingInfo.js';
+import { createScriptedPeer } from '../viewmodel/scriptedPeer.js';
+
+// A mesh of fusion nodes in one process, for development and automated tests.
+// Clients attach to a simulated node over WebSocket (ws://host:18081/<node ID>, the
+// messages fusionBridge.js carries), over TCP with TcpManager.kt's line protocol (so
+// fusionBridge.js can sit in front of it), or in-process through createTransport().
+// A frame goes from the sender's node to its destination node, each relaying it like
+// a real node (TTL decremented, hop recorded, loops and expired frames dropped), and
+// reaches every other client on the destination node. Latency, loss, reordering and
+// duplication apply on the way, drawn from a seeded generator so a run can be repeated.
+//
+// Usage: node relaySimulator.js [--port 18081] [--tcp-port 18080] [--node FUSION_SIM]
+//          [--latency 40] [--jitter 20] [--loss 0.05] [--reorder 0.1] [--duplicate 0.02]
+//          [--seed 7] [--peer ECHO_BOT ...]
+export const DEFAULT_NODE_ID = 'FUSION_SIM';
+
+export const DEFAULT_CONDITIONS = Object.freeze({
+  latencyMs: 0, // one way, node to node
+  jitterMs: 0, // up to this much more, uniformly
+  loss: 0, // share of frames dropped
+  reorder: 0, // share of frames held back by reorderDelayMs, so later ones overtake them
+  reorderDelayMs: 100,
+  duplicate: 0 // share of frames delivered twice
+});
+
+const emptyStats = () => ({
+  frames: 0,
+  delivered: 0,
+  lost: 0,
+  duplicated: 0,
+  reordered: 0,
+  expired: 0,
+  loops: 0,
+  undeliverable: 0, // no such node, node down or nobody attached
+  malformed: 0
+});
+
+// mulberry32: small, seedable and plenty for simulated radio weather
+export const createRandom = (seed = Date.now()) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const isNodeId = (value) => {
+  if (typeof value !== 'string') return false;
+  const length = new TextEncoder().encode(value).length;
+  return length > 0 && length <= MAX_FUSION_ID_LENGTH;
+};
+
+// A simplified fusion payload has no hop list, so a relay only spends its TTL
+const relaySimplifiedPayload = (bytes) => {
+  const payload = decodeFusionPayload(bytes);
+  const frame = payload && parseFrame(payload.encryptedMessage);
+  if (!frame) return { verdict: null, bytes: null, destination: null };
+  if (frame.ttl - 1 <= 0) return { verdict: RouteVerdict.EXPIRED, bytes: null, destination: payload.fusionId };
+  return {
+    verdict: RouteVerdict.ACCEPTED,
+    bytes: encodeFusionPayload(payload.fusionId, serializeFrame({ ...frame, ttl: frame.ttl - 1 })),
+    destination: payload.fusionId
+  };
+};
+
+// One node's relay of either payload format: { verdict, bytes, destination }
+const relayThrough = (bytes, nodeId) => {
+  if (!isRoutedPayload(bytes)) return relaySimplifiedPayload(bytes);
+  return { ...relayRoutedPayload(bytes, nodeId), destination: decodeRoutedPayload(bytes)?.route.destination ?? null };
+};
+
+/**
+ * The mesh. Options: conditions (see DEFAULT_CONDITIONS), seed for the random
+ * generator, the nodes that exist from the start (the first one is where WebSocket
+ * and TCP clients land unless they name another) and log. Nodes a client names are
+ * created on the fly. Call close() when done.
+ */
+export const createRelaySimulator = ({
+  conditions = {},
+  seed,
+  nodes = [DEFAULT_NODE_ID],
+  log = () => {}
+} = {}) => {
+  const random = createRandom(seed);
+  const defaultNodeId = nodes[0];
+  let weather = { ...DEFAULT_CONDITIONS, ...conditions };
+  let stats = emptyStats();
+  // Node ID -> { id, up, clients }; a client is { id, kind, nodeId, deliver(bytes), drop(reason) }
+  const mesh = new Map();
+  const timers = new Set();
+  let nextClientId = 1;
+  let servers = [];
+  const sockets = new Set();
+
+  const ensureNode = (nodeId) => {
+    if (!mesh.has(nodeId)) {
+      mesh.set(nodeId, { id: nodeId, up: true, clients: new Set() });
+    }
+    return mesh.get(nodeId);
+  };
+  nodes.forEach(ensureNode);
+
+  const schedule = (delay, task) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      task();
+    }, delay);
+    timers.add(timer);
+  };
+
+  // Tallies why a relay dropped a frame; true when it goes on
+  const passes = ({ verdict }) => {
+    if (verdict === RouteVerdict.ACCEPTED) return true;
+    if (verdict === RouteVerdict.EXPIRED) {
+      stats.expired += 1;
+    } else if (verdict === RouteVerdict.LOOP) {
+      stats.loops += 1;
+    } else {
+      stats.malformed += 1;
+    }
+    return false;
+  };
+
+  // The destination node relays the frame when it arrives and hands it to its clients
+  const arrive = (relayed, sender) => {
+    const node = mesh.get(relayed.destination);
+    const last = relayed.destination === sender.nodeId ? relayed : relayThrough(relayed.bytes, relayed.destination);
+    if (!passes(last)) return;
+    const targets = node?.up ? [...node.clients].filter(client => client !== sender) : [];
+    if (targets.length === 0) {
+      stats.undeliverable += 1;
+      return;
+    }
+    stats.delivered += 1;
+    targets.forEach(client => client.deliver(last.bytes));
+  };
+
+  // Bytes a client handed to its node: relayed there, then carried through the weather
+  const route = (bytes, sender) => {
+    stats.frames += 1;
+    const relayed = relayThrough(bytes, sender.nodeId);
+    if (!passes(relayed)) return;
+    if (!mesh.get(relayed.destination)?.up) {
+      stats.undeliverable += 1;
+      return;
+    }
+    if (random() < weather.loss) {
+      stats.lost += 1;
+      return;
+    }
+    const copies = random() < weather.duplicate ? 2 : 1;
+    if (copies > 1) stats.duplicated += 1;
+    for (let i = 0; i < copies; i++) {
+      let delay = weather.latencyMs + random() * weather.jitterMs;
+      if (random() < weather.reorder) {
+        delay += weather.reorderDelayMs;
+        stats.reordered += 1;
+      }
+      schedule(delay, () => arrive(relayed, sender));
+    }
+  };
+
+  // Returns the client, or null while the node is down
+  const attach = (nodeId, { kind, deliver, drop }) => {
+    const node = ensureNode(nodeId);
+    if (!node.up) return null;
+    const client = { id: nextClientId++, kind, nodeId, deliver, drop };
+    node.clients.add(client);
+    log(`${kind} client ${client.id} attached to ${nodeId}`);
+    return client;
+  };
+
+  const detach = (client) => {
+    if (mesh.get(client.nodeId)?.clients.delete(client)) {
+      log(`${client.kind} client ${client.id} left ${client.nodeId}`);
+    }
+  };
+
+  const dropClients = (nodeId, reason) => {
+    const node = mesh.get(nodeId);
+    if (!node) return;
+    [...node.clients].forEach(client => {
+      detach(client);
+      client.drop(reason);
+    });
+  };
+
+  const acceptWebSocket = (connection, req) => {
+    const requested = decodeURIComponent(new URL(req.url, 'ws://localhost').pathname.slice(1));
+    const nodeId = isNodeId(requested) ? requested : defaultNodeId;
+    sockets.add(req.socket);
+    req.socket.on('close', () => sockets.delete(req.socket));
+    const client = attach(nodeId, {
+      kind: 'websocket',
+      deliver: (bytes) => connection.send(bytes),
+      drop: () => connection.close()
+    });
+    if (!client) {
+      connection.close();
+      return;
+    }
+    connection.on('close', () => detach(client));
+    connection.on('message', (data, isBinary) => {
+      // Text messages are control lines; a simulated node has nothing to say to them
+      if (!isBinary) return;
+      route(data, client);
+      connection.send(JSON.stringify({ type: 'RELAYED' }));
+    });
+    connection.send(JSON.stringify({ type: 'NODE_ID', id: nodeId }));
+  };
+
+  // TcpManager.kt's protocol: the client's HANDSHAKE picks the node (node_id, if it
+  // names one) and is answered with HANDSHAKE_RESPONSE; frames are FRAME lines
+  const acceptTcp = (socket) => {
+    let client = null;
+    let pending = '';
+    const writeLine = (json) => socket.write(`${JSON.stringify(json)}\n`);
+
+    sockets.add(socket);
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      pending += chunk;
+      let newline;
+      while ((newline = pending.indexOf('\n')) >= 0) {
+        const line = pending.slice(0, newline).trim();
+        pending = pending.slice(newline + 1);
+        if (!line) continue;
+
+        let json = null;
+        try {
+          json = JSON.parse(line);
+        } catch (e) {
+          // Plain text lines are not for us
+        }
+        if (json?.type === 'HANDSHAKE' && !client) {
+          const nodeId = isNodeId(json.node_id) ? json.node_id : defaultNodeId;
+          client = attach(nodeId, {
+            kind: 'tcp',
+            deliver: (bytes) => writeLine({ type: 'FRAME', data: Buffer.from(bytes).toString('base64') }),
+            drop: () => socket.end()
+          });
+          if (!client) {
+            socket.destroy();
+            return;
+          }
+          writeLine({ type: 'HANDSHAKE_RESPONSE', node_id: nodeId });
+        } else if (json?.type === 'FRAME' && client && typeof json.data === 'string') {
+          route(new Uint8Array(Buffer.from(json.data, 'base64')), client);
+        }
+      }
+    });
+    socket.on('close', () => {
+      sockets.delete(socket);
+      if (client) detach(client);
+    });
+    socket.on('error', () => socket.destroy());
+  };
+
+  const listening = (server) => new Promise((resolve, reject) => {
+    if (server.listening) {
+      resolve(server.address().port);
+      return;
+    }
+    server.once('listening', () => resolve(server.address().port));
+    server.once('error', reject);
+  });
+
+  return {
+    get conditions() {
+      return { ...weather };
+    },
+
+    // Changes apply to frames sent from now on
+    setConditions(changes) {
+      weather = { ...weather, ...changes };
+    },
+
+    get stats() {
+      return { ...stats };
+    },
+
+    resetStats() {
+      stats = emptyStats();
+    },
+
+    get nodes() {
+      return [...mesh.values()].map(node => ({ id: node.id, up: node.up, clients: node.clients.size }));
+    },
+
+    /**
+     * An in-process link to nodeId, a transport like the others (kind 'simulator').
+     * The node confirms each frame with 'relayed' once it has taken it.
+     */
+    createTransport(nodeId = defaultNodeId) {
+      const { transport, emit, setState } = createTransportBase('simulator');
+      let client = null;
+
+      transport.connect = async () => {
+        setState(TransportState.CONNECTING);
+        client = attach(nodeId, {
+          kind: 'in-process',
+          deliver: (bytes) => emit('frame', bytes.slice()),
+          drop: (reason) => {
+            client = null;
+            setState(TransportState.DISCONNECTED, reason);
+          }
+        });
+        if (!client) {
+          setState(TransportState.FAILED, `${nodeId} is down`);
+          throw new Error(`${nodeId} is down`);
+        }
+        setState(TransportState.CONNECTED);
+        emit('node', nodeId);
+      };
+
+      transport.send = (bytes) => {
+        if (!client) return false;
+        route(bytes.slice(), client);
+        schedule(0, () => emit('relayed', bytes));
+        return true;
+      };
+
+      transport.close = () => {
+        if (client) detach(client);
+        client = null;
+        setState(TransportState.CLOSED);
+      };
+
+      return transport;
+    },
+
+    // A link blip: every client of the node is dropped but may come straight back
+    disconnect(nodeId) {
+      dropClients(nodeId, 'Link to the fusion node dropped');
+    },
+
+    // The node goes away: its clients are dropped and cannot attach until bringUp()
+    takeDown(nodeId) {
+      ensureNode(nodeId).up = false;
+      dropClients(nodeId, 'Fusion node went down');
+      log(`${nodeId} is down`);
+    },
+
+    bringUp(nodeId) {
+      ensureNode(nodeId).up = true;
+      log(`${nodeId} is up`);
+    },
+
+    /**
+     * Accept WebSocket clients on port and TCP clients on tcpPort (null for none).
+     * Port 0 picks a free one; resolves to the ports in use.
+     */
+    async listen({ port = DEFAULT_BRIDGE_PORT, tcpPort = DEFAULT_NODE_PORT, host = '0.0.0.0' } = {}) {
+      const webSocketServer = createWebSocketServer({ port, host, onConnection: acceptWebSocket });
+      servers.push(webSocketServer);
+      const ports = { port: await listening(webSocketServer), tcpPort: null };
+      if (tcpPort !== null) {
+        const tcpServer = createTcpServer(acceptTcp);
+        servers.push(tcpServer);
+        tcpServer.listen(tcpPort, host);
+        ports.tcpPort = await listening(tcpServer);
+      }
+      return ports;
+    },
+
+    async close() {
+      timers.forEach(clearTimeout);
+      timers.clear();
+      [...mesh.keys()].forEach(nodeId => dropClients(nodeId, 'Simulator closed'));
+      sockets.forEach(socket => socket.destroy());
+      sockets.clear();
+      await Promise.all(servers.map(server => new Promise(resolve => server.close(() => resolve()))));
+      servers = [];
+    }
+  };
+};
+
+const parseArgs = (argv) => {
+  const options = { conditions: {}, peers: [] };
+  const conditionFlags = {
+    '--latency': 'latencyMs',
+    '--jitter': 'jitterMs',
+    '--loss': 'loss',
+    '--reorder': 'reorder',
+    '--reorder-delay': 'reorderDelayMs',
+    '--duplicate': 'duplicate'
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (conditionFlags[flag]) {
+      options.conditions[conditionFlags[flag]] = Number(value);
+    } else if (flag === '--port') {
+      options.port = Number(value);
+    } else if (flag === '--tcp-port') {
+      options.tcpPort = Number(value);
+    } else if (flag === '--node') {
+      options.node = value;
+    } else if (flag === '--seed') {
+      options.seed = Number(value);
+    } else if (flag === '--peer') {
+      options.peers.push(value);
+    }
+  }
+  return options;
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { conditions, seed, node = DEFAULT_NODE_ID, peers, ...ports } = parseArgs(process.argv.slice(2));
+  const log = (message) => console.log(`[relay-simulator] ${message}`);
+  const simulator = createRelaySimulator({ conditions, seed, nodes: [node], log });
+  const { port, tcpPort } = await simulator.listen(ports);
+  log(`node ${node} on ws://0.0.0.0:${port} and tcp://0.0.0.0:${tcpPort}`);
+  log(`conditions ${JSON.stringify(simulator.conditions)}`);
+
+  // Each scripted peer sits on its own node and answers with an echo
+  for (const peerNode of peers) {
+    const peer = createScriptedPeer({
+      createTransport: () => simulator.createTransport(peerNode),
+      node: { id: peerNode, name: peerNode, type: 'wifi' },
+      onError: (e) => log(`${peerNode}: ${e.message}`)
+    });
+    const code = await peer.start();
+    log(`${peerNode} is ready; pair with #/pair?payload=${encodeURIComponent(code)}`);
+  }
+}
@@ -0,0 +1,78 @@
+import { serializeFrame, parseFrame, encodeFusionPayload, decodeFusionPayload } from '../crypto/frame.js';
+import { isRoutedPayload, encodeRoutedPayload, decodeRoutedPayload, checkRoute, RouteVerdict } from '../crypto/routingInfo.js';
+
+// Transport interface shared by the web companion's links to a fusion node.
+// A transport carries opaque byte messages and exposes:
+//   kind                  'websocket' | 'bluetooth' | 'loopback' | 'demo' | 'simulator'
+//   state                 one of TransportState
+//   connect()             Promise, resolves once the link is up
+//   send(bytes)           true if the bytes were handed to the link, like TcpManager.sendMessage
+//   close()               tears the link down
+//   on(event, listener)   'frame' (bytes), 'state' (state, detail), 'node' (node ID),
+//                         'relayed' (the bytes given to send, once the fusion node took them),
+//                         'signal' (link quality 0-100, from transports that can measure it);
+//                         returns an unsubscribe function
+export const TransportState = Object.freeze({
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  FAILED: 'failed',
+  CLOSED: 'closed'
+});
+
+// Listener bookkeeping and state tracking for transport implementations
+export const createTransportBase = (kind) => {
+  const listeners = new Map();
+
+  const transport = {
+    kind,
+    state: TransportState.DISCONNECTED,
+    on(event, listener) {
+      if (!listeners.has(event)) {
+        listeners.set(event, new Set());
+      }
+      listeners.get(event).add(listener);
+      return () => listeners.get(event).delete(listener);
+    }
+  };
+
+  const emit = (event, ...args) => {
+    listeners.get(event)?.forEach(listener => listener(...args));
+  };
+
+  const setState = (state, detail = null) => {
+    if (transport.state === state) return;
+    transport.state = state;
+    emit('state', state, detail);
+  };
+
+  return { transport, emit, setState };
+};
+
+// Frames travel inside the simplified fusion payload so relays can route on the fusion ID.
+// With a source node the payload is routed instead, so relays can record the hops.
+// Returns the bytes handed to the link (to match a later 'relayed' event), or null.
+export const sendFrame = (transport, fusionId, frame, { source = null } = {}) => {
+  const message = serializeFrame(frame);
+  const bytes = source
+    ? encodeRoutedPayload({ source, destination: fusionId }, message)
+    : encodeFusionPayload(fusionId, message);
+  return transport.send(bytes) ? bytes : null;
+};
+
+// Returns { fusionId, frame, route } or null for bytes that are not a framed fusion
+// payload, and for frames whose TTL ran out or that went round a loop.
+// route is null for simplified payloads.
+export const readFrame = (bytes) => {
+  const routed = isRoutedPayload(bytes) ? decodeRoutedPayload(bytes) : null;
+  const payload = routed
+    ? { fusionId: routed.route.destination, encryptedMessage: routed.encryptedMessage }
+    : decodeFusionPayload(bytes);
+  if (!payload) return null;
+  const frame = parseFrame(payload.encryptedMessage);
+  if (!frame) return null;
+
+  const route = routed?.route ?? null;
+  const verdict = checkRoute(route ?? { hops: [] }, frame.ttl);
+  return verdict === RouteVerdict.ACCEPTED ? { fusionId: payload.fusionId, frame, route } : null;
+};
@@ -0,0 +1,107 @@
+import { connect } from 'node:net';
+import { randomBytes } from 'node:crypto';
+import { wrapSocket, acceptKeyFor } from './webSocketServer.js';
+
+// The part of the browser WebSocket API that webSocketTransport.js uses, for Node-side
+// tools and tests on Node versions without a global WebSocket. ws:// only, over
+// webSocketServer.js's framing.
+export const ReadyState = Object.freeze({
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3
+});
+
+// The 101 response must accept our key
+const readUpgradeResponse = (response, key) => {
+  const [status, ...headers] = response.split('\r\n');
+  const accept = headers
+    .map(line => line.split(/:\s*/, 2))
+    .find(([name]) => name.toLowerCase() === 'sec-websocket-accept')?.[1];
+  return /^HTTP\/1\.1 101\b/.test(status) && accept === acceptKeyFor(key);
+};
+
+/**
+ * Opens url like new WebSocket(url): set onopen, onmessage, onerror and onclose, then
+ * send() once open. Binary messages arrive as ArrayBuffers.
+ */
+export const createNodeWebSocket = (url) => {
+  const { hostname, port, pathname, search } = new URL(url);
+  const key = randomBytes(16).toString('base64');
+  const socket = connect({ host: hostname, port: Number(port) || 80 });
+  let connection = null;
+  let response = Buffer.alloc(0);
+
+  const ws = {
+    binaryType: 'arraybuffer',
+    readyState: ReadyState.CONNECTING,
+    onopen: null,
+    onmessage: null,
+    onerror: null,
+    onclose: null,
+
+    send(data) {
+      if (ws.readyState !== ReadyState.OPEN) {
+        throw new Error('WebSocket is not open');
+      }
+      connection.send(data);
+    },
+
+    close() {
+      if (ws.readyState >= ReadyState.CLOSING) return;
+      ws.readyState = ReadyState.CLOSING;
+      if (connection) {
+        connection.close();
+      } else {
+        socket.destroy();
+      }
+    }
+  };
+
+  const closed = () => {
+    if (ws.readyState === ReadyState.CLOSED) return;
+    ws.readyState = ReadyState.CLOSED;
+    ws.onclose?.({});
+  };
+
+  const onHandshake = (chunk) => {
+    response = Buffer.concat([response, chunk]);
+    const end = response.indexOf('\r\n\r\n');
+    if (end < 0) return;
+    socket.off('data', onHandshake);
+    if (!readUpgradeResponse(response.subarray(0, end).toString('latin1'), key)) {
+      ws.onerror?.({});
+      socket.destroy();
+      return;
+    }
+
+    connection = wrapSocket(socket, { head: response.subarray(end + 4), masked: true });
+    connection.on('message', (data, isBinary) => {
+      ws.onmessage?.({ data: isBinary ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data });
+    });
+    if (ws.readyState === ReadyState.CONNECTING) {
+      ws.readyState = ReadyState.OPEN;
+      ws.onopen?.({});
+    }
+  };
+
+  socket.on('connect', () => {
+    socket.write([
+      `GET ${pathname}${search} HTTP/1.1`,
+      `Host: ${hostname}:${port || 80}`,
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Key: ${key}`,
+      'Sec-WebSocket-Version: 13',
+      '',
+      ''
+    ].join('\r\n'));
+  });
+  socket.on('data', onHandshake);
+  socket.on('error', () => {
+    if (ws.readyState === ReadyState.CONNECTING) ws.onerror?.({});
+  });
+  socket.on('close', closed);
+
+  return ws;
+};
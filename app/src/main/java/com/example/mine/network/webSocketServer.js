@@ -0,0 +1,216 @@
+import { createServer } from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+
+// Minimal RFC 6455 WebSocket server for the Node-side tools (fusion bridge, relay
+// simulator). Supports text/binary messages, fragmentation, ping/pong and close;
+// no extensions or subprotocols. webSocketClient.js reuses the framing.
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Per message, after fragments are put back together
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+// Status codes for CLOSE frames (RFC 6455 section 7.4.1)
+export const CloseCode = Object.freeze({
+  NORMAL: 1000,
+  MESSAGE_TOO_BIG: 1009
+});
+
+const Opcode = Object.freeze({
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+});
+
+// The Sec-WebSocket-Accept value for a client's Sec-WebSocket-Key
+export const acceptKeyFor = (key) => createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+
+// Frames from a client are masked, frames from a server are not
+const encodeFrame = (opcode, payload, masked) => {
+  const length = payload.length;
+  const maskBit = masked ? 0x80 : 0;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, maskBit | length]);
+  } else if (length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = maskBit | 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = maskBit | 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  if (!masked) {
+    return Buffer.concat([header, payload]);
+  }
+  const mask = randomBytes(4);
+  return Buffer.concat([header, mask, payload.map((byte, i) => byte ^ mask[i % 4])]);
+};
+
+/**
+ * A WebSocket connection over a socket that has completed the upgrade: send(string |
+ * Uint8Array), close(code) and on('message' | 'close', handler). head holds bytes that
+ * came in with the upgrade; masked is for the client side.
+ */
+export const wrapSocket = (socket, { head = Buffer.alloc(0), masked = false } = {}) => {
+  const handlers = { message: [], close: [] };
+  let buffer = Buffer.from(head);
+  let fragments = [];
+  let fragmentsLength = 0;
+  let fragmentOpcode = null;
+  let closed = false;
+
+  const connection = {
+    on(event, handler) {
+      handlers[event].push(handler);
+    },
+    send(data) {
+      if (closed) return false;
+      const opcode = typeof data === 'string' ? Opcode.TEXT : Opcode.BINARY;
+      socket.write(encodeFrame(opcode, Buffer.from(data), masked));
+      return true;
+    },
+    close(code = null) {
+      if (closed) return;
+      closed = true;
+      const payload = code === null ? Buffer.alloc(0) : Buffer.from([code >> 8, code & 0xff]);
+      socket.end(encodeFrame(Opcode.CLOSE, payload, masked));
+    }
+  };
+
+  const deliver = (opcode, payload) => {
+    const isBinary = opcode === Opcode.BINARY;
+    handlers.message.forEach(handler => handler(isBinary ? new Uint8Array(payload) : payload.toString('utf8'), isBinary));
+  };
+
+  const messageTooBig = () => {
+    buffer = Buffer.alloc(0);
+    fragments = [];
+    connection.close(CloseCode.MESSAGE_TOO_BIG);
+  };
+
+  const processBuffer = () => {
+    while (!closed && buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        const bigLength = buffer.readBigUInt64BE(2);
+        if (bigLength > BigInt(MAX_MESSAGE_SIZE)) {
+          messageTooBig();
+          return;
+        }
+        length = Number(bigLength);
+        offset = 10;
+      }
+      // A fragment counts towards the message it continues, so endless fragments cannot pile up
+      const messageLength = opcode === Opcode.CONTINUATION ? fragmentsLength + length : length;
+      if (messageLength > MAX_MESSAGE_SIZE) {
+        messageTooBig();
+        return;
+      }
+
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (buffer.length < offset + length) return;
+
+      const payload = Buffer.from(buffer.subarray(offset, offset + length));
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+          payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+      }
+      buffer = buffer.subarray(offset + length);
+
+      if (opcode === Opcode.CLOSE) {
+        connection.close();
+        return;
+      }
+      if (opcode === Opcode.PING) {
+        socket.write(encodeFrame(Opcode.PONG, payload, masked));
+        continue;
+      }
+      if (opcode === Opcode.PONG) {
+        continue;
+      }
+
+      if (opcode !== Opcode.CONTINUATION) {
+        fragmentOpcode = opcode;
+        fragments = [];
+        fragmentsLength = 0;
+      }
+      fragments.push(payload);
+      fragmentsLength += payload.length;
+      if (fin) {
+        deliver(fragmentOpcode, Buffer.concat(fragments));
+        fragments = [];
+        fragmentsLength = 0;
+        fragmentOpcode = null;
+      }
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    if (closed) return;
+    buffer = Buffer.concat([buffer, chunk]);
+    processBuffer();
+  });
+  // Upgraded sockets allow half-open connections: a client that hung up is gone
+  socket.on('end', () => socket.end());
+  socket.on('close', () => {
+    closed = true;
+    handlers.close.forEach(handler => handler());
+  });
+  socket.on('error', () => socket.destroy());
+  // Frames that came with the upgrade, once the caller has its handlers in place
+  if (buffer.length > 0) queueMicrotask(processBuffer);
+
+  return connection;
+};
+
+/**
+ * Start a WebSocket server. onConnection receives a connection with
+ * send(string | Uint8Array), close(code) and on('message' | 'close', handler).
+ */
+export const createWebSocketServer = ({ port, host = '0.0.0.0', onConnection }) => {
+  const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket connections only');
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+      socket.destroy();
+      return;
+    }
+
+    const accept = acceptKeyFor(key);
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    onConnection(wrapSocket(socket, { head }), req);
+  });
+
+  server.listen(port, host);
+  return server;
+};
@@ -0,0 +1,141 @@
+import { createTransportBase, TransportState } from './transport.js';
+
+// WebSocket link to a fusion node. Browsers cannot open raw TCP sockets, so this talks
+// to fusionBridge.js, which relays to the node's TcpManager-style line protocol.
+// Binary messages are frames; text messages are the node's JSON control lines.
+export const DEFAULT_BRIDGE_URL = 'ws://localhost:18081';
+
+const CONNECTION_TIMEOUT = 5000; // 5 seconds, as in TcpManager
+const OPEN = 1; // WebSocket.OPEN
+
+// NODE_ID, HANDSHAKE_RESPONSE and INFO lines all announce the node ID
+const readNodeId = (text) => {
+  try {
+    const json = JSON.parse(text);
+    if (['NODE_ID', 'HANDSHAKE_RESPONSE', 'INFO'].includes(json.type)) {
+      return json.node_id || json.id || null;
+    }
+  } catch (e) {
+    // Not JSON: nothing to extract
+  }
+  return null;
+};
+
+const isRelayed = (text) => {
+  try {
+    return JSON.parse(text).type === 'RELAYED';
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Wi-Fi discovery as far as a browser can do it: open the bridge, wait for the node
+ * behind it to announce itself and hang up. Resolves to an advertisement
+ * ({ id, name, transport, secured, url }) or null if nothing answered in time.
+ */
+export const probeFusionBridge = ({ url = DEFAULT_BRIDGE_URL, timeout = CONNECTION_TIMEOUT } = {}) =>
+  new Promise(resolve => {
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch (e) {
+      resolve(null);
+      return;
+    }
+    const finish = (result) => {
+      clearTimeout(timer);
+      socket.onmessage = socket.onerror = socket.onclose = null;
+      socket.close();
+      resolve(result);
+    };
+    const timer = setTimeout(() => finish(null), timeout);
+
+    socket.onmessage = (event) => {
+      const nodeId = typeof event.data === 'string' ? readNodeId(event.data) : null;
+      if (nodeId) {
+        finish({ id: nodeId, name: `Fusion Node ${nodeId}`, transport: 'wifi', secured: url.startsWith('wss:'), url });
+      }
+    };
+    socket.onerror = socket.onclose = () => finish(null);
+  });
+
+// createSocket(url) opens the socket; Node-side tools without a global WebSocket pass
+// webSocketClient.js's createNodeWebSocket
+export const createWebSocketTransport = ({
+  url = DEFAULT_BRIDGE_URL,
+  createSocket = (address) => new WebSocket(address)
+} = {}) => {
+  const { transport, emit, setState } = createTransportBase('websocket');
+  let socket = null;
+  // Bytes sent but not yet confirmed by the bridge's RELAYED messages, oldest first
+  let unconfirmed = [];
+
+  transport.connect = () => new Promise((resolve, reject) => {
+    setState(TransportState.CONNECTING);
+    unconfirmed = [];
+    socket = createSocket(url);
+    socket.binaryType = 'arraybuffer';
+
+    const timeout = setTimeout(() => {
+      socket.close();
+      setState(TransportState.FAILED, 'Connection timed out');
+      reject(new Error('Connection timed out'));
+    }, CONNECTION_TIMEOUT);
+
+    socket.onopen = () => {
+      clearTimeout(timeout);
+      setState(TransportState.CONNECTED);
+      resolve();
+    };
+
+    socket.onerror = () => {
+      clearTimeout(timeout);
+      if (transport.state === TransportState.CONNECTING) {
+        setState(TransportState.FAILED, `Could not reach fusion bridge at ${url}`);
+        reject(new Error(`Could not reach fusion bridge at ${url}`));
+      }
+    };
+
+    socket.onclose = () => {
+      if (transport.state === TransportState.CONNECTED) {
+        setState(TransportState.DISCONNECTED, 'Connection lost');
+      }
+    };
+
+    socket.onmessage = (event) => {
+      if (typeof event.data === 'string') {
+        if (isRelayed(event.data)) {
+          const bytes = unconfirmed.shift();
+          if (bytes) emit('relayed', bytes);
+          return;
+        }
+        const nodeId = readNodeId(event.data);
+        if (nodeId) {
+          emit('node', nodeId);
+        }
+      } else {
+        emit('frame', new Uint8Array(event.data));
+      }
+    };
+  });
+
+  transport.send = (bytes) => {
+    if (!socket || socket.readyState !== OPEN) {
+      return false;
+    }
+    socket.send(bytes);
+    unconfirmed.push(bytes);
+    return true;
+  };
+
+  transport.close = () => {
+    setState(TransportState.CLOSED);
+    if (socket) {
+      socket.close();
+      socket = null;
+    }
+  };
+
+  return transport;
+};
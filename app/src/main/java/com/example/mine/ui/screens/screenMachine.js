@@ -0,0 +1,139 @@
+// The web companion's screens as a state machine, the counterpart of the
+// currentScreen/BackHandler logic in MainScreen.kt. Each screen declares where it can
+// go next, a guard over the app's state, and the screen to fall back to when the guard
+// fails, so a stale URL, a back button or a refresh never lands on a screen whose
+// state is gone. Screens map onto hash routes (#/devices?type=wifi) so they work from
+// a static file and survive a reload.
+export const Screen = Object.freeze({
+  START: 'start',
+  CONNECTION_TYPE: 'connection-type',
+  DEVICE_LIST: 'device-list',
+  PHONE_SETTINGS: 'phone-settings',
+  CONTINUE: 'continue',
+  QR_GENERATION: 'qr-generation',
+  QR_SCAN: 'qr-scan',
+  CHECKING_CONNECTION: 'checking-connection',
+  CONVERSATIONS: 'conversations',
+  CHAT: 'chat',
+  PROOF: 'proof',
+  HISTORY: 'history',
+  STATS: 'stats'
+});
+
+// context: { connectionType, hasSelectedNode, connected, hasKeyPair, hasPeerInfo, hasPeers, hasActiveChat }
+const SCREENS = {
+  [Screen.START]: {
+    path: '/',
+    next: [Screen.CONNECTION_TYPE, Screen.DEVICE_LIST, Screen.PHONE_SETTINGS, Screen.HISTORY, Screen.STATS],
+    guard: () => true,
+    fallback: null
+  },
+  [Screen.CONNECTION_TYPE]: {
+    path: '/connect',
+    next: [Screen.START, Screen.DEVICE_LIST],
+    guard: () => true,
+    fallback: Screen.START
+  },
+  [Screen.DEVICE_LIST]: {
+    path: '/devices',
+    next: [Screen.CONNECTION_TYPE, Screen.PHONE_SETTINGS],
+    guard: (context) => context.connectionType !== null,
+    fallback: Screen.CONNECTION_TYPE
+  },
+  [Screen.PHONE_SETTINGS]: {
+    path: '/node',
+    next: [Screen.DEVICE_LIST, Screen.CONTINUE],
+    guard: (context) => context.hasSelectedNode,
+    fallback: Screen.DEVICE_LIST
+  },
+  [Screen.CONTINUE]: {
+    path: '/connected',
+    next: [Screen.QR_GENERATION],
+    guard: (context) => context.connected && context.hasKeyPair,
+    fallback: Screen.PHONE_SETTINGS
+  },
+  [Screen.QR_GENERATION]: {
+    path: '/pair',
+    next: [Screen.QR_SCAN, Screen.CHECKING_CONNECTION, Screen.CONVERSATIONS],
+    guard: (context) => context.connected && context.hasKeyPair,
+    fallback: Screen.CONTINUE
+  },
+  [Screen.QR_SCAN]: {
+    path: '/pair/scan',
+    next: [Screen.QR_GENERATION],
+    guard: (context) => context.connected && context.hasKeyPair,
+    fallback: Screen.QR_GENERATION
+  },
+  [Screen.CHECKING_CONNECTION]: {
+    path: '/pair/check',
+    next: [Screen.QR_GENERATION, Screen.CHAT],
+    guard: (context) => context.connected && context.hasKeyPair && context.hasPeerInfo,
+    fallback: Screen.QR_GENERATION
+  },
+  [Screen.CONVERSATIONS]: {
+    path: '/chats',
+    next: [Screen.CHAT, Screen.QR_GENERATION, Screen.START, Screen.STATS],
+    guard: (context) => context.connected && context.hasPeers,
+    fallback: Screen.QR_GENERATION
+  },
+  [Screen.CHAT]: {
+    path: '/chat',
+    next: [Screen.CONVERSATIONS, Screen.QR_GENERATION, Screen.PROOF],
+    guard: (context) => context.hasActiveChat,
+    fallback: Screen.CONVERSATIONS
+  },
+  [Screen.PROOF]: {
+    path: '/chat/proof',
+    next: [Screen.CHAT],
+    guard: (context) => context.hasActiveChat,
+    fallback: Screen.CHAT
+  },
+  [Screen.HISTORY]: {
+    path: '/history',
+    next: [Screen.START],
+    guard: () => true,
+    fallback: Screen.START
+  },
+  // Past connections are kept across launches, so the stats need no live state
+  [Screen.STATS]: {
+    path: '/stats',
+    next: [Screen.START, Screen.CONVERSATIONS],
+    guard: () => true,
+    fallback: Screen.START
+  }
+};
+
+export const isScreen = (screen) => Object.hasOwn(SCREENS, screen);
+
+// Staying put is always allowed; anything else has to be declared
+export const canTransition = (from, to) =>
+  isScreen(to) && (from === to || SCREENS[from]?.next.includes(to) === true);
+
+/**
+ * The screen to show for a requested one: the screen itself if its guard passes,
+ * otherwise the first screen up its fallback chain whose guard does.
+ */
+export const resolveScreen = (screen, context) => {
+  let candidate = isScreen(screen) ? screen : Screen.START;
+  while (!SCREENS[candidate].guard(context)) {
+    candidate = SCREENS[candidate].fallback ?? Screen.START;
+  }
+  return candidate;
+};
+
+// '#/devices?type=wifi' for a screen and its parameters; empty parameters are left out
+export const routeFor = (screen, params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== null && value !== undefined && value !== '')
+  ).toString();
+  return `#${SCREENS[screen].path}${query ? `?${query}` : ''}`;
+};
+
+// Returns { screen, params } for a location hash; unknown routes are the start screen
+export const parseRoute = (hash) => {
+  const route = (hash ?? '').replace(/^#/, '') || '/';
+  const [path, query = ''] = route.split('?');
+  const screen = Object.keys(SCREENS).find(name => SCREENS[name].path === path) ?? Screen.START;
+  // A hand-written pairing link may carry raw Base64, whose '+' must not become a space
+  return { screen, params: Object.fromEntries(new URLSearchParams(query.replace(/\+/g, '%2B'))) };
+};
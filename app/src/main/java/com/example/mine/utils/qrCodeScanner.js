@@ -0,0 +1,148 @@
+// QR scanning for the web companion, the browser counterpart of QRCodeScanner.kt.
+// Detection uses the platform BarcodeDetector (as the phone uses ML Kit) and, in
+// browsers without one for QR codes (Firefox, Safari), the jsQR decoder vendored in
+// utils/vendor on canvas pixels. Without a camera the scan screen falls back to
+// pasting the payload as text.
+const SCAN_INTERVAL_MS = 250;
+
+export const isQRScanningSupported = () =>
+  typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+
+const hasNativeDetector = async () => {
+  if (typeof BarcodeDetector === 'undefined') return false;
+  try {
+    return (await BarcodeDetector.getSupportedFormats()).includes('qr_code');
+  } catch (e) {
+    return false;
+  }
+};
+
+// Resolves to decode(source): the first payload in a video frame or image, or null
+const createDecoder = async () => {
+  if (await hasNativeDetector()) {
+    const detector = new BarcodeDetector({ formats: ['qr_code'] });
+    return async (source) => {
+      const codes = await detector.detect(source);
+      return codes.length > 0 ? codes[0].rawValue : null;
+    };
+  }
+
+  // Only fetched by browsers that need it
+  let jsQR;
+  try {
+    ({ default: jsQR } = await import('./vendor/jsQR.js'));
+  } catch (e) {
+    throw new Error(`Could not load the QR decoder: ${e.message}`);
+  }
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  return async (source) => {
+    const width = source.videoWidth ?? source.width;
+    const height = source.videoHeight ?? source.height;
+    if (!width || !height) return null;
+    canvas.width = width;
+    canvas.height = height;
+    context.drawImage(source, 0, 0, width, height);
+    return jsQR(context.getImageData(0, 0, width, height).data, width, height)?.data ?? null;
+  };
+};
+
+/**
+ * Scan QR codes from the rear camera into the given <video> element.
+ * onResult is called once with the first decoded payload, then scanning stops.
+ * startScanning() never rejects: anything that keeps the camera from scanning goes
+ * to onError.
+ */
+export const createQRCodeScanner = (video, { onResult, onError }) => {
+  let stream = null;
+  let timer = null;
+  let stopped = false;
+
+  const stopScanning = () => {
+    stopped = true;
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    if (stream) {
+      stream.getTracks().forEach(track => track.stop());
+      stream = null;
+    }
+    video.srcObject = null;
+  };
+
+  const startScanning = async () => {
+    if (!isQRScanningSupported()) {
+      onError(new Error('QR scanning is not supported in this browser. Paste the payload instead.'));
+      return;
+    }
+
+    let decode;
+    try {
+      decode = await createDecoder();
+    } catch (e) {
+      onError(e);
+      return;
+    }
+    if (stopped) return;
+
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' },
+        audio: false
+      });
+    } catch (e) {
+      onError(new Error('Camera permission is required to scan QR codes.'));
+      return;
+    }
+
+    // stop() may have been called while the permission prompt was open
+    if (stopped) {
+      stopScanning();
+      return;
+    }
+
+    video.srcObject = stream;
+    try {
+      await video.play();
+    } catch (e) {
+      // stop() during play() aborts it; anything else leaves the camera unusable
+      if (!stopped) {
+        stopScanning();
+        onError(new Error(`Could not start the camera: ${e.message}`));
+      }
+      return;
+    }
+    if (stopped) return;
+
+    let busy = false;
+    timer = setInterval(async () => {
+      if (busy || video.readyState < 2) return;
+      busy = true;
+      try {
+        const value = await decode(video);
+        if (value && !stopped) {
+          stopScanning();
+          onResult(value);
+        }
+      } catch (e) {
+        // Frames that fail to decode are expected; keep scanning
+      } finally {
+        busy = false;
+      }
+    }, SCAN_INTERVAL_MS);
+  };
+
+  return { startScanning, stopScanning };
+};
+
+// Decode a QR code from an uploaded image file; null when none is found
+export const scanImageFile = async (file) => {
+  const decode = await createDecoder();
+  const bitmap = await createImageBitmap(file);
+  try {
+    return await decode(bitmap);
+  } finally {
+    bitmap.close();
+  }
+};
@@ -0,0 +1,406 @@
+// QR code encoder (ISO/IEC 18004) for the web companion's pairing screen.
+// Byte mode only: the pairing payload is JSON, so alphanumeric/kanji modes don't help.
+
+export const ERROR_CORRECTION_LEVELS = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 }
+};
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Indexed by [error correction ordinal][version]; index 0 is unused
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Data modules left after function patterns, including remainder bits
+const getNumRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+};
+
+const getNumDataCodewords = (version, ecl) =>
+  Math.floor(getNumRawDataModules(version) / 8) -
+  ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+
+// Mode indicator + character count + data, in bits
+const getDataBitLength = (version, byteLength) =>
+  4 + (version <= 9 ? 8 : 16) + byteLength * 8;
+
+// Reed-Solomon over GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+};
+
+const buildDataCodewords = (bytes, version, ecl) => {
+  const bits = [];
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  appendBits(0x4, 4); // byte mode
+  appendBits(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(b => appendBits(b, 8));
+
+  const capacityBits = getNumDataCodewords(version, ecl) * 8;
+  appendBits(0, Math.min(4, capacityBits - bits.length));
+  appendBits(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    appendBits(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+// Split into blocks, append ECC to each, then interleave
+const addEccAndInterleave = (data, version, ecl) => {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+  const blockEccLength = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(blockEccLength);
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i++) {
+    const dataLength = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + dataLength);
+    offset += dataLength;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) {
+      block.push(0);
+    }
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the padding byte in short blocks
+      if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+const getAlignmentPatternPositions = (version, size) => {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+};
+
+const MASK_PATTERNS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+class QRMatrix {
+  constructor(version) {
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns(version) {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(size - 4, 3);
+    this.drawFinderPattern(3, size - 4);
+
+    const positions = getAlignmentPatternPositions(version, size);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // The three corners already hold finder patterns
+        if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+          this.drawAlignmentPattern(x, y);
+        }
+      });
+    });
+
+    // Reserve format areas now; real bits are written once the mask is chosen
+    this.drawFormatBits(0);
+    this.drawVersion(version);
+  }
+
+  drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunction(xx, yy, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  // 5 data bits + 10 BCH bits, drawn twice
+  drawFormatBits(data) {
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const { size } = this;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+    this.setFunction(8, 7, getBit(bits, 6));
+    this.setFunction(8, 8, getBit(bits, 7));
+    this.setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i));
+    this.setFunction(8, size - 8, true); // dark module
+  }
+
+  // 6 data bits + 12 BCH bits, only for version 7 and up
+  drawVersion(version) {
+    if (version < 7) return;
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, getBit(bits, i));
+      this.setFunction(b, a, getBit(bits, i));
+    }
+  }
+
+  // Zig-zag through the two-column strips, skipping the vertical timing column
+  drawCodewords(codewords) {
+    let i = 0;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < this.size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  // XOR-ing twice undoes the mask, which is how candidates are tried
+  applyMask(mask) {
+    const pattern = MASK_PATTERNS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && pattern(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  getPenaltyScore() {
+    const { size, modules } = this;
+    let penalty = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    for (const line of lines) {
+      // N1: runs of five or more same-colored modules
+      let runLength = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          runLength++;
+        } else {
+          if (runLength >= 5) penalty += runLength - 2;
+          runLength = 1;
+        }
+      }
+
+      // N3: finder-like 1:1:3:1:1 patterns with four light modules on either side
+      for (let i = 0; i + 11 <= size; i++) {
+        const slice = line.slice(i, i + 11).map(m => (m ? 1 : 0)).join('');
+        if (slice === '10111010000' || slice === '00001011101') {
+          penalty += 40;
+        }
+      }
+    }
+
+    // N2: 2x2 blocks of one color
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+
+    // N4: deviation of the dark ratio from 50%, in 5% steps
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return penalty;
+  }
+}
+
+/**
+ * Encode text as a QR code. Picks the smallest version that fits and, unless
+ * boostErrorCorrection is false, the highest error correction level that still
+ * fits in that version. Returns the module grid (true = dark), without quiet zone.
+ */
+export const encodeQR = (text, { errorCorrection = 'M', boostErrorCorrection = true } = {}) => {
+  let ecl = ERROR_CORRECTION_LEVELS[errorCorrection];
+  if (!ecl) {
+    throw new Error(`Unknown error correction level: ${errorCorrection}`);
+  }
+
+  const bytes = Array.from(new TextEncoder().encode(text));
+
+  let version = MIN_VERSION;
+  while (getDataBitLength(version, bytes.length) > getNumDataCodewords(version, ecl) * 8) {
+    if (++version > MAX_VERSION) {
+      throw new Error('Payload too long for a QR code');
+    }
+  }
+
+  if (boostErrorCorrection) {
+    for (const level of ['M', 'Q', 'H']) {
+      const candidate = ERROR_CORRECTION_LEVELS[level];
+      if (candidate.ordinal > ecl.ordinal &&
+          getDataBitLength(version, bytes.length) <= getNumDataCodewords(version, candidate) * 8) {
+        ecl = candidate;
+      }
+    }
+  }
+
+  const codewords = addEccAndInterleave(buildDataCodewords(bytes, version, ecl), version, ecl);
+
+  const matrix = new QRMatrix(version);
+  matrix.drawFunctionPatterns(version);
+  matrix.drawCodewords(codewords);
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < MASK_PATTERNS.length; mask++) {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits((ecl.formatBits << 3) | mask);
+    const penalty = matrix.getPenaltyScore();
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    matrix.applyMask(mask);
+  }
+  matrix.applyMask(bestMask);
+  matrix.drawFormatBits((ecl.formatBits << 3) | bestMask);
+
+  return {
+    version,
+    errorCorrection: Object.keys(ERROR_CORRECTION_LEVELS).find(key => ERROR_CORRECTION_LEVELS[key] === ecl),
+    mask: bestMask,
+    size: matrix.size,
+    modules: matrix.modules
+  };
+};
@@ -0,0 +1,1014 @@
+import { generateKeyPair, restoreKeyPair } from '../crypto/keys.js';
+import { FrameType } from '../crypto/frame.js';
+import { establishSession, createHandshakeFrame, readHandshakeFrame } from '../crypto/session.js';
+import { createRekeyController } from '../crypto/rekey.js';
+import { describeRoute } from '../crypto/routingInfo.js';
+import { computeSafetyNumber, computeFingerprint } from '../crypto/safetyNumber.js';
+import { encodeQRPayload, decodeQRPayload } from '../crypto/qrCodeData.js';
+import {
+  createGroupChannel,
+  createKeyMessage,
+  createRemovedMessage,
+  readGroupControl,
+  generateGroupKey,
+  newGroupId,
+  GroupControl
+} from '../crypto/groupChannel.js';
+import { base64ToBytes, formatBytes } from '../utils/bytes.js';
+import { TransportState, sendFrame, readFrame } from '../network/transport.js';
+import { createWebSocketTransport, probeFusionBridge, DEFAULT_BRIDGE_URL } from '../network/webSocketTransport.js';
+import { createDemoTransport, advertiseDemoNodes } from '../network/demoTransport.js';
+import { createBluetoothTransport, scanForFusionNodes, rssiToSignal } from '../network/bluetoothTransport.js';
+import { createOutbox, MessageState, retryDelay } from '../network/outbox.js';
+import { createFileTransfers, TransferState, DEFAULT_MAX_ATTACHMENT_SIZE } from '../network/fileTransfer.js';
+import { createDiscoveryRegistry } from '../network/discovery.js';
+import { runCommunicationProof } from '../network/communicationProof.js';
+import { createSessionRecorder, SessionEnd } from '../network/connectionStats.js';
+
+// Headless fusion node client, the web counterpart of SecureChatViewModel.kt: the
+// link to a node, pairing, per-peer sessions, messaging, attachments and discovery,
+// with no UI attached. The React app drives it through useFusionNode; Node scripts
+// and tests use it directly with their own transports. Group channels
+// (crypto/groupChannel.js) ride on the same link and pairwise sessions.
+//
+// Events (client.on(event, listener) returns an unsubscribe function):
+//   'change'      (state)            after every state change
+//   'message'     (peerId, message)  a chat message from a peer, or a group ID and its message
+//   'transfer'    (transfer)         an attachment changed; complete ones carry their bytes
+//   'connection'  ({ state, detail, retryIn })  the link dropped, is retried or came back
+//   'error'       (error)            background failures (rekey, history, safety numbers)
+//   'session'     (record)           a connection ended or failed, see network/connectionStats.js
+//   'reset'       ()                 the client dropped its link, keys and peers
+export const HANDSHAKE_TIMEOUT_MS = 15000;
+const REKEY_CHECK_INTERVAL_MS = 10000;
+const OUTBOX_FLUSH_INTERVAL_MS = 1000;
+const HISTORY_PAGE_SIZE = 30;
+const DISCOVERY_PRUNE_INTERVAL_MS = 2000;
+const BRIDGE_PROBE_INTERVAL_MS = 5000;
+// How often state.linkSession is refreshed while connected
+const STATS_INTERVAL_MS = 2000;
+
+export const ConnectionState = Object.freeze({
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected'
+});
+
+// Peers are keyed by their public key as scanned, minus any line breaks
+export const peerIdOf = (publicKey) => publicKey.replace(/\s+/g, '');
+
+// Stored history records and live messages in one shape
+const toChatMessage = (record) => ({
+  id: record.id,
+  text: record.text,
+  sender: record.sender,
+  timestamp: record.timestamp,
+  encrypted: true,
+  state: record.state ?? null
+});
+
+// Snapshot of the current session's counters for the diagnostics panel
+const readDiagnostics = (chat) => ({
+  sessionId: chat.session.id,
+  epoch: chat.session.epoch,
+  rotations: chat.rotations,
+  lastSent: chat.session.sendCounter,
+  highestReceived: chat.session.replayWindow.highestSequence >= 0 ? chat.session.replayWindow.highestSequence : null,
+  ...chat.session.dropped
+});
+
+// The link for a selected node: { id, name, type: 'bluetooth' | 'wifi', device?, url? }
+export const defaultTransportFor = (node, { demo = false } = {}) => {
+  if (demo) return createDemoTransport({ nodeId: node.id });
+  if (node.type === 'bluetooth') return createBluetoothTransport({ device: node.device });
+  return createWebSocketTransport({ url: node.url ?? DEFAULT_BRIDGE_URL });
+};
+
+const INITIAL_STATE = Object.freeze({
+  connectionState: ConnectionState.DISCONNECTED,
+  // The fusion node we are connected through, as passed to connect()
+  node: null,
+  transportKind: null,
+  // What the demo peer's QR code would contain, on the demo transport
+  demoPeerCode: null,
+  keyAlgorithm: null,
+  publicKey: null,
+  fingerprint: null,
+  // Paired peers by peer ID: { id, deviceId, fusionNode, via, messages, unread,
+  // lastActivityAt, historyCursor, diagnostics, sessionRotatedAt, route, safetyNumber };
+  // deviceId is the peer ID for phones, which have no device ID of their own
+  peers: {},
+  // Attachment transfers by ID, without their bytes
+  transfers: {},
+  // Group channels by group ID: { id, name, owner (peer ID), epoch, members, messages,
+  // unread, lastActivityAt, removed }; messages from peers carry a senderName
+  groups: {},
+  // Safety-number verifications by peer device: { deviceId, publicKey, nodeId, verifiedAt }
+  verifications: {},
+  // The last handshake heard: { fusionNode, publicKey, route }
+  handshake: null,
+  // The pairing in progress: { peerId, fusionNode }
+  pairing: null,
+  devices: [],
+  // Statistics of the current connection, refreshed every few seconds
+  linkSession: null
+});
+
+/**
+ * Options: createTransport(node, { demo }) for the link (defaults to the browser
+ * transports), maxAttachmentSize, handshakeTimeout, and the rekey and outbox flush
+ * intervals. Call reset() to drop everything when done.
+ */
+export const createFusionClient = ({
+  createTransport = defaultTransportFor,
+  maxAttachmentSize = DEFAULT_MAX_ATTACHMENT_SIZE,
+  handshakeTimeout = HANDSHAKE_TIMEOUT_MS,
+  rekeyInterval = REKEY_CHECK_INTERVAL_MS,
+  flushInterval = OUTBOX_FLUSH_INTERVAL_MS
+} = {}) => {
+  const listeners = new Map();
+  let state = INITIAL_STATE;
+
+  let transport = null;
+  let keyPair = null;
+  // Our long-term identity, kept across reconnects and resets: { deviceId, keyPair }
+  let identity = null;
+  let offTransport = () => {};
+  let timers = [];
+  // Rekey controllers by peer ID; frames are routed to a peer by session ID
+  const chats = new Map();
+  // Group channels by group ID, with the control messages for them handled in order
+  const channels = new Map();
+  let groupControls = Promise.resolve();
+  // { peerId, peerInfo, chat, resolve, reject, timer }
+  let pairing = null;
+  // Fusion nodes whose peers read routed payloads; the phone app only reads the
+  // simplified one, so a node has to advertise it first
+  const routedNodes = new Set();
+  let history = null;
+  let viewingPeerId = null;
+  // Outbox flushes and reconnects wait while paused (a hidden page without background sync)
+  let syncPaused = false;
+  // Bumped by reset(), so a connect() still in flight knows it was abandoned
+  let generation = 0;
+  const reconnect = { attempts: 0, timer: null, deferred: false };
+  // Proofs in progress, told about every echoed challenge
+  const echoListeners = new Set();
+  // Statistics recorder for the current connection
+  let recorder = null;
+
+  const on = (event, listener) => {
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set());
+    }
+    listeners.get(event).add(listener);
+    return () => listeners.get(event).delete(listener);
+  };
+
+  const emit = (event, ...args) => {
+    listeners.get(event)?.forEach(listener => listener(...args));
+  };
+
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    emit('change', state);
+  };
+
+  const report = (message) => (e) => emit('error', new Error(`${message}: ${e.message}`));
+
+  // Merge changes (an object, or a function of the peer) into one peer's entry
+  const updatePeer = (peerId, changes) => {
+    const peer = state.peers[peerId];
+    if (!peer) return;
+    const update = typeof changes === 'function' ? changes(peer) : changes;
+    setState({ peers: { ...state.peers, [peerId]: { ...peer, ...update } } });
+  };
+
+  const updateGroup = (groupId, changes) => {
+    const group = state.groups[groupId];
+    if (!group) return;
+    const update = typeof changes === 'function' ? changes(group) : changes;
+    setState({ groups: { ...state.groups, [groupId]: { ...group, ...update } } });
+  };
+
+  const addGroupMessage = (groupId, message) => {
+    updateGroup(groupId, group => ({
+      messages: [...group.messages, message],
+      lastActivityAt: message.timestamp,
+      unread: message.sender === 'peer' && viewingPeerId !== groupId ? group.unread + 1 : group.unread
+    }));
+  };
+
+  const addMessage = (peerId, message) => {
+    updatePeer(peerId, peer => ({
+      messages: [...peer.messages, message],
+      lastActivityAt: message.timestamp,
+      unread: message.sender === 'peer' && viewingPeerId !== peerId ? peer.unread + 1 : peer.unread
+    }));
+  };
+
+  // History writes never block or fail the chat itself; failures are reported
+  const storeMessage = (peerId, message) => {
+    const peer = state.peers[peerId];
+    if (!history || !peer) return;
+    history.addMessage({ id: peer.id, peerNode: peer.fusionNode, via: peer.via }, message)
+      .catch(report('Could not store a message'));
+  };
+
+  const sendToPeer = (fusionNode, frame) => {
+    const options = routedNodes.has(fusionNode) ? { source: state.node.id } : {};
+    const bytes = transport ? sendFrame(transport, fusionNode, frame, options) : null;
+    if (bytes) recorder?.sent(bytes.length);
+    return bytes;
+  };
+
+  // Frames are sealed on the peer's current session. A queued frame whose session
+  // has since been rotated away or re-paired is sealed again before it goes out.
+  const outbox = createOutbox({
+    seal: (entry) => {
+      const chat = chats.get(entry.peerId);
+      if (typeof entry.content === 'string') return chat.createFrame(entry.content);
+      if (entry.content instanceof Uint8Array) return chat.createFileFrame(entry.content);
+      return chat.createControlFrame(entry.content);
+    },
+    reseal: (entry) => !chats.get(entry.peerId)?.hasSession(entry.frame.sessionId),
+    transmit: (entry) => {
+      const peer = state.peers[entry.peerId];
+      const bytes = peer ? sendToPeer(peer.fusionNode, entry.frame) : null;
+      if (bytes && entry.attempts > 0) recorder?.resent();
+      return bytes;
+    },
+    onChange: (entry) => {
+      if (entry.content instanceof Uint8Array) {
+        // Attachment chunks report to their transfer instead of a message. Only chat
+        // messages are retried by hand; a resumed transfer sends its chunks afresh.
+        if (entry.state === MessageState.DELIVERED) transfers.chunkDelivered(entry.id);
+        if (entry.state === MessageState.FAILED) {
+          transfers.chunkFailed(entry.id);
+          outbox.discard(entry.id);
+        }
+        return;
+      }
+      if (typeof entry.content !== 'string') {
+        if (entry.state === MessageState.FAILED) {
+          const group = state.groups[entry.content.groupId];
+          emit('error', new Error(`${state.peers[entry.peerId]?.fusionNode ?? 'A peer'} did not receive the update for ${group?.name ?? 'a group'}`));
+          outbox.discard(entry.id);
+        }
+        return;
+      }
+      updatePeer(entry.peerId, peer => ({
+        messages: peer.messages.map(message =>
+          message.id === entry.id ? { ...message, state: entry.state } : message)
+      }));
+    }
+  });
+
+  // Transfers show up as messages when they start and go to history once complete
+  const handleTransferChange = (transfer) => {
+    const previous = state.transfers[transfer.id];
+    const { data, ...view } = transfer;
+    setState({ transfers: { ...state.transfers, [transfer.id]: view } });
+    emit('transfer', transfer);
+
+    const { peerId } = transfer;
+    const id = `file-${transfer.id}`;
+    const sender = transfer.direction === 'outgoing' ? 'you' : 'peer';
+    if (!previous) {
+      addMessage(peerId, { ...toChatMessage({ id, text: transfer.name, sender, timestamp: Date.now() }), attachmentId: transfer.id });
+    }
+    if (transfer.state === TransferState.COMPLETE && previous?.state !== TransferState.COMPLETE) {
+      storeMessage(peerId, {
+        id,
+        sessionId: chats.get(peerId)?.session.id ?? 0,
+        timestamp: Date.now(),
+        sender,
+        text: `📎 ${transfer.name} (${formatBytes(transfer.size)})`
+      });
+    }
+  };
+
+  const transfers = createFileTransfers({
+    send: async (peerId, bytes) => (await outbox.enqueue(peerId, bytes)).id,
+    discard: (entryId) => outbox.discard(entryId),
+    onChange: handleTransferChange,
+    maxSize: maxAttachmentSize
+  });
+
+  // Advertisements of the node we are connected through double as signal samples
+  const discovery = createDiscoveryRegistry({
+    onChange: (devices) => {
+      const node = state.node && devices.find(device => device.id === state.node.id);
+      if (node?.signal !== null && node?.signal !== undefined) recorder?.sampleSignal(node.signal, node.lastSeen);
+      setState({ devices });
+    }
+  });
+
+  const createChat = (peerId, session, fusionNode) => createRekeyController({
+    session,
+    send: (frame) => sendToPeer(fusionNode, frame),
+    onRotate: () => updatePeer(peerId, { sessionRotatedAt: Date.now() }),
+    onAck: (sessionId, sequence) => outbox.acknowledge(sessionId, sequence),
+    onFile: (sessionId, data) => transfers.receive(peerId, data),
+    onControl: (sessionId, message) => {
+      groupControls = groupControls
+        .then(() => handleGroupControl(peerId, message))
+        .catch(report('Could not apply a group update'));
+    },
+    onEcho: (sessionId, challenge) => echoListeners.forEach(listener => listener(peerId, sessionId, challenge))
+  });
+
+  // Prepends the previous page of a peer's stored history
+  const loadEarlierMessages = async (peerId, before) => {
+    if (!history) return;
+    const page = await history.loadPage(peerId, { before, limit: HISTORY_PAGE_SIZE });
+    updatePeer(peerId, peer => {
+      const shown = new Set(peer.messages.map(message => message.id));
+      return {
+        messages: [...page.messages.filter(record => !shown.has(record.id)).map(toChatMessage), ...peer.messages],
+        historyCursor: page.nextCursor
+      };
+    });
+  };
+
+  // The same key pair on every connect, so peers keep our safety number; with a history
+  // attached it is stored there (non-extractable) and survives the page too
+  const loadIdentity = async () => {
+    if (identity) return identity;
+    const create = async () => {
+      const { algorithm, privateKey, publicKey } = await generateKeyPair();
+      return { deviceId: crypto.randomUUID(), algorithm, privateKey, publicKey };
+    };
+    const stored = history ? await history.loadIdentity(create) : await create();
+    identity = { deviceId: stored.deviceId, keyPair: await restoreKeyPair(stored) };
+    return identity;
+  };
+
+  // The peer's handshake completes pairing once it matches the key we scanned.
+  // Re-pairing a known peer replaces its session but keeps the conversation.
+  const completePairing = () => {
+    const handshake = state.handshake;
+    if (!pairing?.chat || !handshake || peerIdOf(handshake.publicKey) !== pairing.peerId) return;
+
+    const { peerId, peerInfo, chat, resolve, timer } = pairing;
+    clearTimeout(timer);
+    pairing = null;
+    chats.get(peerId)?.close();
+    chats.set(peerId, chat);
+    const peer = {
+      id: peerId,
+      deviceId: peerInfo.deviceId ?? handshake.deviceId ?? peerId,
+      fusionNode: peerInfo.fusionNode,
+      via: state.node?.name ?? null,
+      messages: state.peers[peerId]?.messages ?? [],
+      unread: 0,
+      lastActivityAt: Date.now(),
+      historyCursor: null,
+      diagnostics: readDiagnostics(chat),
+      sessionRotatedAt: null,
+      route: handshake.route,
+      safetyNumber: null
+    };
+    setState({ peers: { ...state.peers, [peerId]: peer }, handshake: null, pairing: null });
+    resolve(peer);
+
+    loadEarlierMessages(peerId).catch(report('Could not load message history'));
+    computeSafetyNumber(keyPair.publicKeyBytes, base64ToBytes(peerId))
+      .then(safetyNumber => updatePeer(peerId, { safetyNumber }))
+      .catch(report('Could not compute the safety number'));
+  };
+
+  // Our own entry in group member lists
+  const selfMember = () => ({ id: peerIdOf(keyPair.publicKeyBase64), fusionNode: state.node.id });
+
+  // The owner hands the current key and member list to every other member
+  const distributeGroupKey = async (groupId) => {
+    const channel = channels.get(groupId);
+    const { name, owner } = state.groups[groupId];
+    const message = createKeyMessage({ groupId, name, owner, epoch: channel.epoch, key: channel.key, members: channel.members });
+    await Promise.all(channel.members
+      .filter(member => chats.has(member.id))
+      .map(member => outbox.enqueue(member.id, message)));
+  };
+
+  // Keys, member lists and removals from a channel's owner, over its pairwise session
+  const handleGroupControl = async (peerId, raw) => {
+    const message = readGroupControl(raw);
+    if (!message || !keyPair) return;
+    const { groupId } = message;
+    const group = state.groups[groupId];
+    // Only the owner manages a channel
+    if (group ? group.owner !== peerId : message.type !== GroupControl.KEY || message.owner !== peerId) return;
+
+    if (message.type === GroupControl.REMOVED) {
+      channels.get(groupId)?.close();
+      channels.delete(groupId);
+      updateGroup(groupId, { removed: true, members: [] });
+      return;
+    }
+    if (!message.members.some(member => member.id === selfMember().id)) return;
+
+    let channel = channels.get(groupId);
+    if (channel) {
+      if (!await channel.update(message)) return;
+    } else {
+      channel = await createGroupChannel({ ...message, localPublicKey: keyPair.publicKeyBase64 });
+      channels.set(groupId, channel);
+    }
+    setState({
+      groups: {
+        ...state.groups,
+        [groupId]: {
+          messages: [],
+          unread: 0,
+          lastActivityAt: Date.now(),
+          ...group,
+          id: groupId,
+          name: message.name,
+          owner: message.owner,
+          epoch: channel.epoch,
+          members: channel.members,
+          removed: false
+        }
+      }
+    });
+  };
+
+  const receiveGroupFrame = async (frame) => {
+    const channel = [...channels.values()].find(candidate => candidate.hasSession(frame.sessionId));
+    const opened = await channel?.open(frame);
+    if (!opened) return;
+    const message = {
+      ...toChatMessage({
+        id: `group-${frame.sessionId}-${frame.sourceId}-${frame.sequence}`,
+        text: opened.text,
+        sender: 'peer',
+        timestamp: Date.now()
+      }),
+      senderName: opened.member.fusionNode
+    };
+    addGroupMessage(channel.id, message);
+    recorder?.messageReceived();
+    emit('message', channel.id, message);
+  };
+
+  const requireOwnedGroup = (groupId) => {
+    const group = state.groups[groupId];
+    if (!group || !channels.has(groupId)) {
+      throw new Error(`No group ${groupId}`);
+    }
+    if (group.owner !== selfMember().id) {
+      throw new Error(`Only the owner can change the members of ${group.name}`);
+    }
+    return group;
+  };
+
+  const handleFrame = async (bytes) => {
+    recorder?.received(bytes.length);
+    const incoming = readFrame(bytes);
+    if (!incoming) return;
+
+    const route = incoming.route && describeRoute(incoming.route);
+    // A peer that sends routed payloads reads them too
+    if (incoming.route) routedNodes.add(incoming.route.source);
+    const handshake = readHandshakeFrame(incoming.frame);
+    if (handshake) {
+      if (handshake.routed) routedNodes.add(handshake.fusionNode);
+      setState({ handshake: { ...handshake, route } });
+      completePairing();
+      return;
+    }
+    if (incoming.frame.type === FrameType.GROUP) {
+      await receiveGroupFrame(incoming.frame);
+      return;
+    }
+
+    // Route by session: every peer has its own
+    const match = [...chats].find(([, chat]) => chat.hasSession(incoming.frame.sessionId)) ??
+      (pairing?.chat?.hasSession(incoming.frame.sessionId) ? [pairing.peerId, pairing.chat] : null);
+    if (!match) return;
+    const [peerId, chat] = match;
+    const text = await chat.receive(incoming.frame);
+    updatePeer(peerId, peer => ({ diagnostics: readDiagnostics(chat), route: route ?? peer.route }));
+    if (text === null) return;
+
+    const message = toChatMessage({
+      id: `peer-${incoming.frame.sessionId}-${incoming.frame.sequence}`,
+      text,
+      sender: 'peer',
+      timestamp: Date.now()
+    });
+    addMessage(peerId, message);
+    recorder?.messageReceived();
+    storeMessage(peerId, { ...message, sessionId: incoming.frame.sessionId });
+    emit('message', peerId, message);
+  };
+
+  const reconnectNow = () => {
+    // Failures come back through the state handler as FAILED and schedule the next try
+    transport?.connect().catch(() => {});
+  };
+
+  // A dropped link is reconnected with backoff; messages wait in the outbox meanwhile
+  const handleLinkState = (linkState, detail) => {
+    if (linkState === TransportState.CONNECTED) {
+      recorder?.linkUp();
+      reconnect.attempts = 0;
+      setState({ connectionState: ConnectionState.CONNECTED });
+      emit('connection', { state: ConnectionState.CONNECTED, detail: null, retryIn: null });
+      outbox.flush();
+    } else if (linkState === TransportState.DISCONNECTED || linkState === TransportState.FAILED) {
+      const retryIn = retryDelay(++reconnect.attempts);
+      recorder?.linkDown();
+      setState({ connectionState: ConnectionState.DISCONNECTED });
+      emit('connection', { state: ConnectionState.DISCONNECTED, detail, retryIn });
+      clearTimeout(reconnect.timer);
+      reconnect.timer = setTimeout(() => {
+        if (syncPaused) {
+          reconnect.deferred = true;
+          return;
+        }
+        reconnectNow();
+      }, retryIn);
+    }
+  };
+
+  const startTimers = () => {
+    // Rotate each peer's session when it reaches its message or age limit
+    const rekeyTimer = setInterval(() => {
+      chats.forEach((chat, peerId) => {
+        chat.tick()
+          .then(() => updatePeer(peerId, { diagnostics: readDiagnostics(chat) }))
+          .catch(report('Session rekey failed'));
+      });
+    }, rekeyInterval);
+    // Resend unacknowledged messages as their backoff runs out
+    const flushTimer = setInterval(() => {
+      if (!syncPaused) outbox.flush();
+    }, flushInterval);
+    const statsTimer = setInterval(() => {
+      if (recorder) setState({ linkSession: recorder.snapshot() });
+    }, STATS_INTERVAL_MS);
+    timers = [rekeyTimer, flushTimer, statsTimer];
+  };
+
+  const stopTimers = () => {
+    timers.forEach(clearInterval);
+    timers = [];
+    clearTimeout(reconnect.timer);
+    Object.assign(reconnect, { attempts: 0, timer: null, deferred: false });
+  };
+
+  const abandonPairing = (error) => {
+    if (!pairing) return;
+    const { chat, reject, timer } = pairing;
+    clearTimeout(timer);
+    chat?.close();
+    pairing = null;
+    setState({ pairing: null });
+    reject(error);
+  };
+
+  const cancelPairing = () => abandonPairing(new Error('Pairing was cancelled'));
+
+  const requirePeer = (peerId) => {
+    if (!chats.has(peerId)) {
+      throw new Error(`Not paired with ${peerId}`);
+    }
+  };
+
+  return {
+    on,
+
+    get state() {
+      return state;
+    },
+
+    // Devices reported by the active transports, see network/discovery.js
+    get discovery() {
+      return discovery;
+    },
+
+    // The message history store, if one is attached
+    get history() {
+      return history;
+    },
+
+    /**
+     * Connect to a fusion node with our identity key pair, made on the first connect.
+     * Resolves once the link is up; rejects with a message fit to show if either step fails.
+     */
+    async connect(node, { demo = false } = {}) {
+      if (transport || state.connectionState === ConnectionState.CONNECTING) {
+        throw new Error('Already connected; reset the client first');
+      }
+      const current = generation;
+      setState({ connectionState: ConnectionState.CONNECTING });
+      const link = createTransport(node, { demo });
+      const attempt = createSessionRecorder({ node, transport: link.kind, demo });
+      let keys;
+      try {
+        await link.connect();
+      } catch (e) {
+        if (current === generation) setState({ connectionState: ConnectionState.DISCONNECTED });
+        emit('session', attempt.end(SessionEnd.FAILED));
+        throw new Error(`Failed to connect to ${node.name ?? node.id}: ${e.message}`);
+      }
+      try {
+        keys = (await loadIdentity()).keyPair;
+      } catch (e) {
+        link.close();
+        if (current === generation) setState({ connectionState: ConnectionState.DISCONNECTED });
+        throw new Error(`Could not load the identity key: ${e.message}`);
+      }
+      if (current !== generation) {
+        link.close();
+        throw new Error('The connection was reset');
+      }
+
+      transport = link;
+      keyPair = keys;
+      recorder = attempt;
+      recorder.connected();
+      const offs = [
+        link.on('frame', handleFrame),
+        link.on('relayed', (bytes) => outbox.markRelayed(bytes)),
+        link.on('state', handleLinkState),
+        link.on('signal', (value) => recorder?.sampleSignal(value))
+      ];
+      offTransport = () => offs.forEach(off => off());
+      startTimers();
+      setState({
+        connectionState: ConnectionState.CONNECTED,
+        node,
+        transportKind: link.kind,
+        demoPeerCode: link.peerPayload ?? null,
+        keyAlgorithm: keys.algorithm,
+        publicKey: keys.publicKeyBase64,
+        fingerprint: null,
+        linkSession: recorder.snapshot()
+      });
+
+      // Our half of every safety number
+      computeFingerprint(keys.publicKeyBytes)
+        .then(fingerprint => {
+          if (keyPair === keys) setState({ fingerprint });
+        })
+        .catch(report('Could not compute the key fingerprint'));
+      return node;
+    },
+
+    // The QR payload that lets a peer pair with us through our node
+    createPairingCode({ expiresAt = null } = {}) {
+      if (!keyPair) {
+        throw new Error('Connect to a fusion node first');
+      }
+      return encodeQRPayload({
+        publicKey: keyPair.publicKeyBase64,
+        fusionNode: state.node.id,
+        expiresAt,
+        routed: true,
+        deviceId: identity.deviceId
+      });
+    },
+
+    /**
+     * Pair with the peer behind a scanned code (the payload string or its decoded
+     * { publicKey, fusionNode }): derive the session, send our handshake and wait for
+     * the peer's. Resolves to the peer once its handshake matches the code.
+     */
+    async pair(code, { timeout = handshakeTimeout } = {}) {
+      if (!transport) {
+        throw new Error('Connect to a fusion node first');
+      }
+      const peerInfo = typeof code === 'string' ? decodeQRPayload(code.trim()) : code;
+      cancelPairing();
+      if (peerInfo.routed) routedNodes.add(peerInfo.fusionNode);
+
+      const peerId = peerIdOf(peerInfo.publicKey);
+      const paired = new Promise((resolve, reject) => {
+        pairing = { peerId, peerInfo, chat: null, resolve, reject, timer: null };
+      });
+      const current = pairing;
+      current.timer = setTimeout(() => {
+        if (pairing === current) abandonPairing(new Error('The other device did not answer. Please try again.'));
+      }, timeout);
+      setState({ pairing: { peerId, fusionNode: peerInfo.fusionNode } });
+
+      try {
+        const session = await establishSession(keyPair, peerInfo.publicKey);
+        if (pairing !== current) return paired;
+        current.chat = createChat(peerId, session, peerInfo.fusionNode);
+        const sent = sendToPeer(peerInfo.fusionNode, await createHandshakeFrame(keyPair, state.node.id, { routed: true, deviceId: identity.deviceId }));
+        if (!sent) {
+          throw new Error('link is down');
+        }
+      } catch (e) {
+        if (pairing === current) {
+          clearTimeout(current.timer);
+          current.chat?.close();
+          pairing = null;
+          setState({ pairing: null });
+        }
+        throw new Error(`Failed to establish secure connection: ${e.message}`);
+      }
+      // The peer may have sent its handshake first
+      completePairing();
+      return paired;
+    },
+
+    cancelPairing,
+
+    // Queues a chat message; while the link is down it goes out on reconnect
+    async sendMessage(peerId, text) {
+      requirePeer(peerId);
+      let entry;
+      try {
+        entry = await outbox.enqueue(peerId, text);
+      } catch (e) {
+        throw new Error(`Encryption failed: ${e.message}`);
+      }
+      const message = toChatMessage({ id: entry.id, text, sender: 'you', timestamp: entry.createdAt, state: entry.state });
+      recorder?.messageSent();
+      addMessage(peerId, message);
+      updatePeer(peerId, { diagnostics: readDiagnostics(chats.get(peerId)) });
+      storeMessage(peerId, { ...message, sessionId: entry.frame.sessionId });
+      return message;
+    },
+
+    async retryMessage(id) {
+      try {
+        await outbox.retry(id);
+      } catch (e) {
+        throw new Error(`Encryption failed: ${e.message}`);
+      }
+    },
+
+    // file: { name, mimeType, data (Uint8Array) }
+    sendFile(peerId, file) {
+      requirePeer(peerId);
+      return transfers.sendFile(peerId, file);
+    },
+
+    cancelTransfer: (id) => transfers.cancel(id),
+    resumeTransfer: (id) => transfers.resume(id),
+    setMaxAttachmentSize: (size) => transfers.setMaxSize(size),
+
+    /**
+     * Challenge-response proof over a peer's live session (network/communicationProof.js).
+     * onProgress receives each check as it finishes. Resolves to the signed report.
+     */
+    runProof(peerId, { onProgress } = {}) {
+      requirePeer(peerId);
+      const peer = state.peers[peerId];
+      return runCommunicationProof({
+        chat: chats.get(peerId),
+        send: (frame) => sendToPeer(peer.fusionNode, frame) !== null,
+        onEcho: (listener) => {
+          const forPeer = (from, sessionId, challenge) => {
+            if (from === peerId) listener(sessionId, challenge);
+          };
+          echoListeners.add(forPeer);
+          return () => echoListeners.delete(forPeer);
+        },
+        onProgress,
+        context: {
+          localNode: state.node.id,
+          peerNode: peer.fusionNode,
+          peerKey: peerId,
+          transport: state.transportKind,
+          route: peer.route?.nodes ?? []
+        }
+      });
+    },
+
+    /**
+     * Create a group channel with paired peers and hand each of them its key. We own
+     * the channel: only we can add or remove members.
+     */
+    async createGroup(name, peerIds) {
+      if (!keyPair) {
+        throw new Error('Connect to a fusion node first');
+      }
+      if (peerIds.length === 0) {
+        throw new Error('Choose at least one peer for the group');
+      }
+      peerIds.forEach(requirePeer);
+      const members = [selfMember(), ...peerIds.map(id => ({ id, fusionNode: state.peers[id].fusionNode }))];
+      const groupId = newGroupId();
+      channels.set(groupId, await createGroupChannel({
+        groupId,
+        epoch: 0,
+        key: generateGroupKey(),
+        members,
+        localPublicKey: keyPair.publicKeyBase64
+      }));
+      const group = {
+        id: groupId,
+        name: name.trim() || 'Group',
+        owner: selfMember().id,
+        epoch: 0,
+        members,
+        messages: [],
+        unread: 0,
+        lastActivityAt: Date.now(),
+        removed: false
+      };
+      setState({ groups: { ...state.groups, [groupId]: group } });
+      await distributeGroupKey(groupId);
+      return group;
+    },
+
+    // New members get the current key; everyone gets the new member list
+    async addGroupMember(groupId, peerId) {
+      requireOwnedGroup(groupId);
+      requirePeer(peerId);
+      const channel = channels.get(groupId);
+      if (channel.members.some(member => member.id === peerId)) return;
+      const members = [...channel.members, { id: peerId, fusionNode: state.peers[peerId].fusionNode }];
+      await channel.update({ epoch: channel.epoch, key: channel.key, members });
+      updateGroup(groupId, { members });
+      await distributeGroupKey(groupId);
+    },
+
+    // Rotates the key, so the removed member cannot read what is sent next
+    async removeGroupMember(groupId, peerId) {
+      requireOwnedGroup(groupId);
+      const channel = channels.get(groupId);
+      if (peerId === selfMember().id || !channel.members.some(member => member.id === peerId)) {
+        throw new Error('Not a member that can be removed');
+      }
+      const members = channel.members.filter(member => member.id !== peerId);
+      await channel.update({ epoch: channel.epoch + 1, key: generateGroupKey(), members });
+      updateGroup(groupId, { epoch: channel.epoch, members });
+      await distributeGroupKey(groupId);
+      if (chats.has(peerId)) await outbox.enqueue(peerId, createRemovedMessage(groupId));
+    },
+
+    /**
+     * Seal a message once with the group key and send it to every other member's
+     * fusion node. Group messages are not queued or acknowledged, so this throws
+     * while the link is down.
+     */
+    async sendGroupMessage(groupId, text) {
+      const channel = channels.get(groupId);
+      if (!channel) {
+        throw new Error('You are not a member of this group');
+      }
+      if (state.connectionState !== ConnectionState.CONNECTED) {
+        throw new Error('Not connected to the fusion node; group messages are not queued');
+      }
+      let frame;
+      try {
+        frame = await channel.seal(text);
+      } catch (e) {
+        throw new Error(`Encryption failed: ${e.message}`);
+      }
+      const self = selfMember();
+      const nodes = new Set(channel.members.filter(member => member.id !== self.id).map(member => member.fusionNode));
+      nodes.forEach(fusionNode => sendToPeer(fusionNode, frame));
+
+      const message = toChatMessage({
+        id: `you-${frame.sessionId}-${frame.sequence}`,
+        text,
+        sender: 'you',
+        timestamp: Date.now(),
+        state: MessageState.SENT
+      });
+      recorder?.messageSent();
+      addGroupMessage(groupId, message);
+      return message;
+    },
+
+    // Messages from the viewed peer or group do not count as unread
+    viewPeer(peerId) {
+      viewingPeerId = peerId;
+      if (!peerId) return;
+      if (state.groups[peerId]) {
+        updateGroup(peerId, { unread: 0 });
+      } else {
+        updatePeer(peerId, { unread: 0 });
+      }
+    },
+
+    dismissRotationNotice(peerId) {
+      updatePeer(peerId, { sessionRotatedAt: null });
+    },
+
+    loadEarlierMessages,
+
+    // Deletes a peer's stored messages; the open conversation stays on screen
+    async clearHistory(peerId) {
+      await history?.clearConversation(peerId);
+      updatePeer(peerId, { historyCursor: null });
+    },
+
+    // Attach the encrypted message history (data/messageHistory.js); null detaches it
+    async attachHistory(store) {
+      history = store;
+      if (!store) return;
+      // The stored identity wins over one made before the history was open
+      if (!keyPair) identity = null;
+      const verified = await store.listVerifications();
+      setState({ verifications: Object.fromEntries(verified.map(record => [record.deviceId, record])) });
+    },
+
+    // Verification is stored per peer device, so a new key from the same device is caught
+    async markVerified(peerId) {
+      const peer = state.peers[peerId];
+      const record = { deviceId: peer.deviceId, publicKey: peer.id, nodeId: peer.fusionNode, verifiedAt: Date.now() };
+      await history?.saveVerification(record);
+      setState({ verifications: { ...state.verifications, [record.deviceId]: record } });
+    },
+
+    async clearVerification(peerId) {
+      const { deviceId } = state.peers[peerId];
+      await history?.removeVerification(deviceId);
+      const { [deviceId]: removed, ...rest } = state.verifications;
+      setState({ verifications: rest });
+    },
+
+    /**
+     * Feed the discovery registry while the device list is open: simulated nodes when
+     * demo is set, and for Wi-Fi the bridge probe. Bluetooth needs scanBluetooth() from a user
+     * gesture. Returns a function that stops discovery.
+     */
+    startDiscovery({ type, demo = false }) {
+      discovery.prune();
+      const stopDemo = demo ? advertiseDemoNodes({ onAdvertisement: discovery.advertise }) : () => {};
+      const pruneTimer = setInterval(discovery.prune, DISCOVERY_PRUNE_INTERVAL_MS);
+
+      let probeTimer = null;
+      if (type === 'wifi') {
+        const probe = async () => {
+          const advertisement = await probeFusionBridge();
+          if (advertisement) discovery.advertise(advertisement);
+        };
+        probe();
+        probeTimer = setInterval(probe, BRIDGE_PROBE_INTERVAL_MS);
+      }
+
+      return () => {
+        stopDemo();
+        clearInterval(pruneTimer);
+        clearInterval(probeTimer);
+      };
+    },
+
+    // Resolves to a function that stops the scan
+    scanBluetooth() {
+      return scanForFusionNodes({
+        onDevice: ({ id, name, rssi, device }) => discovery.advertise({
+          id,
+          name,
+          transport: 'bluetooth',
+          signal: rssi === null ? null : rssiToSignal(rssi),
+          device
+        })
+      });
+    },
+
+    // Pause outbox flushes and reconnects; resuming catches up on both
+    setSyncPaused(paused) {
+      syncPaused = paused;
+      if (paused || !transport) return;
+      outbox.flush();
+      if (reconnect.deferred) {
+        reconnect.deferred = false;
+        reconnectNow();
+      }
+    },
+
+    // Statistics of the current connection as of now, or null
+    get linkSession() {
+      return recorder?.snapshot() ?? null;
+    },
+
+    // Drop the link, keys, peers and anything queued; history and discovery stay
+    reset() {
+      generation += 1;
+      const ended = recorder?.end(SessionEnd.CLOSED);
+      recorder = null;
+      cancelPairing();
+      stopTimers();
+      transfers.clear();
+      outbox.clear();
+      chats.forEach(chat => chat.close());
+      chats.clear();
+      channels.forEach(channel => channel.close());
+      channels.clear();
+      routedNodes.clear();
+      groupControls = Promise.resolve();
+      offTransport();
+      offTransport = () => {};
+      transport?.close();
+      transport = null;
+      keyPair = null;
+      viewingPeerId = null;
+      state = { ...INITIAL_STATE, verifications: state.verifications, devices: state.devices };
+      emit('change', state);
+      if (ended) emit('session', ended);
+      emit('reset');
+    }
+  };
+};
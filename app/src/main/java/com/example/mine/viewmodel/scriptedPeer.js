@@ -0,0 +1,79 @@
+import { createFusionClient } from './fusionClient.js';
+
+// A peer that runs by itself on a headless client: it pairs back with any device
+// whose handshake reaches it and answers chat messages from a script. End-to-end
+// tests use it as the other side of a chat, and relaySimulator.js --peer puts one on
+// the simulated mesh so the app has someone to talk to.
+export const echoReply = (text) => `Echo: ${text}`;
+
+// A list of replies is used in turn, one per message, and then nothing more
+const fromScript = (lines) => {
+  let next = 0;
+  return () => lines[next++] ?? null;
+};
+
+/**
+ * createTransport and the client options go to createFusionClient; node is the fusion
+ * node to connect to. reply(text, peer) returns the answer to a message, or a promise
+ * of it; null sends nothing. With acceptPairing off, only pair(code) pairs.
+ * onError(error) hears about replies and pairings that failed.
+ */
+export const createScriptedPeer = ({
+  createTransport,
+  node,
+  reply = echoReply,
+  acceptPairing = true,
+  onError = () => {},
+  ...options
+}) => {
+  const client = createFusionClient({ createTransport, ...options });
+  const answer = Array.isArray(reply) ? fromScript(reply) : reply;
+  let offs = [];
+
+  // A handshake we were not waiting for comes from a device that scanned our code
+  const pairBack = (state) => {
+    const { handshake } = state;
+    if (!acceptPairing || !handshake || state.pairing) return;
+    client.pair({ publicKey: handshake.publicKey, fusionNode: handshake.fusionNode }).catch(onError);
+  };
+
+  const respond = async (peerId, message) => {
+    // Group messages arrive under their group ID; the script is for chats
+    const peer = client.state.peers[peerId];
+    if (!peer) return;
+    const text = await answer(message.text, peer);
+    if (text !== null && text !== undefined) {
+      await client.sendMessage(peerId, text);
+    }
+  };
+
+  return {
+    client,
+
+    // Connects and resolves to our pairing code
+    async start() {
+      offs = [
+        client.on('change', pairBack),
+        client.on('message', (peerId, message) => {
+          respond(peerId, message).catch(onError);
+        })
+      ];
+      await client.connect(node);
+      return client.createPairingCode();
+    },
+
+    get pairingCode() {
+      return client.createPairingCode();
+    },
+
+    pair(code) {
+      return client.pair(code);
+    },
+
+    stop() {
+      offs.forEach(off => off());
+      offs = [];
+      client.reset();
+    }
+  };
+};
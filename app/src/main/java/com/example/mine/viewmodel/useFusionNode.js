@@ -0,0 +1,81 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { createFusionClient } from './fusionClient.js';
+import { openMessageHistory } from '../data/messageHistory.js';
+
+/**
+ * React binding for the headless client in fusionClient.js. Creates one client per
+ * component, re-renders on its changes, attaches the IndexedDB message history and
+ * gives completed attachments an object URL. Returns { client, state }, where
+ * state.transfers entries carry a url once their bytes are in and state.historyError
+ * says why the history could not be opened, if it could not.
+ */
+export const useFusionNode = (options) => {
+  const clientRef = useRef(null);
+  if (!clientRef.current) {
+    clientRef.current = createFusionClient(options);
+  }
+  const client = clientRef.current;
+  const [state, setState] = useState(client.state);
+  // Object URLs by transfer ID
+  const [urls, setUrls] = useState({});
+  const [historyError, setHistoryError] = useState(null);
+
+  useEffect(() => {
+    setState(client.state);
+    return client.on('change', setState);
+  }, [client]);
+
+  // Open the message history once; without IndexedDB the chat stays in memory only
+  useEffect(() => {
+    let history = null;
+    let closed = false;
+    openMessageHistory()
+      .then((opened) => {
+        if (closed) {
+          opened.close();
+          return;
+        }
+        history = opened;
+        return client.attachHistory(opened);
+      })
+      .catch(e => setHistoryError(e.message));
+
+    return () => {
+      closed = true;
+      client.attachHistory(null);
+      history?.close();
+    };
+  }, [client]);
+
+  // Only transfer events carry the bytes, so URLs are made as they arrive
+  useEffect(() => {
+    const made = new Map();
+    const revokeAll = () => {
+      made.forEach(url => URL.revokeObjectURL(url));
+      made.clear();
+      setUrls({});
+    };
+
+    const offTransfer = client.on('transfer', (transfer) => {
+      if (made.has(transfer.id) || !transfer.data) return;
+      const url = URL.createObjectURL(new Blob([transfer.data], { type: transfer.mimeType }));
+      made.set(transfer.id, url);
+      setUrls(prev => ({ ...prev, [transfer.id]: url }));
+    });
+    const offReset = client.on('reset', revokeAll);
+
+    return () => {
+      offTransfer();
+      offReset();
+      revokeAll();
+    };
+  }, [client]);
+
+  useEffect(() => () => client.reset(), [client]);
+
+  const transfers = useMemo(() => Object.fromEntries(
+    Object.entries(state.transfers).map(([id, transfer]) => [id, { ...transfer, url: urls[id] ?? null }])
+  ), [state.transfers, urls]);
+
+  return { client, state: { ...state, transfers, historyError } };
+};
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sendFrame, readFrame } from '../../../../../main/java/com/example/mine/network/transport.js';
+import { createLoopbackPair } from '../../../../../main/java/com/example/mine/network/loopbackTransport.js';
+import { generateKeyPair } from '../../../../../main/java/com/example/mine/crypto/keys.js';
+import { establishSession } from '../../../../../main/java/com/example/mine/crypto/session.js';
+import { createRekeyController } from '../../../../../main/java/com/example/mine/crypto/rekey.js';
+import {
+  runCommunicationProof,
+  verifyProofReport,
+  ProofCheck,
+  REPORT_FORMAT
+} from '../../../../../main/java/com/example/mine/network/communicationProof.js';
+
+// Two rekey controllers on a loopback link; echo listeners see the first side's echoes
+const pairedChats = async () => {
+  const links = createLoopbackPair();
+  await Promise.all(links.map(link => link.connect()));
+  const keys = [await generateKeyPair(), await generateKeyPair()];
+  const listeners = new Set();
+
+  const chats = [];
+  for (const side of [0, 1]) {
+    const chat = createRekeyController({
+      session: await establishSession(keys[side], keys[1 - side].publicKeyBase64),
+      send: (frame) => sendFrame(links[side], 'NODE', frame),
+      onEcho: (sessionId, challenge) => listeners.forEach(listener => listener(sessionId, challenge))
+    });
+    links[side].on('frame', (bytes) => chat.receive(readFrame(bytes).frame));
+    chats.push(chat);
+  }
+
+  const onEcho = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+  return { alice: chats[0], bob: chats[1], link: links[0], onEcho };
+};
+
+test('a live session passes every check and the signed report verifies on both sides', async () => {
+  const { alice, bob, link, onEcho } = await pairedChats();
+  const progress = [];
+  const report = await runCommunicationProof({
+    chat: alice,
+    send: (frame) => sendFrame(link, 'NODE', frame) !== null,
+    onEcho,
+    onProgress: (check) => progress.push(check.id),
+    context: { localNode: 'NODE_A', peerNode: 'NODE_B' },
+    tamperWindow: 200
+  });
+
+  assert.deepEqual(progress, [ProofCheck.NONCE_ECHO, ProofCheck.ROUND_TRIP, ProofCheck.CIPHERTEXT, ProofCheck.TAMPER]);
+  assert.equal(report.format, REPORT_FORMAT);
+  assert.equal(report.peerNode, 'NODE_B');
+  assert.ok(!Number.isNaN(Date.parse(report.generatedAt)));
+  for (const check of report.checks) {
+    assert.equal(check.passed, true, `${check.id}: ${check.detail}`);
+  }
+  assert.equal(report.passed, true);
+  assert.equal(report.checks[1].samples.length, 5);
+
+  // The peer holds the same report key; any edit breaks the signature
+  assert.equal(await verifyProofReport(bob.session, report), true);
+  assert.equal(await verifyProofReport(alice.session, JSON.parse(JSON.stringify(report))), true);
+  assert.equal(await verifyProofReport(bob.session, { ...report, passed: false }), false);
+  assert.equal(await verifyProofReport(bob.session, { ...report, checks: report.checks.slice(1) }), false);
+
+  // Tampered frames never reached the peer's replay window
+  assert.equal(bob.session.dropped.replays, 0);
+});
+
+test('an unreachable peer fails the proof but still yields a signed report', async () => {
+  const { alice, bob, onEcho } = await pairedChats();
+  const report = await runCommunicationProof({
+    chat: alice,
+    send: () => true,
+    onEcho,
+    echoTimeout: 50,
+    tamperWindow: 20
+  });
+
+  const results = Object.fromEntries(report.checks.map(check => [check.id, check.passed]));
+  assert.deepEqual(results, {
+    [ProofCheck.NONCE_ECHO]: false,
+    [ProofCheck.ROUND_TRIP]: false,
+    [ProofCheck.CIPHERTEXT]: true,
+    [ProofCheck.TAMPER]: false
+  });
+  assert.equal(report.passed, false);
+  assert.equal(await verifyProofReport(bob.session, report), true);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { generateKeyPair } from '../../../../../main/java/com/example/mine/crypto/keys.js';
+import { establishSession, createFrame, decryptFrame } from '../../../../../main/java/com/example/mine/crypto/session.js';
+import { FrameFlags } from '../../../../../main/java/com/example/mine/crypto/frame.js';
+import {
+  compressPayload,
+  decompressPayload,
+  COMPRESSION_THRESHOLD
+} from '../../../../../main/java/com/example/mine/crypto/compression.js';
+
+const encoder = new TextEncoder();
+
+const pair = async () => {
+  const keysA = await generateKeyPair();
+  const keysB = await generateKeyPair();
+  return [
+    await establishSession(keysA, keysB.publicKeyBase64),
+    await establishSession(keysB, keysA.publicKeyBase64)
+  ];
+};
+
+test('payloads are compressed only when large enough and smaller for it', async () => {
+  const small = encoder.encode('hello');
+  assert.deepEqual(await compressPayload(small), { data: small, compressed: false });
+
+  const random = crypto.getRandomValues(new Uint8Array(4096));
+  assert.equal((await compressPayload(random)).compressed, false);
+
+  const text = encoder.encode('fusion node '.repeat(COMPRESSION_THRESHOLD));
+  const packed = await compressPayload(text);
+  assert.equal(packed.compressed, true);
+  assert.ok(packed.data.length < text.length / 10);
+  assert.deepEqual(await decompressPayload(packed.data, text.length), text);
+});
+
+test('payloads deflated by java.util.zip.Deflater decompress', async () => {
+  // Deflater's default output is zlib-wrapped deflate, the same as node:zlib's deflateSync
+  const original = encoder.encode('{"type":"status","ok":true}'.repeat(100));
+  const fromPhone = new Uint8Array(deflateSync(original));
+  assert.deepEqual(await decompressPayload(fromPhone, original.length), original);
+});
+
+test('decompression bombs and size mismatches are rejected', async () => {
+  // 60 KB of zeros deflates to a few dozen bytes; a false small size must not let it through
+  const bomb = new Uint8Array(deflateSync(new Uint8Array(60000)));
+  assert.ok(bomb.length < 200);
+  await assert.rejects(decompressPayload(bomb, 1024), /inflates past/);
+  await assert.rejects(decompressPayload(bomb, 65535), /expected 65535/);
+  await assert.rejects(decompressPayload(bomb, 100000), /Invalid original size/);
+  await assert.rejects(decompressPayload(Uint8Array.of(1, 2, 3, 4), 100));
+});
+
+test('compressed frames carry the flag, which is authenticated', async () => {
+  const [sessionA, sessionB] = await pair();
+  const long = 'The quick brown fox jumps over the lazy dog. '.repeat(100);
+
+  const frame = await createFrame(sessionA, long);
+  assert.equal(frame.flags & FrameFlags.COMPRESSED, FrameFlags.COMPRESSED);
+  assert.ok(frame.ciphertext.length < long.length / 5);
+  assert.equal(await decryptFrame(sessionB, frame), long);
+
+  const short = await createFrame(sessionA, 'short');
+  assert.equal(short.flags & FrameFlags.COMPRESSED, 0);
+  assert.equal(await decryptFrame(sessionB, short), 'short');
+
+  // A relay clearing the flag cannot make us read deflate bytes as text
+  const tampered = await createFrame(sessionA, long);
+  assert.equal(await decryptFrame(sessionB, { ...tampered, flags: FrameFlags.ENCRYPTED }), null);
+  assert.equal(await decryptFrame(sessionB, tampered), long);
+});
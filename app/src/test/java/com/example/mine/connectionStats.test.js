@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSessionRecorder,
+  summarizeNodes,
+  sessionDuration,
+  SessionEnd,
+  MAX_SIGNAL_SAMPLES
+} from '../../../../../main/java/com/example/mine/network/connectionStats.js';
+import {
+  loadConnectionHistory,
+  saveConnectionHistory,
+  appendSession,
+  MAX_SESSIONS
+} from '../../../../../main/java/com/example/mine/data/connectionHistory.js';
+
+const clock = (start = 1_700_000_000_000) => {
+  let time = start;
+  const now = () => time;
+  now.advance = (ms) => {
+    time += ms;
+  };
+  return now;
+};
+
+// A finished record for nodeId: up for 10 minutes, with the given overrides applied on top
+const finishedSession = (nodeId, { connected = true, downFor = 0, frames = 10, resends = 0, signal = [] } = {}) => {
+  const now = clock();
+  const recorder = createSessionRecorder({ node: { id: nodeId, name: `Node ${nodeId}` }, transport: 'wifi', now });
+  if (!connected) return recorder.end(SessionEnd.FAILED);
+  recorder.connected();
+  for (let i = 0; i < frames; i++) recorder.sent(100);
+  for (let i = 0; i < resends; i++) recorder.resent();
+  signal.forEach((value, i) => recorder.sampleSignal(value, now() + i + 1));
+  if (downFor > 0) {
+    recorder.linkDown();
+    now.advance(downFor);
+    recorder.linkUp();
+  }
+  now.advance(600000 - downFor);
+  return recorder.end();
+};
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+test('a recorder counts traffic, drops and signal over one connection', () => {
+  const now = clock();
+  const recorder = createSessionRecorder({ node: { id: 'NODE_A', name: 'Node A' }, transport: 'demo', demo: true, now });
+  recorder.connected();
+  recorder.sent(120);
+  recorder.sent(80);
+  recorder.resent();
+  recorder.received(64);
+  recorder.messageSent();
+  recorder.messageReceived();
+  recorder.sampleSignal(70.4);
+  recorder.sampleSignal(20); // same instant: skipped
+
+  now.advance(1000);
+  recorder.linkDown();
+  now.advance(4000);
+  // An open drop already counts as downtime
+  assert.equal(recorder.snapshot().downtimeMs, 4000);
+  recorder.linkUp();
+  recorder.linkUp(); // no drop in between: not another reconnect
+  now.advance(5000);
+
+  const record = recorder.end();
+  assert.equal(record.nodeName, 'Node A');
+  assert.equal(record.demo, true);
+  assert.equal(record.connected, true);
+  assert.equal(record.endReason, SessionEnd.CLOSED);
+  assert.equal(sessionDuration(record), 10000);
+  assert.deepEqual(
+    [record.bytesSent, record.framesSent, record.bytesReceived, record.framesReceived],
+    [200, 2, 64, 1]
+  );
+  assert.deepEqual([record.messagesSent, record.messagesReceived, record.resends], [1, 1, 1]);
+  assert.deepEqual([record.reconnects, record.downtimeMs], [1, 4000]);
+  assert.deepEqual(record.signal, [{ at: now() - 10000, value: 70 }]);
+});
+
+test('long connections keep a bounded, compacted signal history', () => {
+  const now = clock();
+  const recorder = createSessionRecorder({ node: { id: 'NODE_A' }, transport: 'bluetooth', now });
+  for (let i = 0; i <= MAX_SIGNAL_SAMPLES * 3; i++) {
+    now.advance(2000);
+    recorder.sampleSignal(i % 2 === 0 ? 40 : 60);
+  }
+  const { signal } = recorder.snapshot();
+  assert.ok(signal.length <= MAX_SIGNAL_SAMPLES);
+  assert.ok(signal.every((sample, i) => i === 0 || sample.at > signal[i - 1].at));
+  // Averaging neighbours smooths the alternation to its mean
+  assert.ok(signal.slice(1, -1).every(sample => sample.value === 50));
+});
+
+test('nodes are ranked by connection success, uptime and first-time delivery', () => {
+  const records = [
+    finishedSession('FLAKY', { downFor: 300000 }),
+    finishedSession('FLAKY', { connected: false }),
+    finishedSession('STEADY', { signal: [80, 90] }),
+    finishedSession('STEADY', { resends: 1 }),
+    finishedSession('WEAK', { signal: [30] }),
+    finishedSession('NEVER', { connected: false })
+  ];
+  const nodes = summarizeNodes(records);
+  // Signal only breaks ties: a weak node that never failed beats one that resent a frame
+  assert.deepEqual(nodes.map(node => node.nodeId), ['WEAK', 'STEADY', 'FLAKY', 'NEVER']);
+
+  const [weak, steady, flaky, never] = nodes;
+  assert.equal(steady.attempts, 2);
+  assert.equal(steady.connectedMs, 1200000);
+  assert.equal(steady.deliveryRate, 19 / 20);
+  assert.equal(steady.reliability, 95);
+  assert.equal(steady.averageSignal, 85);
+  assert.equal(weak.reliability, 100);
+  assert.equal(flaky.successRate, 0.5);
+  assert.equal(flaky.uptime, 0.5);
+  assert.equal(flaky.reliability, 25);
+  assert.equal(flaky.reconnects, 1);
+  assert.deepEqual([never.reliability, never.averageSignal, never.lastConnectedAt], [0, null, null]);
+});
+
+test('the history keeps the newest sessions and drops damaged entries', () => {
+  const storage = memoryStorage();
+  let sessions = [];
+  for (let i = 0; i < MAX_SESSIONS + 5; i++) {
+    sessions = appendSession(sessions, { ...finishedSession('NODE_A'), id: `session-${i}` });
+  }
+  assert.equal(sessions.length, MAX_SESSIONS);
+  assert.equal(sessions[0].id, 'session-5');
+
+  // The same ID replaces the earlier copy, as when a page-hide save is followed by the real end
+  const open = { ...sessions[sessions.length - 1], endedAt: null, endReason: null };
+  assert.equal(appendSession(sessions, open).length, MAX_SESSIONS);
+
+  assert.equal(saveConnectionHistory(sessions, { storage }), true);
+  assert.deepEqual(loadConnectionHistory({ storage }), sessions);
+
+  storage.setItem('fusion-node-connection-history', JSON.stringify([
+    sessions[0],
+    { ...sessions[1], bytesSent: -1 },
+    { ...sessions[2], nodeId: 42 },
+    { ...sessions[3], signal: [{ at: 1, value: 50 }, 'noise', { at: 'later', value: 1 }] },
+    null
+  ]));
+  const loaded = loadConnectionHistory({ storage });
+  assert.deepEqual(loaded.map(session => session.id), ['session-5', 'session-8']);
+  assert.deepEqual(loaded[1].signal, [{ at: 1, value: 50 }]);
+
+  storage.setItem('fusion-node-connection-history', '{not json');
+  assert.deepEqual(loadConnectionHistory({ storage }), []);
+  assert.deepEqual(loadConnectionHistory({ storage: null }), []);
+});
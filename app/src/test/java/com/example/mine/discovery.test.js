@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createDiscoveryRegistry,
+  listDevices,
+  DeviceSort,
+  DeviceFilter
+} from '../../../../../main/java/com/example/mine/network/discovery.js';
+
+const manualClock = () => {
+  const clock = { time: 1000 };
+  clock.now = () => clock.time;
+  return clock;
+};
+
+test('advertisements update one entry with first/last seen and a smoothed signal', () => {
+  const clock = manualClock();
+  const registry = createDiscoveryRegistry({ now: clock.now });
+
+  registry.advertise({ id: 'NODE_A', name: 'Node A', transport: 'bluetooth', signal: 80 });
+  clock.time = 3000;
+  registry.advertise({ id: 'NODE_A', transport: 'bluetooth', signal: 40 });
+  clock.time = 4000;
+  registry.advertise({ id: 'NODE_A', transport: 'bluetooth', signal: null });
+
+  const [device] = registry.entries;
+  assert.equal(registry.entries.length, 1);
+  assert.equal(device.name, 'Node A');
+  assert.equal(device.firstSeen, 1000);
+  assert.equal(device.lastSeen, 4000);
+  // 80 -> 80 + 0.3 * (40 - 80); a reading without RSSI keeps the average
+  assert.equal(device.signal, 68);
+});
+
+test('devices that stop advertising are pruned after the timeout', () => {
+  const clock = manualClock();
+  const changes = [];
+  const registry = createDiscoveryRegistry({ staleAfter: 5000, now: clock.now, onChange: (entries) => changes.push(entries.length) });
+
+  registry.advertise({ id: 'OLD', transport: 'wifi', signal: 50 });
+  clock.time = 4000;
+  registry.advertise({ id: 'NEW', transport: 'wifi', signal: 50 });
+  clock.time = 7000;
+
+  assert.deepEqual(registry.prune(), ['OLD']);
+  assert.deepEqual(registry.entries.map(device => device.id), ['NEW']);
+  assert.deepEqual(registry.prune(), []);
+  assert.deepEqual(changes, [1, 2, 1]);
+});
+
+test('the device list pins known nodes, then sorts, searches and filters', () => {
+  const clock = manualClock();
+  const registry = createDiscoveryRegistry({ now: clock.now });
+  registry.advertise({ id: 'WEAK', name: 'Weak Node', transport: 'wifi', signal: 20, secured: true });
+  clock.time = 2000;
+  registry.advertise({ id: 'STRONG', name: 'Strong Node', transport: 'wifi', signal: 90 });
+  clock.time = 3000;
+  registry.advertise({ id: 'QUIET', name: 'Quiet Relay', transport: 'wifi' });
+  registry.advertise({ id: 'BT', name: 'Bluetooth Node', transport: 'bluetooth', signal: 99 });
+  registry.setKnown(['WEAK']);
+
+  const ids = (options) => listDevices(registry.entries, { transport: 'wifi', ...options }).map(device => device.id);
+  assert.deepEqual(ids({ sort: DeviceSort.SIGNAL }), ['WEAK', 'STRONG', 'QUIET']);
+  assert.deepEqual(ids({ sort: DeviceSort.RECENT }), ['WEAK', 'QUIET', 'STRONG']);
+  assert.deepEqual(ids({ query: 'node' }), ['WEAK', 'STRONG']);
+  assert.deepEqual(ids({ filter: DeviceFilter.SECURED }), ['WEAK']);
+  assert.deepEqual(ids({ filter: DeviceFilter.KNOWN, query: 'strong' }), []);
+});
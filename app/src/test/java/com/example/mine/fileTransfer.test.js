@@ -0,0 +1,181 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sendFrame, readFrame } from '../../../../../main/java/com/example/mine/network/transport.js';
+import { createLoopbackPair } from '../../../../../main/java/com/example/mine/network/loopbackTransport.js';
+import { createOutbox, MessageState, retryDelay } from '../../../../../main/java/com/example/mine/network/outbox.js';
+import {
+  createFileTransfers,
+  TransferState,
+  CHUNK_SIZE
+} from '../../../../../main/java/com/example/mine/network/fileTransfer.js';
+import { generateKeyPair } from '../../../../../main/java/com/example/mine/crypto/keys.js';
+import { establishSession } from '../../../../../main/java/com/example/mine/crypto/session.js';
+import { createRekeyController } from '../../../../../main/java/com/example/mine/crypto/rekey.js';
+
+const settle = (ms = 50) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Two clients wired the way the app wires them: rekey controller, outbox and
+// file transfers on each side of a loopback link. lose(side, entry) drops an outbox
+// frame on the way, as a lossy mesh would.
+const pairedClients = async ({ maxSize, lose = () => false, now = Date.now } = {}) => {
+  const links = createLoopbackPair();
+  await Promise.all(links.map(link => link.connect()));
+  const keys = [await generateKeyPair(), await generateKeyPair()];
+
+  const clients = [];
+  for (const side of [0, 1]) {
+    const link = links[side];
+    const client = { states: [] };
+    client.chat = createRekeyController({
+      session: await establishSession(keys[side], keys[1 - side].publicKeyBase64),
+      send: (frame) => sendFrame(link, 'NODE', frame),
+      onAck: (sessionId, sequence) => client.outbox.acknowledge(sessionId, sequence),
+      onFile: (sessionId, data) => client.files.receive('peer', data)
+    });
+    client.outbox = createOutbox({
+      seal: (entry) => client.chat.createFileFrame(entry.content),
+      transmit: (entry) => sendFrame(lose(side, entry) ? { send: () => true } : link, 'NODE', entry.frame),
+      now,
+      onChange: (entry) => {
+        if (entry.state === MessageState.DELIVERED) client.files.chunkDelivered(entry.id);
+      }
+    });
+    client.files = createFileTransfers({
+      send: async (peerId, bytes) => (await client.outbox.enqueue(peerId, bytes)).id,
+      discard: (entryId) => client.outbox.discard(entryId),
+      onChange: (transfer) => client.states.push(transfer),
+      maxSize
+    });
+    link.on('frame', (bytes) => client.chat.receive(readFrame(bytes).frame));
+    clients.push(client);
+  }
+  return { alice: clients[0], bob: clients[1], links };
+};
+
+const randomFile = (size) => {
+  const data = new Uint8Array(size);
+  for (let offset = 0; offset < size; offset += 65536) {
+    crypto.getRandomValues(data.subarray(offset, Math.min(size, offset + 65536)));
+  }
+  return data;
+};
+
+test('files are chunked to the frame limit and reassembled intact', async () => {
+  const { alice, bob } = await pairedClients();
+  const data = randomFile(CHUNK_SIZE * 2 + 1234);
+
+  const sent = await alice.files.sendFile('peer', { name: 'photo.png', mimeType: 'image/png', data });
+  assert.equal(sent.chunkCount, 3);
+  await settle(200);
+
+  const [received] = bob.files.transfers;
+  assert.equal(received.state, TransferState.COMPLETE);
+  assert.equal(received.name, 'photo.png');
+  assert.deepEqual(received.data, data);
+  assert.equal(alice.files.transfers[0].state, TransferState.COMPLETE);
+
+  // Progress was reported chunk by chunk
+  assert.deepEqual(bob.states.map(transfer => transfer.done), [0, 1, 2, 3, 3]);
+});
+
+test('a cancelled transfer resumes from the chunks already delivered', async () => {
+  const { alice, bob, links } = await pairedClients();
+  const data = randomFile(CHUNK_SIZE * 6);
+
+  // Hold the link while the first window is queued, then cancel
+  links[0].close();
+  const { id } = await alice.files.sendFile('peer', { name: 'notes.bin', data });
+  await alice.files.cancel(id);
+  assert.equal(alice.files.transfers[0].state, TransferState.CANCELLED);
+  assert.equal(alice.outbox.entries.filter(entry => entry.state !== MessageState.DELIVERED).length, 2);
+
+  await links[0].connect();
+  await links[1].connect();
+  await alice.outbox.flush();
+  await alice.files.resume(id);
+  await settle(300);
+
+  assert.equal(bob.files.transfers[0].state, TransferState.COMPLETE);
+  assert.deepEqual(bob.files.transfers[0].data, data);
+});
+
+test('offers over the size limit are refused by the receiver', async () => {
+  const { alice, bob } = await pairedClients({ maxSize: 1024 });
+  bob.files.setMaxSize(1024);
+  alice.files.setMaxSize(4096);
+
+  await assert.rejects(alice.files.sendFile('peer', { name: 'big', data: randomFile(8192) }), /limited to 4096 bytes/);
+
+  await alice.files.sendFile('peer', { name: 'medium', data: randomFile(2048) });
+  await settle(200);
+  assert.equal(bob.files.transfers[0].state, TransferState.FAILED);
+  assert.equal(bob.files.transfers[0].done, 0);
+  assert.equal(alice.files.transfers[0].state, TransferState.CANCELLED);
+});
+
+test('chunks wait until the offer is acknowledged', async () => {
+  let time = 0;
+  let sent = 0;
+  // The OFFER is the first frame Alice sends
+  const { alice, bob } = await pairedClients({ lose: (side) => side === 0 && sent++ === 0, now: () => time });
+  const data = randomFile(CHUNK_SIZE * 3);
+
+  await alice.files.sendFile('peer', { name: 'lost.bin', data });
+  await settle(100);
+  assert.deepEqual(bob.files.transfers, []);
+  assert.equal(alice.files.transfers[0].state, TransferState.SENDING);
+  assert.equal(alice.outbox.entries.length, 1);
+
+  // The outbox resends the OFFER, and only then do the chunks follow
+  time += retryDelay(1);
+  await alice.outbox.flush();
+  await settle(300);
+  assert.equal(bob.files.transfers[0].state, TransferState.COMPLETE);
+  assert.deepEqual(bob.files.transfers[0].data, data);
+  assert.equal(alice.files.transfers[0].state, TransferState.COMPLETE);
+});
+
+test('chunks that arrive after the receiver cancelled are dropped and sent again on resume', async () => {
+  const { alice, bob } = await pairedClients();
+  const data = randomFile(CHUNK_SIZE * 8);
+
+  const { id } = await alice.files.sendFile('peer', { name: 'race.bin', data });
+  // Cancel with the rest of the window still in flight
+  while (!bob.files.transfers[0]?.done) await settle(1);
+  await bob.files.cancel(id);
+  const { done } = bob.files.transfers[0];
+  await settle(200);
+  assert.equal(bob.files.transfers[0].state, TransferState.CANCELLED);
+  assert.equal(bob.files.transfers[0].done, done);
+  assert.equal(alice.files.transfers[0].state, TransferState.CANCELLED);
+
+  // Alice counts the dropped chunks as delivered; Bob's RESUME says which he holds
+  await bob.files.resume(id);
+  await settle(400);
+  assert.equal(bob.files.transfers[0].state, TransferState.COMPLETE);
+  assert.deepEqual(bob.files.transfers[0].data, data);
+  assert.equal(alice.files.transfers[0].state, TransferState.COMPLETE);
+});
+
+test('a chunk that cannot be sent after an acknowledgement fails the transfer', async () => {
+  let entries = 0;
+  const files = createFileTransfers({
+    send: async () => {
+      entries += 1;
+      // The OFFER and the first window go out; the next chunk finds the peer gone
+      if (entries > 5) throw new Error('peer unpaired');
+      return `entry-${entries}`;
+    }
+  });
+
+  await files.sendFile('peer', { name: 'gone.bin', data: randomFile(CHUNK_SIZE * 6) });
+  files.chunkDelivered('entry-1');
+  await settle();
+  files.chunkDelivered('entry-2');
+  await settle();
+
+  const [transfer] = files.transfers;
+  assert.equal(transfer.state, TransferState.FAILED);
+  assert.equal(transfer.error, 'Could not send a chunk: peer unpaired');
+  assert.equal(transfer.done, 1);
+});
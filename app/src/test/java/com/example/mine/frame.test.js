@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FRAME_HEADER_SIZE,
+  MAX_PAYLOAD_SIZE,
+  FrameType,
+  FrameFlags,
+  serializeFrame,
+  parseFrame,
+  getFrameAAD,
+  isValidFrame,
+  encodeFusionPayload,
+  decodeFusionPayload
+} from '../../../../../main/java/com/example/mine/crypto/frame.js';
+
+// Run with: node --test app/src/test/java/com/example/mine/
+
+const hex = (text) => Uint8Array.from(text.replace(/\s+/g, '').match(/../g).map(b => parseInt(b, 16)));
+const ascii = (text) => new TextEncoder().encode(text);
+
+// The frame from SecureCommunicationTest.testFrameCreationAndParsing, and the
+// bytes Frame.toByteArray() produces for it
+const kotlinFrame = {
+  version: 1,
+  type: FrameType.DATA,
+  flags: FrameFlags.COMPRESSED,
+  headerLength: FRAME_HEADER_SIZE,
+  sourceId: 1,
+  destinationId: 2,
+  sessionId: 123,
+  sequence: 456,
+  ttl: 32,
+  reserved: new Uint8Array(3),
+  nonce: Uint8Array.from({ length: 12 }, (_, i) => i),
+  ciphertext: ascii('encrypted_message'),
+  tag: Uint8Array.from({ length: 16 }, (_, i) => i)
+};
+
+const kotlinFrameBytes = hex(`
+  01 02 01 18 00000001 00000002 0000007b 000001c8 20 000000
+  000102030405060708090a0b
+  656e637279707465645f6d657373616765
+  000102030405060708090a0b0c0d0e0f
+`);
+
+test('serializes a frame to the same bytes as Frame.toByteArray', () => {
+  assert.deepEqual(serializeFrame(kotlinFrame), kotlinFrameBytes);
+});
+
+test('parses Frame.toByteArray output back into the same fields', () => {
+  const parsed = parseFrame(kotlinFrameBytes);
+  assert.deepEqual(parsed, kotlinFrame);
+  assert.ok(isValidFrame(parsed));
+});
+
+test('AAD is the 24-byte header, like Frame.getAAD', () => {
+  assert.deepEqual(getFrameAAD(kotlinFrame), kotlinFrameBytes.slice(0, FRAME_HEADER_SIZE));
+});
+
+test('keeps IDs signed like Kotlin Int', () => {
+  const frame = { ...kotlinFrame, sourceId: -2, destinationId: -2147483648 };
+  const bytes = serializeFrame(frame);
+  assert.deepEqual(bytes.slice(4, 12), hex('fffffffe 80000000'));
+  assert.equal(parseFrame(bytes).sourceId, -2);
+  assert.equal(parseFrame(bytes).destinationId, -2147483648);
+});
+
+test('parses a frame that sits at an offset inside a larger buffer', () => {
+  const buffer = new Uint8Array(kotlinFrameBytes.length + 5);
+  buffer.set(kotlinFrameBytes, 5);
+  assert.deepEqual(parseFrame(buffer.subarray(5)), kotlinFrame);
+});
+
+test('rejects truncated and oversized frames', () => {
+  assert.equal(parseFrame(kotlinFrameBytes.slice(0, FRAME_HEADER_SIZE + 27)), null);
+  assert.equal(parseFrame(new Uint8Array(FRAME_HEADER_SIZE + 12 + 16 + MAX_PAYLOAD_SIZE + 1)), null);
+  assert.throws(() => serializeFrame({ ...kotlinFrame, ciphertext: new Uint8Array(MAX_PAYLOAD_SIZE + 1) }));
+  assert.throws(() => serializeFrame({ ...kotlinFrame, nonce: new Uint8Array(8) }));
+});
+
+test('isValidFrame applies the Frame.isValid rules', () => {
+  assert.equal(isValidFrame({ ...kotlinFrame, ttl: 0 }), false);
+  assert.equal(isValidFrame({ ...kotlinFrame, sequence: -1 }), false);
+  assert.equal(isValidFrame({ ...kotlinFrame, version: 2 }), false);
+});
+
+// createPhoneToFusionPayload("FUSION_DEVICE_002", DE AD BE EF)
+const kotlinFusionPayload = hex('11 465553494f4e5f4445564943455f303032 deadbeef');
+
+test('encodes the simplified fusion payload like createPhoneToFusionPayload', () => {
+  assert.deepEqual(encodeFusionPayload('FUSION_DEVICE_002', hex('deadbeef')), kotlinFusionPayload);
+});
+
+test('decodes the simplified fusion payload like parsePhoneToFusionPayload', () => {
+  assert.deepEqual(decodeFusionPayload(kotlinFusionPayload), {
+    fusionId: 'FUSION_DEVICE_002',
+    encryptedMessage: hex('deadbeef')
+  });
+});
+
+test('rejects fusion payloads with bad lengths', () => {
+  assert.equal(decodeFusionPayload(new Uint8Array(0)), null);
+  assert.equal(decodeFusionPayload(hex('05 4142')), null);
+  assert.equal(decodeFusionPayload(hex('02 4142')), null);
+  assert.throws(() => encodeFusionPayload('x'.repeat(256), hex('00')));
+  assert.throws(() => encodeFusionPayload('node', new Uint8Array(0)));
+});
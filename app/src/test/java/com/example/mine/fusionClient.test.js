@@ -0,0 +1,216 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLoopbackPair } from '../../../../../main/java/com/example/mine/network/loopbackTransport.js';
+import { sendFrame } from '../../../../../main/java/com/example/mine/network/transport.js';
+import { decodeFusionPayload, parseFrame, FrameType } from '../../../../../main/java/com/example/mine/crypto/frame.js';
+import { isRoutedPayload } from '../../../../../main/java/com/example/mine/crypto/routingInfo.js';
+import { generateKeyPair } from '../../../../../main/java/com/example/mine/crypto/keys.js';
+import { createHandshakeFrame } from '../../../../../main/java/com/example/mine/crypto/session.js';
+import { MessageState } from '../../../../../main/java/com/example/mine/network/outbox.js';
+import { TransferState } from '../../../../../main/java/com/example/mine/network/fileTransfer.js';
+import {
+  createFusionClient,
+  ConnectionState,
+  peerIdOf
+} from '../../../../../main/java/com/example/mine/viewmodel/fusionClient.js';
+
+// Resolves once the client's state satisfies the predicate
+const waitFor = (client, predicate, timeout = 2000) => new Promise((resolve, reject) => {
+  if (predicate(client.state)) {
+    resolve(client.state);
+    return;
+  }
+  const timer = setTimeout(() => {
+    off();
+    reject(new Error('Timed out waiting for the client state'));
+  }, timeout);
+  const off = client.on('change', (state) => {
+    if (!predicate(state)) return;
+    clearTimeout(timer);
+    off();
+    resolve(state);
+  });
+});
+
+// Two clients on either end of a loopback link, each through its own node
+const connectedClients = async (options = {}) => {
+  const links = createLoopbackPair();
+  const alice = createFusionClient({ createTransport: () => links[0], ...options });
+  const bob = createFusionClient({ createTransport: () => links[1], ...options });
+  await alice.connect({ id: 'NODE_A', name: 'Node A', type: 'wifi' });
+  await bob.connect({ id: 'NODE_B', name: 'Node B', type: 'wifi' });
+  return { alice, bob, links };
+};
+
+const pairClients = async (alice, bob) => {
+  const [bobAtAlice, aliceAtBob] = await Promise.all([
+    alice.pair(bob.createPairingCode()),
+    bob.pair(alice.createPairingCode())
+  ]);
+  return { bobId: bobAtAlice.id, aliceId: aliceAtBob.id };
+};
+
+test('two clients pair, chat and get delivery confirmations', async () => {
+  const { alice, bob } = await connectedClients();
+  try {
+    assert.equal(alice.state.connectionState, ConnectionState.CONNECTED);
+    const { bobId, aliceId } = await pairClients(alice, bob);
+    assert.equal(bobId, peerIdOf(bob.state.publicKey));
+    assert.equal(alice.state.peers[bobId].fusionNode, 'NODE_B');
+
+    const received = new Promise(resolve => bob.on('message', (peerId, message) => resolve({ peerId, message })));
+    const sent = await alice.sendMessage(bobId, 'Hello over the fusion node');
+    const { peerId, message } = await received;
+    assert.equal(peerId, aliceId);
+    assert.equal(message.text, 'Hello over the fusion node');
+    assert.equal(bob.state.peers[aliceId].unread, 1);
+
+    await waitFor(alice, state =>
+      state.peers[bobId].messages.find(entry => entry.id === sent.id)?.state === MessageState.DELIVERED);
+
+    // Safety numbers match on both sides
+    await waitFor(alice, state => state.peers[bobId].safetyNumber !== null);
+    await waitFor(bob, state => state.peers[aliceId].safetyNumber !== null);
+    assert.deepEqual(alice.state.peers[bobId].safetyNumber, bob.state.peers[aliceId].safetyNumber);
+
+    // Resetting ends the connection's statistics record
+    const ended = new Promise(resolve => alice.on('session', resolve));
+    alice.reset();
+    const record = await ended;
+    assert.equal(record.nodeId, 'NODE_A');
+    assert.equal(record.connected, true);
+    assert.equal(record.endReason, 'closed');
+    assert.equal(record.messagesSent, 1);
+    assert.ok(record.framesSent >= 2 && record.bytesSent > 0);
+    assert.ok(record.framesReceived >= 2 && record.bytesReceived > 0);
+    assert.equal(alice.linkSession, null);
+  } finally {
+    alice.reset();
+    bob.reset();
+  }
+});
+
+test('attachments arrive intact with their bytes', async () => {
+  const { alice, bob } = await connectedClients();
+  try {
+    const { bobId } = await pairClients(alice, bob);
+    const data = crypto.getRandomValues(new Uint8Array(20000));
+
+    const complete = new Promise(resolve => bob.on('transfer', (transfer) => {
+      if (transfer.state === TransferState.COMPLETE) resolve(transfer);
+    }));
+    await alice.sendFile(bobId, { name: 'notes.bin', data });
+    const transfer = await complete;
+    assert.equal(transfer.name, 'notes.bin');
+    assert.deepEqual(transfer.data, data);
+    // The state snapshot leaves the bytes out
+    assert.equal(bob.state.transfers[transfer.id].data, undefined);
+    await waitFor(alice, state => state.transfers[transfer.id]?.state === TransferState.COMPLETE);
+  } finally {
+    alice.reset();
+    bob.reset();
+  }
+});
+
+test('pairing times out when the peer never answers, and reset clears the session', async () => {
+  const { alice, bob } = await connectedClients({ handshakeTimeout: 100 });
+  try {
+    await assert.rejects(alice.pair(bob.createPairingCode()), /did not answer/);
+    assert.deepEqual(alice.state.peers, {});
+    await assert.rejects(alice.sendMessage('nobody', 'hi'), /Not paired/);
+
+    const events = [];
+    alice.on('reset', () => events.push('reset'));
+    alice.reset();
+    assert.deepEqual(events, ['reset']);
+    assert.equal(alice.state.connectionState, ConnectionState.DISCONNECTED);
+    assert.equal(alice.state.publicKey, null);
+    assert.throws(() => alice.createPairingCode(), /Connect to a fusion node first/);
+  } finally {
+    alice.reset();
+    bob.reset();
+  }
+});
+
+test('frames to a phone use the simplified payload it reads', async () => {
+  const links = createLoopbackPair();
+  const alice = createFusionClient({ createTransport: () => links[0] });
+  const phoneKeys = await generateKeyPair();
+  const atPhone = [];
+  try {
+    await alice.connect({ id: 'NODE_A', name: 'Node A', type: 'wifi' });
+    await links[1].connect();
+    links[1].on('frame', (bytes) => atPhone.push(bytes));
+
+    // The phone's code and handshake, as QRCodeData.kt writes them
+    const paired = alice.pair(JSON.stringify({ pk: phoneKeys.publicKeyBase64, fusion_node: 'NODE_PHONE' }));
+    sendFrame(links[1], 'NODE_A', await createHandshakeFrame(phoneKeys, 'NODE_PHONE'));
+    const peer = await paired;
+    await alice.sendMessage(peer.id, 'Hello, phone');
+    await waitFor(alice, () => atPhone.length === 2);
+
+    const frames = atPhone.map(bytes => {
+      assert.equal(isRoutedPayload(bytes), false);
+      const payload = decodeFusionPayload(bytes);
+      assert.equal(payload.fusionId, 'NODE_PHONE');
+      return parseFrame(payload.encryptedMessage);
+    });
+    assert.deepEqual(frames.map(frame => frame.type), [FrameType.HANDSHAKE, FrameType.DATA]);
+  } finally {
+    alice.reset();
+  }
+});
+
+test('the identity key survives reconnects and verifications belong to the peer, not its node', async () => {
+  const { alice, bob, links } = await connectedClients();
+  const carol = createFusionClient({ createTransport: () => links[1] });
+  try {
+    const { bobId } = await pairClients(alice, bob);
+    await alice.markVerified(bobId);
+    const { deviceId } = alice.state.peers[bobId];
+    assert.notEqual(deviceId, bobId);
+    assert.deepEqual(Object.keys(alice.state.verifications), [deviceId]);
+    assert.equal(alice.state.verifications[deviceId].nodeId, 'NODE_B');
+
+    // Bob comes back with the same key, so his verification still holds
+    bob.reset();
+    await bob.connect({ id: 'NODE_B', name: 'Node B', type: 'wifi' });
+    await links[0].connect();
+    assert.equal(peerIdOf(bob.state.publicKey), bobId);
+    await pairClients(alice, bob);
+    assert.equal(alice.state.verifications[alice.state.peers[bobId].deviceId].publicKey, bobId);
+
+    // Carol takes over Bob's node: a new peer, and Bob's verification is left alone
+    bob.reset();
+    await carol.connect({ id: 'NODE_B', name: 'Node B', type: 'wifi' });
+    await links[0].connect();
+    const { bobId: carolId } = await pairClients(alice, carol);
+    assert.notEqual(carolId, bobId);
+    assert.equal(alice.state.verifications[alice.state.peers[carolId].deviceId], undefined);
+    assert.deepEqual(Object.keys(alice.state.verifications), [deviceId]);
+  } finally {
+    alice.reset();
+    bob.reset();
+    carol.reset();
+  }
+});
+
+test('a message that cannot be stored is reported without holding up the chat', async () => {
+  const { alice, bob } = await connectedClients();
+  try {
+    const { bobId } = await pairClients(alice, bob);
+    await alice.attachHistory({
+      listVerifications: async () => [],
+      addMessage: async () => {
+        throw new Error('Quota exceeded');
+      }
+    });
+    const reported = new Promise(resolve => alice.on('error', resolve));
+    await alice.sendMessage(bobId, 'not kept');
+    assert.equal((await reported).message, 'Could not store a message: Quota exceeded');
+    await waitFor(alice, state => state.peers[bobId].messages.at(-1)?.state === MessageState.DELIVERED);
+  } finally {
+    alice.reset();
+    bob.reset();
+  }
+});
@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTransportBase, TransportState, readFrame } from '../../../../../main/java/com/example/mine/network/transport.js';
+import { generateKeyPair } from '../../../../../main/java/com/example/mine/crypto/keys.js';
+import {
+  createGroupChannel,
+  createKeyMessage,
+  readGroupControl,
+  generateGroupKey,
+  GroupControl
+} from '../../../../../main/java/com/example/mine/crypto/groupChannel.js';
+import { createFusionClient } from '../../../../../main/java/com/example/mine/viewmodel/fusionClient.js';
+
+// A fusion node for any number of clients: payloads, simplified or routed, go to
+// the client connected as their destination
+const createHub = () => {
+  const links = new Map();
+  return (node) => {
+    const { transport, emit, setState } = createTransportBase('loopback');
+    transport.connect = async () => {
+      links.set(node.id, emit);
+      setState(TransportState.CONNECTED);
+    };
+    transport.send = (bytes) => {
+      const deliver = links.get(readFrame(bytes)?.fusionId);
+      if (transport.state !== TransportState.CONNECTED || !deliver) return false;
+      const copy = bytes.slice();
+      setTimeout(() => deliver('frame', copy), 0);
+      return true;
+    };
+    transport.close = () => {
+      links.delete(node.id);
+      setState(TransportState.CLOSED);
+    };
+    return transport;
+  };
+};
+
+const waitFor = (client, predicate, timeout = 2000) => new Promise((resolve, reject) => {
+  if (predicate(client.state)) {
+    resolve(client.state);
+    return;
+  }
+  const timer = setTimeout(() => {
+    off();
+    reject(new Error('Timed out waiting for the client state'));
+  }, timeout);
+  const off = client.on('change', (state) => {
+    if (!predicate(state)) return;
+    clearTimeout(timer);
+    off();
+    resolve(state);
+  });
+});
+
+const nextMessage = (client, groupId) => new Promise(resolve => {
+  const off = client.on('message', (id, message) => {
+    if (id !== groupId) return;
+    off();
+    resolve(message);
+  });
+});
+
+const pair = async (a, b) => {
+  const [bAtA] = await Promise.all([a.pair(b.createPairingCode()), b.pair(a.createPairingCode())]);
+  return bAtA.id;
+};
+
+test('channel frames open only for members, once, and not after a rotation', async () => {
+  const keys = await Promise.all([generateKeyPair(), generateKeyPair(), generateKeyPair()]);
+  const members = keys.map((pair, i) => ({ id: pair.publicKeyBase64, fusionNode: `NODE_${i}` }));
+  const key = generateGroupKey();
+  const [alice, bob, carol] = await Promise.all(keys.map(pair =>
+    createGroupChannel({ groupId: 'group-test', epoch: 0, key, members, localPublicKey: pair.publicKeyBase64 })));
+
+  const frame = await alice.seal('Hello, team');
+  assert.deepEqual(await bob.open(frame), { member: members[0], text: 'Hello, team' });
+  assert.equal((await carol.open(frame)).text, 'Hello, team');
+  // A replay, and our own frame coming back, are dropped
+  assert.equal(await bob.open(frame), null);
+  assert.equal(await alice.open(frame), null);
+
+  // The sender ID is authenticated: a frame cannot be passed off as another member's
+  const carolFrame = await carol.seal('From carol');
+  assert.equal(await bob.open({ ...carolFrame, sourceId: frame.sourceId }), null);
+  assert.equal((await bob.open(carolFrame)).member.fusionNode, 'NODE_2');
+
+  // Carol is removed: the others move to a new key and her frames stop opening
+  const rotation = { epoch: 1, key: generateGroupKey(), members: members.slice(0, 2) };
+  await alice.update(rotation);
+  await bob.update(rotation);
+  assert.equal(await bob.open(await carol.seal('Still here?')), null);
+  const afterRotation = await alice.seal('Carol is gone');
+  assert.equal((await bob.open(afterRotation)).text, 'Carol is gone');
+  assert.equal(await carol.open(afterRotation), null);
+  // An older epoch never rolls the key back
+  assert.equal(await bob.update({ epoch: 0, key, members }), false);
+});
+
+test('control messages are checked before use', () => {
+  const message = createKeyMessage({
+    groupId: 'group-1',
+    name: 'Field team',
+    owner: 'AAAA',
+    epoch: 2,
+    key: generateGroupKey(),
+    members: [{ id: 'AAAA', fusionNode: 'NODE_A', extra: true }]
+  });
+  assert.equal(message.type, GroupControl.KEY);
+  assert.deepEqual(readGroupControl(JSON.parse(JSON.stringify(message))), { ...message, members: [{ id: 'AAAA', fusionNode: 'NODE_A' }] });
+  assert.equal(readGroupControl({ ...message, epoch: -1 }), null);
+  assert.equal(readGroupControl({ ...message, members: [] }), null);
+  assert.equal(readGroupControl({ ...message, groupId: 'not-a-group' }), null);
+  assert.equal(readGroupControl({ type: 'unknown', groupId: 'group-1' }), null);
+  assert.deepEqual(readGroupControl({ type: GroupControl.REMOVED, groupId: 'group-1' }), { type: GroupControl.REMOVED, groupId: 'group-1' });
+});
+
+test('a group reaches every member through the node, and a removed member is cut off', async () => {
+  const hub = createHub();
+  const [alice, bob, carol] = [0, 1, 2].map(() => createFusionClient({ createTransport: hub }));
+  try {
+    await alice.connect({ id: 'NODE_A', name: 'Node A', type: 'wifi' });
+    await bob.connect({ id: 'NODE_B', name: 'Node B', type: 'wifi' });
+    await carol.connect({ id: 'NODE_C', name: 'Node C', type: 'wifi' });
+    // Bob and Carol are only paired with Alice
+    const bobId = await pair(alice, bob);
+    const carolId = await pair(alice, carol);
+
+    const group = await alice.createGroup('Field team', [bobId, carolId]);
+    await waitFor(bob, state => state.groups[group.id]);
+    await waitFor(carol, state => state.groups[group.id]);
+    assert.equal(bob.state.groups[group.id].name, 'Field team');
+    assert.equal(bob.state.groups[group.id].members.length, 3);
+    await assert.rejects(bob.removeGroupMember(group.id, carolId), /Only the owner/);
+
+    const atAlice = nextMessage(alice, group.id);
+    const atCarol = nextMessage(carol, group.id);
+    await bob.sendGroupMessage(group.id, 'Checkpoint reached');
+    for (const message of [await atAlice, await atCarol]) {
+      assert.equal(message.text, 'Checkpoint reached');
+      assert.equal(message.senderName, 'NODE_B');
+    }
+    assert.equal(carol.state.groups[group.id].unread, 1);
+
+    await alice.removeGroupMember(group.id, carolId);
+    await waitFor(carol, state => state.groups[group.id].removed);
+    await waitFor(bob, state => state.groups[group.id].epoch === 1);
+    await assert.rejects(carol.sendGroupMessage(group.id, 'Hello?'), /not a member/);
+
+    const carolMessages = carol.state.groups[group.id].messages.length;
+    const next = nextMessage(alice, group.id);
+    await bob.sendGroupMessage(group.id, 'Regroup at the bridge');
+    assert.equal((await next).text, 'Regroup at the bridge');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(carol.state.groups[group.id].messages.length, carolMessages);
+  } finally {
+    [alice, bob, carol].forEach(client => client.reset());
+  }
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  encryptRecord,
+  decryptRecord,
+  createArchive,
+  readArchive
+} from '../../../../../main/java/com/example/mine/data/messageHistory.js';
+
+const storageKey = () =>
+  crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+const message = {
+  conversationId: 'peer-key',
+  sessionId: 42,
+  messageId: 'peer-42-1',
+  timestamp: 1700000000000,
+  sender: 'peer',
+  text: 'hello'
+};
+
+test('history records are encrypted and bound to their metadata', async () => {
+  const key = await storageKey();
+  const record = await encryptRecord(key, message);
+  assert.equal(record.text, undefined);
+  assert.equal(new TextDecoder().decode(record.ciphertext).includes('hello'), false);
+
+  const restored = await decryptRecord(key, record);
+  assert.equal(restored.text, 'hello');
+  assert.equal(restored.id, 'peer-42-1');
+
+  // Moving a record to another conversation or using another key fails
+  assert.equal(await decryptRecord(key, { ...record, conversationId: 'other-peer' }), null);
+  assert.equal(await decryptRecord(await storageKey(), record), null);
+});
+
+test('archives round-trip under the export passphrase only', async () => {
+  const conversations = [{ id: 'peer-key', peerNode: 'NODE_B' }];
+  const archive = await createArchive('correct horse', {
+    conversations,
+    messages: [{ ...message, id: message.messageId }]
+  });
+
+  const json = JSON.parse(JSON.stringify(archive));
+  const restored = await readArchive('correct horse', json);
+  assert.deepEqual(restored.conversations, conversations);
+  assert.equal(restored.messages[0].text, 'hello');
+  assert.equal(restored.messages[0].sessionId, 42);
+
+  await assert.rejects(readArchive('wrong', json), /Wrong passphrase/);
+  await assert.rejects(readArchive('correct horse', { format: 'something-else' }), /Not a message history archive/);
+});
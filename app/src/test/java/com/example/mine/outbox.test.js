@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sendFrame, readFrame } from '../../../../../main/java/com/example/mine/network/transport.js';
+import { createLoopbackPair } from '../../../../../main/java/com/example/mine/network/loopbackTransport.js';
+import { createOutbox, MessageState, MAX_ATTEMPTS, retryDelay } from '../../../../../main/java/com/example/mine/network/outbox.js';
+import { generateKeyPair } from '../../../../../main/java/com/example/mine/crypto/keys.js';
+import { establishSession } from '../../../../../main/java/com/example/mine/crypto/session.js';
+import { createRekeyController } from '../../../../../main/java/com/example/mine/crypto/rekey.js';
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+// A sends through an outbox over a loopback link; B answers with ACKs
+const chatOverLoopback = async (clock) => {
+  const [linkA, linkB] = createLoopbackPair();
+  await linkA.connect();
+  await linkB.connect();
+  const keysA = await generateKeyPair();
+  const keysB = await generateKeyPair();
+
+  const states = [];
+  const received = [];
+  let outbox = null;
+  const chatA = createRekeyController({
+    session: await establishSession(keysA, keysB.publicKeyBase64),
+    send: (frame) => sendFrame(linkA, 'NODE_B', frame),
+    onAck: (sessionId, sequence) => outbox.acknowledge(sessionId, sequence)
+  });
+  const chatB = createRekeyController({
+    session: await establishSession(keysB, keysA.publicKeyBase64),
+    send: (frame) => sendFrame(linkB, 'NODE_A', frame)
+  });
+  linkA.on('frame', (bytes) => chatA.receive(readFrame(bytes).frame));
+  linkB.on('frame', async (bytes) => {
+    const text = await chatB.receive(readFrame(bytes).frame);
+    if (text !== null) received.push(text);
+  });
+
+  outbox = createOutbox({
+    seal: (entry) => chatA.createFrame(entry.content),
+    transmit: (entry) => sendFrame(linkA, 'NODE_B', entry.frame),
+    onChange: (entry) => states.push(entry.state),
+    now: () => clock.time
+  });
+  linkA.on('relayed', (bytes) => outbox.markRelayed(bytes));
+
+  return { linkA, linkB, outbox, states, received };
+};
+
+test('messages move from sent through relayed to delivered on the peer ACK', async () => {
+  const { outbox, states, received } = await chatOverLoopback({ time: 0 });
+
+  const entry = await outbox.enqueue('peer-b', 'hello');
+  assert.equal(entry.id, `you-${entry.frame.sessionId}-1`);
+  await settle();
+
+  assert.deepEqual(received, ['hello']);
+  assert.deepEqual(states, [MessageState.SENT, MessageState.RELAYED, MessageState.DELIVERED]);
+  // Delivered messages leave the outbox
+  assert.deepEqual(outbox.entries, []);
+});
+
+test('messages queue while the link is down and flush once it is back', async () => {
+  const { linkA, linkB, outbox, states, received } = await chatOverLoopback({ time: 0 });
+  linkB.close();
+
+  const entry = await outbox.enqueue('peer-b', 'while offline');
+  assert.equal(entry.state, MessageState.QUEUED);
+  assert.equal(entry.attempts, 0);
+
+  await linkA.connect();
+  await linkB.connect();
+  await outbox.flush();
+  await settle();
+
+  assert.deepEqual(received, ['while offline']);
+  assert.equal(states.at(-1), MessageState.DELIVERED);
+});
+
+test('unacknowledged messages back off, fail, and can be retried by hand', async () => {
+  const clock = { time: 0 };
+  const sent = [];
+  const outbox = createOutbox({
+    seal: async (entry) => ({ sessionId: 'S', sequence: 1, text: entry.content }),
+    transmit: (entry) => {
+      sent.push(clock.time);
+      return Uint8Array.of(1);
+    },
+    now: () => clock.time
+  });
+
+  const { id } = await outbox.enqueue('peer', 'lost');
+  // Nothing is due before the backoff runs out
+  await outbox.flush();
+  assert.equal(sent.length, 1);
+
+  for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+    clock.time += retryDelay(attempt);
+    await outbox.flush();
+  }
+  assert.equal(sent.length, MAX_ATTEMPTS);
+  assert.deepEqual(sent.slice(0, 3), [0, 2000, 6000]);
+
+  clock.time += retryDelay(MAX_ATTEMPTS);
+  await outbox.flush();
+  assert.equal(outbox.entries[0].state, MessageState.FAILED);
+  assert.equal(sent.length, MAX_ATTEMPTS);
+
+  await outbox.retry(id);
+  assert.equal(outbox.entries[0].state, MessageState.SENT);
+  outbox.acknowledge('S', 1);
+  assert.deepEqual(outbox.entries, []);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  encodeQRPayload,
+  decodeQRPayload,
+  QRPayloadError,
+  QR_PAYLOAD_VERSION
+} from '../../../../../main/java/com/example/mine/crypto/qrCodeData.js';
+
+const PUBLIC_KEY = 'MCowBQYDK2VuAyEAbGv0hS5Ww3f+8fRHz2mHfIzZ3RgyT6nSzPUhJ1Gtvlk=';
+const NOW = 1703120000000;
+
+const rejects = (text, code) =>
+  assert.throws(() => decodeQRPayload(text, NOW), (e) => e instanceof QRPayloadError && e.code === code);
+
+test('web codes survive an encode and decode', () => {
+  const text = encodeQRPayload({
+    publicKey: PUBLIC_KEY,
+    fusionNode: 'AADI_pa',
+    expiresAt: NOW + 60 * 1000,
+    routed: true,
+    deviceId: 'device-1'
+  });
+  assert.deepEqual(JSON.parse(text), {
+    pk: PUBLIC_KEY,
+    fusion_node: 'AADI_pa',
+    v: QR_PAYLOAD_VERSION,
+    exp: NOW + 60 * 1000,
+    routed: true,
+    device_id: 'device-1'
+  });
+  assert.deepEqual(decodeQRPayload(text, NOW), {
+    publicKey: PUBLIC_KEY,
+    fusionNode: 'AADI_pa',
+    expiresAt: NOW + 60 * 1000,
+    routed: true,
+    deviceId: 'device-1'
+  });
+
+  // The optional fields are left out rather than written empty
+  assert.deepEqual(JSON.parse(encodeQRPayload({ publicKey: PUBLIC_KEY, fusionNode: 'AADI_pa' })), {
+    pk: PUBLIC_KEY,
+    fusion_node: 'AADI_pa',
+    v: QR_PAYLOAD_VERSION
+  });
+});
+
+test('codes from the phone have no version and are read as version 1', () => {
+  // What QRCodeData.create serializes with Gson
+  const text = JSON.stringify({ pk: PUBLIC_KEY, fusion_node: 'AADI_pa' });
+  assert.deepEqual(decodeQRPayload(text, NOW), {
+    publicKey: PUBLIC_KEY,
+    fusionNode: 'AADI_pa',
+    expiresAt: null,
+    routed: false,
+    deviceId: null
+  });
+});
+
+test('text that is not a JSON object is malformed', () => {
+  rejects('{"pk": ', 'malformed');
+  rejects('https://example.com/', 'malformed');
+  rejects('null', 'malformed');
+  rejects('[1, 2]', 'malformed');
+  rejects('"AADI_pa"', 'malformed');
+});
+
+test('other payload versions are rejected', () => {
+  rejects(JSON.stringify({ pk: PUBLIC_KEY, fusion_node: 'AADI_pa', v: 2 }), 'unsupported-version');
+  assert.throws(
+    () => decodeQRPayload(JSON.stringify({ pk: PUBLIC_KEY, fusion_node: 'AADI_pa', v: '1' }), NOW),
+    /Unsupported QR code version: 1/
+  );
+});
+
+test('a missing or undecodable key and a missing node ID are rejected', () => {
+  rejects(JSON.stringify({ fusion_node: 'AADI_pa' }), 'invalid-key');
+  rejects(JSON.stringify({ pk: '', fusion_node: 'AADI_pa' }), 'invalid-key');
+  rejects(JSON.stringify({ pk: 42, fusion_node: 'AADI_pa' }), 'invalid-key');
+  rejects(JSON.stringify({ pk: 'not*base64!', fusion_node: 'AADI_pa' }), 'invalid-key');
+
+  rejects(JSON.stringify({ pk: PUBLIC_KEY }), 'invalid-node');
+  rejects(JSON.stringify({ pk: PUBLIC_KEY, fusion_node: '' }), 'invalid-node');
+  rejects(JSON.stringify({ pk: PUBLIC_KEY, fusion_node: 7 }), 'invalid-node');
+});
+
+test('codes are rejected from their expiry on', () => {
+  const expiringAt = (exp) => JSON.stringify({ pk: PUBLIC_KEY, fusion_node: 'AADI_pa', v: 1, exp });
+  assert.equal(decodeQRPayload(expiringAt(NOW + 1), NOW).expiresAt, NOW + 1);
+  rejects(expiringAt(NOW), 'expired');
+  rejects(expiringAt(NOW - 60 * 1000), 'expired');
+  rejects(expiringAt(String(NOW + 60 * 1000)), 'expired');
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeQR } from '../../../../../main/java/com/example/mine/utils/qrEncoder.js';
+import jsQR from '../../../../../main/java/com/example/mine/utils/vendor/jsQR.js';
+
+// ISO/IEC 18004 Table C.1: the 15 format bits by error correction level and mask
+const FORMAT_BITS = {
+  L: ['111011111000100', '111001011110011', '111110110101010', '111100010011101',
+    '110011000101111', '110001100011000', '110110001000001', '110100101110110'],
+  M: ['101010000010010', '101000100100101', '101111001111100', '101101101001011',
+    '100010111111001', '100000011001110', '100111110010111', '100101010100000'],
+  Q: ['011010101011111', '011000001101000', '011111100110001', '011101000000110',
+    '010010010110100', '010000110000011', '010111011011010', '010101111101101'],
+  H: ['001011010001001', '001001110111110', '001110011100111', '001100111010000',
+    '000011101100010', '000001001010101', '000110100001100', '000100000111011']
+};
+
+const toBits = (flags) => flags.map(dark => (dark ? '1' : '0')).reverse().join('');
+
+// Both copies of the format bits, least significant bit first as drawn
+const readFormatBits = ({ modules, size }) => {
+  const first = [];
+  for (let i = 0; i <= 5; i++) first.push(modules[i][8]);
+  first.push(modules[7][8], modules[8][8], modules[8][7]);
+  for (let i = 9; i < 15; i++) first.push(modules[8][14 - i]);
+
+  const second = [];
+  for (let i = 0; i < 8; i++) second.push(modules[8][size - 1 - i]);
+  for (let i = 8; i < 15; i++) second.push(modules[size - 15 + i][8]);
+  return [toBits(first), toBits(second)];
+};
+
+// Both copies of the 18 version bits, next to the top-right and bottom-left finders
+const readVersionBits = ({ modules, size }) => {
+  const topRight = [];
+  const bottomLeft = [];
+  for (let i = 0; i < 18; i++) {
+    const a = size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    topRight.push(modules[b][a]);
+    bottomLeft.push(modules[a][b]);
+  }
+  return [toBits(topRight), toBits(bottomLeft)];
+};
+
+// RGBA pixels with a four-module quiet zone, as a canvas would hand them to jsQR
+const render = ({ modules, size }, scale = 4) => {
+  const width = (size + 8) * scale;
+  const pixels = new Uint8ClampedArray(width * width * 4).fill(255);
+  for (let y = 0; y < width; y++) {
+    for (let x = 0; x < width; x++) {
+      const row = modules[Math.floor(y / scale) - 4];
+      if (row?.[Math.floor(x / scale) - 4]) {
+        pixels.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      }
+    }
+  }
+  return { pixels, width };
+};
+
+test('format bits match the standard table and both copies agree', () => {
+  for (const errorCorrection of ['L', 'M', 'Q', 'H']) {
+    const code = encodeQR('fusion node pairing', { errorCorrection, boostErrorCorrection: false });
+    assert.equal(code.errorCorrection, errorCorrection);
+    const expected = FORMAT_BITS[errorCorrection][code.mask];
+    assert.deepEqual(readFormatBits(code), [expected, expected]);
+    // The dark module is always set
+    assert.equal(code.modules[code.size - 8][8], true);
+  }
+});
+
+test('version 7 and up carry the version bits', () => {
+  // 140 bytes is past version 6 at level L (134 bytes) but fits version 7 (154)
+  const code = encodeQR('x'.repeat(140), { errorCorrection: 'L', boostErrorCorrection: false });
+  assert.equal(code.version, 7);
+  assert.equal(code.size, 45);
+  assert.deepEqual(readVersionBits(code), ['000111110010010100', '000111110010010100']);
+});
+
+test('error correction is raised as far as the chosen version allows', () => {
+  // Version 1 holds 7 bytes at level H
+  const { version, errorCorrection } = encodeQR('pairing', { errorCorrection: 'L' });
+  assert.deepEqual({ version, errorCorrection }, { version: 1, errorCorrection: 'H' });
+  // 13 bytes fit version 1 at M (14) but not at Q (11)
+  assert.equal(encodeQR('fusion node 1', { errorCorrection: 'L' }).errorCorrection, 'M');
+  assert.equal(encodeQR('pairing', { errorCorrection: 'L', boostErrorCorrection: false }).errorCorrection, 'L');
+  // A requested level is never lowered
+  assert.equal(encodeQR('x'.repeat(20), { errorCorrection: 'H' }).errorCorrection, 'H');
+});
+
+test('the smallest version that fits is chosen, up to version 40', () => {
+  const versionFor = (length, errorCorrection) =>
+    encodeQR('x'.repeat(length), { errorCorrection, boostErrorCorrection: false }).version;
+  assert.equal(versionFor(17, 'L'), 1);
+  assert.equal(versionFor(18, 'L'), 2);
+  assert.equal(versionFor(14, 'M'), 1);
+  assert.equal(versionFor(15, 'M'), 2);
+  // Past version 9 the character count takes 16 bits instead of 8
+  assert.equal(versionFor(230, 'L'), 9);
+  assert.equal(versionFor(231, 'L'), 10);
+
+  assert.equal(versionFor(2953, 'L'), 40);
+  assert.throws(() => encodeQR('x'.repeat(2954), { errorCorrection: 'L' }), /Payload too long/);
+  assert.throws(() => encodeQR('x'.repeat(1274), { errorCorrection: 'H' }), /Payload too long/);
+  assert.throws(() => encodeQR('pairing', { errorCorrection: 'X' }), /Unknown error correction level: X/);
+});
+
+test('encoded codes decode back to the same text', () => {
+  const payloads = [
+    'hi',
+    JSON.stringify({ pk: 'MCowBQYDK2VuAyEA'.repeat(3), fusion_node: 'AADI_pa', v: 1, exp: 1703123456789 }),
+    'Grüße, 安全な接続 🔐'.repeat(8)
+  ];
+  for (const text of payloads) {
+    for (const errorCorrection of ['L', 'H']) {
+      const code = encodeQR(text, { errorCorrection });
+      const { pixels, width } = render(code);
+      assert.equal(jsQR(pixels, width, width)?.data, text, `${errorCorrection}: ${text.slice(0, 20)}`);
+    }
+  }
+});
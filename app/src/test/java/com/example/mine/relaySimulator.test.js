@@ -0,0 +1,200 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect } from 'node:net';
+import { sendFrame, readFrame, TransportState } from '../../../../../main/java/com/example/mine/network/transport.js';
+import { createWebSocketTransport } from '../../../../../main/java/com/example/mine/network/webSocketTransport.js';
+import { createNodeWebSocket } from '../../../../../main/java/com/example/mine/network/webSocketClient.js';
+import { createRelaySimulator } from '../../../../../main/java/com/example/mine/network/relaySimulator.js';
+import { generateKeyPair } from '../../../../../main/java/com/example/mine/crypto/keys.js';
+import { establishSession, createFrame } from '../../../../../main/java/com/example/mine/crypto/session.js';
+import { createFusionClient, ConnectionState } from '../../../../../main/java/com/example/mine/viewmodel/fusionClient.js';
+import { createScriptedPeer } from '../../../../../main/java/com/example/mine/viewmodel/scriptedPeer.js';
+
+const nextFrame = (transport) => new Promise(resolve => {
+  const off = transport.on('frame', (bytes) => {
+    off();
+    resolve(bytes);
+  });
+});
+
+const nextMessage = (client) => new Promise(resolve => {
+  const off = client.on('message', (peerId, message) => {
+    off();
+    resolve(message);
+  });
+});
+
+const testFrame = async (text = 'across the mesh') => {
+  const session = await establishSession(await generateKeyPair(), (await generateKeyPair()).publicKeyBase64);
+  return createFrame(session, text);
+};
+
+test('frames cross the mesh node by node, losing one TTL per node', async () => {
+  const simulator = createRelaySimulator({ nodes: ['NODE_A', 'NODE_B'] });
+  const a = simulator.createTransport('NODE_A');
+  const b = simulator.createTransport('NODE_B');
+  try {
+    await a.connect();
+    await b.connect();
+    const frame = await testFrame();
+
+    const relayed = new Promise(resolve => a.on('relayed', resolve));
+    const arrival = nextFrame(b);
+    const bytes = sendFrame(a, 'NODE_B', frame, { source: 'NODE_A' });
+    assert.equal(await relayed, bytes);
+    const received = readFrame(await arrival);
+    assert.equal(received.frame.ttl, frame.ttl - 2);
+    assert.deepEqual(received.route.hops.map(hop => hop.nodeId), ['NODE_A', 'NODE_B']);
+
+    // Spent on the second node, addressed to nobody, and the simplified format too
+    sendFrame(a, 'NODE_B', { ...frame, ttl: 2 }, { source: 'NODE_A' });
+    sendFrame(a, 'NODE_NOWHERE', frame, { source: 'NODE_A' });
+    const simplified = nextFrame(b);
+    sendFrame(a, 'NODE_B', frame);
+    assert.equal(readFrame(await simplified).frame.ttl, frame.ttl - 2);
+    assert.deepEqual(
+      { ...simulator.stats },
+      { frames: 4, delivered: 2, lost: 0, duplicated: 0, reordered: 0, expired: 1, loops: 0, undeliverable: 1, malformed: 0 }
+    );
+  } finally {
+    await simulator.close();
+  }
+});
+
+test('loss, duplication and reordering repeat exactly for a seed', async () => {
+  const frame = await testFrame();
+  const run = async () => {
+    const simulator = createRelaySimulator({
+      seed: 42,
+      nodes: ['NODE_A', 'NODE_B'],
+      // Without jitter the arrival order follows from the seeded choices alone
+      conditions: { latencyMs: 1, loss: 0.3, duplicate: 0.2, reorder: 0.3, reorderDelayMs: 20 }
+    });
+    const a = simulator.createTransport('NODE_A');
+    const b = simulator.createTransport('NODE_B');
+    await a.connect();
+    await b.connect();
+    const arrivals = [];
+    b.on('frame', (bytes) => arrivals.push(readFrame(bytes).frame.sequence));
+    for (let sequence = 1; sequence <= 30; sequence++) {
+      sendFrame(a, 'NODE_B', { ...frame, sequence }, { source: 'NODE_A' });
+    }
+    await new Promise(resolve => setTimeout(resolve, 80));
+    const { stats } = simulator;
+    await simulator.close();
+    return { arrivals, stats };
+  };
+
+  const first = await run();
+  assert.deepEqual(await run(), first);
+  const { arrivals, stats } = first;
+  assert.ok(stats.lost > 0 && stats.duplicated > 0 && stats.reordered > 0);
+  assert.equal(arrivals.length, 30 - stats.lost + stats.duplicated);
+  assert.notDeepEqual(arrivals, [...arrivals].sort((x, y) => x - y));
+});
+
+test('a scripted peer pairs, answers and is reached again after its node comes back', async () => {
+  const simulator = createRelaySimulator({ nodes: ['NODE_APP', 'ECHO_BOT'], conditions: { latencyMs: 2, jitterMs: 3 } });
+  const app = createFusionClient({ createTransport: () => simulator.createTransport('NODE_APP') });
+  const bot = createScriptedPeer({
+    createTransport: () => simulator.createTransport('ECHO_BOT'),
+    node: { id: 'ECHO_BOT', name: 'Echo bot', type: 'wifi' },
+    reply: (text) => (text === 'quiet' ? null : `Echo: ${text}`)
+  });
+  try {
+    await app.connect({ id: 'NODE_APP', name: 'App node', type: 'wifi' });
+    // Only the app scans a code; the bot pairs back on its own
+    const peer = await app.pair(await bot.start());
+    assert.equal(peer.fusionNode, 'ECHO_BOT');
+
+    let reply = nextMessage(app);
+    await app.sendMessage(peer.id, 'hello');
+    assert.equal((await reply).text, 'Echo: hello');
+    assert.deepEqual(app.state.peers[peer.id].route.nodes, ['ECHO_BOT', 'NODE_APP']);
+
+    simulator.takeDown('NODE_APP');
+    assert.equal(app.state.connectionState, ConnectionState.DISCONNECTED);
+    reply = nextMessage(app);
+    await app.sendMessage(peer.id, 'quiet');
+    await app.sendMessage(peer.id, 'still there?');
+    simulator.bringUp('NODE_APP');
+    // Queued while the node was down, sent once the client has reconnected
+    assert.equal((await reply).text, 'Echo: still there?');
+    assert.equal(app.state.connectionState, ConnectionState.CONNECTED);
+  } finally {
+    app.reset();
+    bot.stop();
+    await simulator.close();
+  }
+});
+
+test('TCP clients speak the fusion node line protocol', async () => {
+  const simulator = createRelaySimulator({ nodes: ['NODE_A'] });
+  const { tcpPort } = await simulator.listen({ port: 0, tcpPort: 0, host: '127.0.0.1' });
+  const local = simulator.createTransport('NODE_A');
+  const socket = connect({ host: '127.0.0.1', port: tcpPort });
+  try {
+    await local.connect();
+    const lines = [];
+    let waiting = null;
+    let pending = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      pending += chunk;
+      const parts = pending.split('\n');
+      pending = parts.pop();
+      lines.push(...parts.map(line => JSON.parse(line)));
+      waiting?.();
+    });
+    const nextLine = async () => {
+      while (lines.length === 0) await new Promise(resolve => { waiting = resolve; });
+      return lines.shift();
+    };
+
+    socket.write(`${JSON.stringify({ type: 'HANDSHAKE', client: 'test', node_id: 'NODE_TCP' })}\n`);
+    assert.deepEqual(await nextLine(), { type: 'HANDSHAKE_RESPONSE', node_id: 'NODE_TCP' });
+
+    const frame = await testFrame();
+    sendFrame(local, 'NODE_TCP', frame, { source: 'NODE_A' });
+    const line = await nextLine();
+    assert.equal(line.type, 'FRAME');
+    const bytes = new Uint8Array(Buffer.from(line.data, 'base64'));
+    assert.equal(readFrame(bytes).route.destination, 'NODE_TCP');
+
+    const arrival = nextFrame(local);
+    const back = sendFrame({ send: () => true }, 'NODE_A', frame, { source: 'NODE_TCP' });
+    socket.write(`${JSON.stringify({ type: 'FRAME', data: Buffer.from(back).toString('base64') })}\n`);
+    assert.deepEqual(readFrame(await arrival).route.hops.map(hop => hop.nodeId), ['NODE_TCP', 'NODE_A']);
+  } finally {
+    socket.destroy();
+    await simulator.close();
+  }
+});
+
+test('the web transport connects by node path and gets frames confirmed', async () => {
+  const simulator = createRelaySimulator({ nodes: ['NODE_A'] });
+  const { port } = await simulator.listen({ port: 0, tcpPort: null, host: '127.0.0.1' });
+  const web = createWebSocketTransport({ url: `ws://127.0.0.1:${port}/NODE_WEB`, createSocket: createNodeWebSocket });
+  const local = simulator.createTransport('NODE_A');
+  try {
+    const announced = new Promise(resolve => web.on('node', resolve));
+    await web.connect();
+    await local.connect();
+    assert.equal(web.state, TransportState.CONNECTED);
+    assert.equal(await announced, 'NODE_WEB');
+
+    const frame = await testFrame();
+    const relayed = new Promise(resolve => web.on('relayed', resolve));
+    let arrival = nextFrame(local);
+    const bytes = sendFrame(web, 'NODE_A', frame, { source: 'NODE_WEB' });
+    assert.equal(await relayed, bytes);
+    assert.equal(readFrame(await arrival).route.source, 'NODE_WEB');
+
+    arrival = nextFrame(web);
+    sendFrame(local, 'NODE_WEB', frame, { source: 'NODE_A' });
+    assert.deepEqual(readFrame(await arrival).route.hops.map(hop => hop.nodeId), ['NODE_A', 'NODE_WEB']);
+  } finally {
+    web.close();
+    await simulator.close();
+  }
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  Screen,
+  canTransition,
+  resolveScreen,
+  routeFor,
+  parseRoute
+} from '../../../../../main/java/com/example/mine/ui/screens/screenMachine.js';
+
+const FRESH = {
+  connectionType: null,
+  hasSelectedNode: false,
+  connected: false,
+  hasKeyPair: false,
+  hasPeerInfo: false,
+  hasPeers: false,
+  hasActiveChat: false
+};
+
+test('only declared transitions are allowed', () => {
+  assert.equal(canTransition(Screen.START, Screen.CONNECTION_TYPE), true);
+  assert.equal(canTransition(Screen.CHECKING_CONNECTION, Screen.CHAT), true);
+  assert.equal(canTransition(Screen.QR_GENERATION, Screen.QR_GENERATION), true);
+  assert.equal(canTransition(Screen.CHAT, Screen.PROOF), true);
+  assert.equal(canTransition(Screen.CONVERSATIONS, Screen.PROOF), false);
+  assert.equal(canTransition(Screen.CONVERSATIONS, Screen.STATS), true);
+  assert.equal(canTransition(Screen.START, Screen.CHAT), false);
+  assert.equal(canTransition(Screen.HISTORY, Screen.CHECKING_CONNECTION), false);
+  assert.equal(canTransition(Screen.START, 'settings'), false);
+});
+
+test('guards fall back to the deepest screen the state allows', () => {
+  // A refresh loses the session: a chat link ends up where the state still holds
+  assert.equal(resolveScreen(Screen.CHAT, FRESH), Screen.CONNECTION_TYPE);
+  assert.equal(resolveScreen(Screen.CHAT, { ...FRESH, connectionType: 'wifi' }), Screen.DEVICE_LIST);
+  assert.equal(resolveScreen(Screen.CHAT, {
+    ...FRESH,
+    connectionType: 'wifi',
+    hasSelectedNode: true,
+    connected: true,
+    hasKeyPair: true
+  }), Screen.QR_GENERATION);
+
+  assert.equal(resolveScreen(Screen.CHAT, { ...FRESH, hasActiveChat: true }), Screen.CHAT);
+  assert.equal(resolveScreen(Screen.PROOF, { ...FRESH, hasActiveChat: true }), Screen.PROOF);
+  assert.equal(resolveScreen(Screen.HISTORY, FRESH), Screen.HISTORY);
+  assert.equal(resolveScreen(Screen.STATS, FRESH), Screen.STATS);
+  assert.equal(resolveScreen('no-such-screen', FRESH), Screen.START);
+});
+
+test('routes round-trip through the URL hash', () => {
+  assert.equal(routeFor(Screen.START), '#/');
+  assert.equal(routeFor(Screen.DEVICE_LIST, { type: 'wifi' }), '#/devices?type=wifi');
+  assert.equal(routeFor(Screen.CHAT, { peer: null }), '#/chat');
+  assert.deepEqual(parseRoute('#/devices?type=wifi'), { screen: Screen.DEVICE_LIST, params: { type: 'wifi' } });
+  assert.deepEqual(parseRoute(''), { screen: Screen.START, params: {} });
+  assert.deepEqual(parseRoute('#/nowhere'), { screen: Screen.START, params: {} });
+
+  const payload = '{"pk":"MCow+BQY/K2Vu=","fusion_node":"NODE_A"}';
+  assert.equal(parseRoute(routeFor(Screen.QR_GENERATION, { payload })).params.payload, payload);
+  // Hand-written links with a raw '+' keep it
+  assert.equal(parseRoute('#/pair?payload=ab+cd').params.payload, 'ab+cd');
+});
@@ -0,0 +1,270 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPair } from '../../../../../main/java/com/example/mine/crypto/keys.js';
+import { FrameType } from '../../../../../main/java/com/example/mine/crypto/frame.js';
+import {
+  establishSession,
+  createFrame,
+  decryptFrame,
+  needsRekey,
+  MAX_MESSAGES_PER_SESSION,
+  MAX_SESSION_AGE_MS
+} from '../../../../../main/java/com/example/mine/crypto/session.js';
+import { createReplayWindow, ReplayVerdict } from '../../../../../main/java/com/example/mine/crypto/replayWindow.js';
+import { createRekeyController } from '../../../../../main/java/com/example/mine/crypto/rekey.js';
+import { computeSafetyNumber, computeFingerprint } from '../../../../../main/java/com/example/mine/crypto/safetyNumber.js';
+
+const pair = async () => {
+  const keysA = await generateKeyPair();
+  const keysB = await generateKeyPair();
+  return [
+    await establishSession(keysA, keysB.publicKeyBase64),
+    await establishSession(keysB, keysA.publicKeyBase64)
+  ];
+};
+
+const nonce = (value) => Uint8Array.of(value);
+
+test('replay window mirrors ReplayWindow.checkAndAdd', () => {
+  const window = createReplayWindow(4);
+  assert.equal(window.checkAndAdd(1, nonce(1)), ReplayVerdict.ACCEPTED);
+  assert.equal(window.checkAndAdd(3, nonce(3)), ReplayVerdict.ACCEPTED);
+  // Out of order but inside the window is fine
+  assert.equal(window.checkAndAdd(2, nonce(2)), ReplayVerdict.ACCEPTED);
+  assert.equal(window.checkAndAdd(2, nonce(2)), ReplayVerdict.DUPLICATE);
+  assert.equal(window.checkAndAdd(2, nonce(9)), ReplayVerdict.REPLAY);
+
+  assert.equal(window.checkAndAdd(6, nonce(6)), ReplayVerdict.ACCEPTED);
+  assert.equal(window.highestSequence, 6);
+  assert.equal(window.checkAndAdd(2, nonce(2)), ReplayVerdict.OUT_OF_WINDOW);
+  assert.equal(window.checkAndAdd(4, nonce(4)), ReplayVerdict.ACCEPTED);
+});
+
+test('frames carry increasing sequence numbers and are accepted once', async () => {
+  const [sessionA, sessionB] = await pair();
+  const first = await createFrame(sessionA, 'one');
+  const second = await createFrame(sessionA, 'two');
+  assert.deepEqual([first.sequence, second.sequence], [1, 2]);
+
+  // Out of order delivery inside the window is accepted
+  assert.equal(await decryptFrame(sessionB, second), 'two');
+  assert.equal(await decryptFrame(sessionB, first), 'one');
+
+  assert.equal(await decryptFrame(sessionB, first), null);
+  assert.deepEqual(sessionB.dropped, { duplicates: 1, replays: 0, outOfWindow: 0 });
+});
+
+test('stale frames are dropped as out-of-window', async () => {
+  const [sessionA, sessionB] = await pair();
+  const stale = await createFrame(sessionA, 'stale');
+  for (let i = 0; i < 64; i++) {
+    await createFrame(sessionA, 'filler');
+  }
+  assert.equal(await decryptFrame(sessionB, await createFrame(sessionA, 'latest')), 'latest');
+
+  assert.equal(await decryptFrame(sessionB, stale), null);
+  assert.equal(sessionB.dropped.outOfWindow, 1);
+});
+
+test('the sequence number is authenticated', async () => {
+  const [sessionA, sessionB] = await pair();
+  const frame = await createFrame(sessionA, 'hello');
+
+  // Rewriting the sequence to slip past the window breaks the tag
+  assert.equal(await decryptFrame(sessionB, { ...frame, sequence: 7 }), null);
+  assert.equal(sessionB.replayWindow.highestSequence, -1);
+  assert.equal(await decryptFrame(sessionB, frame), 'hello');
+});
+
+test('frames decrypt with the AAD layout of SessionManager.createSimpleAAD', async () => {
+  const [sessionA, sessionB] = await pair();
+  const frame = await createFrame(sessionA, 'to the phone');
+
+  // What CryptoManager.decryptWithAAD does on the phone: 12 bytes of AAD, tag appended
+  const aad = new Uint8Array(12);
+  const view = new DataView(aad.buffer);
+  view.setInt32(0, sessionB.id);
+  view.setInt32(4, sessionB.localId);
+  view.setInt32(8, 0);
+  const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: frame.nonce, additionalData: aad },
+    sessionB.rxKey,
+    new Uint8Array([...frame.ciphertext, ...frame.tag])
+  ));
+  // Payload.toByteArray: content type, compressed, original size, then the text
+  assert.equal(new TextDecoder().decode(plaintext.slice(4)), 'to the phone');
+
+  // The nonce ends with the sequence, which is how the sequence is authenticated
+  assert.equal(new DataView(frame.nonce.buffer).getInt32(8), frame.sequence);
+});
+
+// Wires two rekey controllers back to back; frames are delivered in order unless
+// drop(name, frame) loses them on the way from the named side
+const linkedControllers = async (clock, { drop = () => false } = {}) => {
+  const [sessionA, sessionB] = await pair();
+  const queue = [];
+  const rotations = [];
+  const controls = [];
+  const controllers = {};
+  const make = (name, session, peerName) => createRekeyController({
+    session,
+    now: () => clock.time,
+    send: (frame) => {
+      if (!drop(name, frame)) queue.push([peerName, frame]);
+    },
+    onRotate: (next, previous) => rotations.push([name, previous.epoch, next.epoch]),
+    onControl: (sessionId, message) => controls.push([name, message])
+  });
+  controllers.a = make('a', sessionA, 'b');
+  controllers.b = make('b', sessionB, 'a');
+  const deliver = async () => {
+    while (queue.length > 0) {
+      const [to, frame] = queue.shift();
+      await controllers[to].receive(frame);
+    }
+  };
+  return { ...controllers, deliver, rotations, controls, queue };
+};
+
+test('sessions rotate in-band once the message limit is reached', async () => {
+  const clock = { time: Date.now() };
+  const { a, b, deliver, rotations } = await linkedControllers(clock);
+  const oldA = a.session;
+  const oldB = b.session;
+
+  oldA.sendCounter = MAX_MESSAGES_PER_SESSION + 1;
+  const late = await a.createFrame('sent while rotating');
+  await deliver();
+
+  assert.deepEqual(rotations, [['a', 0, 1], ['b', 0, 1]]);
+  assert.equal(a.session.epoch, 1);
+  assert.equal(a.session.id, b.session.id);
+  assert.notEqual(a.session.id, oldA.id);
+
+  // Chat continues on the new keys, and late frames of the old session still decrypt
+  assert.equal(await b.receive(await a.createFrame('after')), 'after');
+  assert.equal(await a.receive(await b.createFrame('reply')), 'reply');
+  assert.equal(await b.receive(late), 'sent while rotating');
+
+  // After the grace period the old keys are gone
+  clock.time += 60 * 1000;
+  await a.tick();
+  await b.tick();
+  assert.equal(oldA.txKey, null);
+  assert.equal(oldB.rxKey, null);
+  assert.equal(oldB.isEstablished, false);
+});
+
+test('sessions older than 24 hours rotate, and simultaneous rekeys settle on one', async () => {
+  const clock = { time: Date.now() };
+  const { a, b, deliver, rotations } = await linkedControllers(clock);
+  assert.equal(needsRekey(a.session, clock.time), false);
+
+  clock.time += MAX_SESSION_AGE_MS + 60 * 1000;
+  await a.tick();
+  await b.tick();
+  await deliver();
+
+  assert.equal(rotations.length, 2);
+  assert.equal(a.session.id, b.session.id);
+  assert.equal(a.isRekeying || b.isRekeying, false);
+  assert.equal(await b.receive(await a.createFrame('fresh keys')), 'fresh keys');
+});
+
+test('both peers see the same safety number, and a different key changes it', async () => {
+  const keysA = await generateKeyPair();
+  const keysB = await generateKeyPair();
+  const keysM = await generateKeyPair();
+
+  const atA = await computeSafetyNumber(keysA.publicKeyBytes, keysB.publicKeyBytes);
+  const atB = await computeSafetyNumber(keysB.publicKeyBytes, keysA.publicKeyBytes);
+  assert.deepEqual(atA, atB);
+  assert.match(atA.digits, /^\d{60}$/);
+  assert.equal(atA.groups.length, 12);
+  assert.equal(atA.emoji.length, 8);
+
+  // Each side's own fingerprint is one half of the number
+  const ownA = await computeFingerprint(keysA.publicKeyBytes);
+  assert.ok(atA.digits.includes(ownA.join('')));
+
+  const intercepted = await computeSafetyNumber(keysA.publicKeyBytes, keysM.publicKeyBytes);
+  assert.notEqual(intercepted.digits, atA.digits);
+});
+
+test('a lost confirm is resent until the responder answers on the new session', async () => {
+  const clock = { time: Date.now() };
+  let rekeyFrames = 0;
+  // A's second REKEY frame is its confirm
+  const { a, b, deliver, rotations, queue } = await linkedControllers(clock, {
+    drop: (name, frame) => name === 'a' && frame.type === FrameType.REKEY && ++rekeyFrames === 2
+  });
+  a.session.sendCounter = MAX_MESSAGES_PER_SESSION + 1;
+  await a.tick();
+  await deliver();
+  assert.deepEqual(rotations, [['a', 0, 1]]);
+  assert.equal(b.isRekeying, true);
+
+  // Nothing is chatted, so only the resent confirm gets B across
+  clock.time += 10 * 1000;
+  await a.tick();
+  await deliver();
+  assert.deepEqual(rotations, [['a', 0, 1], ['b', 0, 1]]);
+  assert.equal(a.session.id, b.session.id);
+
+  // B's answer stops the retries
+  clock.time += 10 * 1000;
+  await a.tick();
+  assert.deepEqual(queue, []);
+});
+
+test('a responder whose initiator vanished gives the new session up', async () => {
+  const clock = { time: Date.now() };
+  const { a, b, rotations, queue } = await linkedControllers(clock);
+  a.session.sendCounter = MAX_MESSAGES_PER_SESSION + 1;
+  await a.tick();
+  // B gets the request; A is gone before the response reaches it
+  const [[, request]] = queue.splice(0);
+  await b.receive(request);
+  assert.equal(b.isRekeying, true);
+
+  clock.time += 60 * 1000;
+  await b.tick();
+  assert.equal(b.isRekeying, false);
+  assert.deepEqual(rotations, []);
+  assert.equal(b.session.epoch, 0);
+});
+
+test('dropped frames neither deliver nor switch a pending rekey', async () => {
+  const clock = { time: Date.now() };
+  const { a, b, rotations, controls, queue } = await linkedControllers(clock);
+  const control = await a.createControlFrame({ type: 'typing' });
+  await b.receive(control);
+  assert.equal(controls.length, 1);
+  queue.splice(0);
+
+  // Aged out rather than counted out, so the control frame stays inside B's window
+  clock.time += MAX_SESSION_AGE_MS + 60 * 1000;
+  await a.tick();
+  // B answers the request; A switches, but its confirm has not reached B yet
+  const [[, request]] = queue.splice(0);
+  await b.receive(request);
+  const [[, response]] = queue.splice(0);
+  await a.receive(response);
+  queue.splice(0);
+  assert.equal(b.isRekeying, true);
+  assert.notEqual(a.session.id, b.session.id);
+
+  // A relayed duplicate is acknowledged again but not delivered twice
+  assert.equal(await b.receive(control), null);
+  assert.deepEqual(queue.splice(0).map(([, frame]) => frame.type), [FrameType.ACK]);
+
+  // Out-of-window frames are dropped before decryption, so a forgery naming the
+  // new session is never checked and must not switch B over
+  const forged = { ...(await a.createFrame('forged')), sequence: -100 };
+  assert.equal(forged.sessionId, a.session.id);
+  assert.equal(await b.receive(forged), null);
+
+  assert.deepEqual(controls, [['b', { type: 'typing' }]]);
+  assert.deepEqual(rotations, [['a', 0, 1]]);
+  assert.equal(b.isRekeying, true);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadSettings,
+  saveSettings,
+  toStoredNode,
+  autoConnectTarget,
+  DEFAULT_SETTINGS,
+  PreferredTransport
+} from '../../../../../main/java/com/example/mine/data/settings.js';
+
+// The slice of the Storage interface the settings use
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    items
+  };
+};
+
+test('settings survive a save and load, including the nodes', () => {
+  const storage = memoryStorage();
+  const node = { id: 'NODE_2B', name: 'Fusion Node 2B', type: 'wifi', url: 'ws://10.0.0.2:18081', signal: 72 };
+  const settings = {
+    ...DEFAULT_SETTINGS,
+    backgroundSync: true,
+    qrExpiryMinutes: 30,
+    preferredTransport: PreferredTransport.WIFI,
+    lastNode: toStoredNode(node),
+    demoMode: true
+  };
+
+  assert.equal(saveSettings(settings, { storage }), true);
+  const loaded = loadSettings({ storage });
+  assert.deepEqual(loaded, settings);
+  assert.deepEqual(loaded.lastNode, { id: 'NODE_2B', name: 'Fusion Node 2B', type: 'wifi', url: 'ws://10.0.0.2:18081', demo: false });
+});
+
+test('invalid or corrupted stored values fall back to the defaults', () => {
+  const storage = memoryStorage();
+  assert.deepEqual(loadSettings({ storage }), DEFAULT_SETTINGS);
+
+  storage.setItem('fusion-node-settings', '{not json');
+  assert.deepEqual(loadSettings({ storage }), DEFAULT_SETTINGS);
+
+  storage.setItem('fusion-node-settings', JSON.stringify({
+    autoConnect: 'yes',
+    qrExpiryMinutes: 7,
+    preferredTransport: 'carrier-pigeon',
+    maxAttachmentSize: -1,
+    demoMode: 'on',
+    defaultNode: { id: 'X', type: 'serial' },
+    backgroundSync: true
+  }));
+  assert.deepEqual(loadSettings({ storage }), { ...DEFAULT_SETTINGS, backgroundSync: true });
+  assert.deepEqual(loadSettings({ storage: null }), DEFAULT_SETTINGS);
+  assert.equal(saveSettings(DEFAULT_SETTINGS, { storage: null }), false);
+});
+
+test('auto-connect prefers the default node over the last one', () => {
+  const lastNode = toStoredNode({ id: 'LAST', type: 'bluetooth' });
+  const defaultNode = toStoredNode({ id: 'HOME', name: 'Home node', type: 'wifi', demo: true });
+
+  assert.equal(autoConnectTarget({ ...DEFAULT_SETTINGS, lastNode }).id, 'LAST');
+  assert.equal(autoConnectTarget({ ...DEFAULT_SETTINGS, lastNode, defaultNode }).id, 'HOME');
+  assert.equal(autoConnectTarget({ ...DEFAULT_SETTINGS, lastNode, autoConnect: false }), null);
+  assert.equal(autoConnectTarget(DEFAULT_SETTINGS), null);
+});
@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TransportState, sendFrame, readFrame } from '../../../../../main/java/com/example/mine/network/transport.js';
+import { createLoopbackPair } from '../../../../../main/java/com/example/mine/network/loopbackTransport.js';
+import { chunkSizeForMtu } from '../../../../../main/java/com/example/mine/network/bluetoothTransport.js';
+import { generateKeyPair } from '../../../../../main/java/com/example/mine/crypto/keys.js';
+import {
+  establishSession,
+  createFrame,
+  decryptFrame,
+  createHandshakeFrame,
+  readHandshakeFrame
+} from '../../../../../main/java/com/example/mine/crypto/session.js';
+import {
+  relayRoutedPayload,
+  describeRoute,
+  encodeRoutedPayload,
+  RouteVerdict
+} from '../../../../../main/java/com/example/mine/crypto/routingInfo.js';
+import { serializeFrame } from '../../../../../main/java/com/example/mine/crypto/frame.js';
+
+const nextFrame = (transport) => new Promise(resolve => {
+  const off = transport.on('frame', (bytes) => {
+    off();
+    resolve(bytes);
+  });
+});
+
+test('loopback delivers bytes in both directions once both ends are connected', async () => {
+  const [a, b] = createLoopbackPair();
+  assert.equal(a.send(Uint8Array.of(1)), false);
+
+  await a.connect();
+  await b.connect();
+  assert.equal(a.state, TransportState.CONNECTED);
+
+  const atB = nextFrame(b);
+  assert.equal(a.send(Uint8Array.of(1, 2, 3)), true);
+  assert.deepEqual(await atB, Uint8Array.of(1, 2, 3));
+
+  const atA = nextFrame(a);
+  b.send(Uint8Array.of(4));
+  assert.deepEqual(await atA, Uint8Array.of(4));
+});
+
+test('closing one end disconnects the other', async () => {
+  const [a, b] = createLoopbackPair();
+  await a.connect();
+  await b.connect();
+
+  const states = [];
+  b.on('state', (state) => states.push(state));
+  a.close();
+
+  assert.equal(a.state, TransportState.CLOSED);
+  assert.deepEqual(states, [TransportState.DISCONNECTED]);
+  assert.equal(b.send(Uint8Array.of(1)), false);
+});
+
+test('two clients pair and chat over a loopback link', async () => {
+  const [linkA, linkB] = createLoopbackPair();
+  await linkA.connect();
+  await linkB.connect();
+  const keysA = await generateKeyPair();
+  const keysB = await generateKeyPair();
+
+  // Handshake: A announces its pairing payload, B reads it
+  const handshakeAtB = nextFrame(linkB);
+  sendFrame(linkA, 'NODE_B', await createHandshakeFrame(keysA, 'NODE_A'));
+  const received = readFrame(await handshakeAtB);
+  assert.equal(received.fusionId, 'NODE_B');
+  const peerOfB = readHandshakeFrame(received.frame);
+  assert.equal(peerOfB.publicKey, keysA.publicKeyBase64);
+  assert.equal(peerOfB.fusionNode, 'NODE_A');
+
+  const sessionA = await establishSession(keysA, keysB.publicKeyBase64);
+  const sessionB = await establishSession(keysB, peerOfB.publicKey);
+
+  const messageAtB = nextFrame(linkB);
+  sendFrame(linkA, 'NODE_B', await createFrame(sessionA, 'hello over the fusion node'));
+  const { frame } = readFrame(await messageAtB);
+  assert.equal(frame.sequence, 1);
+  assert.equal(await decryptFrame(sessionB, frame), 'hello over the fusion node');
+
+  // A cannot decrypt its own frame: keys are per direction
+  assert.equal(await decryptFrame(sessionA, frame), null);
+});
+
+test('routed frames record their hops and lose one TTL per relay', async () => {
+  const keys = await generateKeyPair();
+  const sessionA = await establishSession(keys, (await generateKeyPair()).publicKeyBase64);
+  const frame = await createFrame(sessionA, 'over two relays');
+
+  const sent = [];
+  const link = { send: (bytes) => sent.push(bytes) > 0 };
+  const bytes = sendFrame(link, 'NODE_B', frame, { source: 'NODE_A' });
+  assert.equal(sent[0], bytes);
+
+  const sentAt = readFrame(bytes).route.sentAt;
+  let relayed = bytes;
+  ['NODE_A', 'RELAY_01', 'NODE_B'].forEach((nodeId, i) => {
+    relayed = relayRoutedPayload(relayed, nodeId, sentAt + (i + 1) * 100).bytes;
+  });
+
+  const received = readFrame(relayed);
+  assert.equal(received.fusionId, 'NODE_B');
+  assert.equal(received.frame.ttl, frame.ttl - 3);
+  assert.equal(received.route.source, 'NODE_A');
+  assert.deepEqual(describeRoute(received.route, sentAt + 450), {
+    source: 'NODE_A',
+    destination: 'NODE_B',
+    nodes: ['NODE_A', 'RELAY_01', 'NODE_B'],
+    legs: [100, 100, 100, 150],
+    totalMs: 450
+  });
+});
+
+test('frames with an expired TTL or a routing loop are rejected', async () => {
+  const keys = await generateKeyPair();
+  const session = await establishSession(keys, (await generateKeyPair()).publicKeyBase64);
+  const frame = await createFrame(session, 'short-lived');
+  const route = { source: 'NODE_A', destination: 'NODE_B', sentAt: 0 };
+
+  const lastHop = encodeRoutedPayload(route, serializeFrame({ ...frame, ttl: 1 }));
+  assert.deepEqual(relayRoutedPayload(lastHop, 'RELAY_01'), { verdict: RouteVerdict.EXPIRED, bytes: null });
+  assert.equal(readFrame(encodeRoutedPayload(route, serializeFrame({ ...frame, ttl: 0 }))), null);
+
+  const looped = encodeRoutedPayload(
+    { ...route, hops: [{ nodeId: 'NODE_A', at: 1 }, { nodeId: 'RELAY_01', at: 2 }] },
+    serializeFrame(frame)
+  );
+  assert.deepEqual(relayRoutedPayload(looped, 'NODE_A'), { verdict: RouteVerdict.LOOP, bytes: null });
+  const forged = encodeRoutedPayload(
+    { ...route, hops: [{ nodeId: 'NODE_A', at: 1 }, { nodeId: 'NODE_A', at: 2 }] },
+    serializeFrame(frame)
+  );
+  assert.equal(readFrame(forged), null);
+});
+
+test('Bluetooth writes stay within one attribute value whatever the MTU', () => {
+  assert.equal(chunkSizeForMtu(23), 20);
+  assert.equal(chunkSizeForMtu(185), 182);
+  assert.equal(chunkSizeForMtu(515), 512);
+  assert.equal(chunkSizeForMtu(517), 512);
+  // Nonsense from the status characteristic falls back to the default
+  assert.equal(chunkSizeForMtu(2), 20);
+  assert.equal(chunkSizeForMtu(undefined), 20);
+});
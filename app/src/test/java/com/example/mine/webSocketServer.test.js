@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect } from 'node:net';
+import { once } from 'node:events';
+import { createWebSocketServer, CloseCode } from '../../../../../main/java/com/example/mine/network/webSocketServer.js';
+
+// A raw client: the upgrade request and masked frames written by hand
+const clientFrame = (opcode, payload, { fin = true } = {}) => {
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const length = payload.length;
+  const header = length < 126
+    ? Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | length])
+    : Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | 126, length >> 8, length & 0xff]);
+  return Buffer.concat([header, mask, Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]))]);
+};
+
+const openClient = async (port) => {
+  const socket = connect({ host: '127.0.0.1', port });
+  await once(socket, 'connect');
+  socket.write([
+    'GET / HTTP/1.1',
+    'Host: localhost',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+    'Sec-WebSocket-Version: 13',
+    '',
+    ''
+  ].join('\r\n'));
+  let received = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    received = Buffer.concat([received, chunk]);
+  });
+  const ended = once(socket, 'close');
+  // Frames go out only after the 101 response, as from a real client
+  while (!received.includes('\r\n\r\n')) await once(socket, 'data');
+  return {
+    socket,
+    ended,
+    // What the server sent after its 101 response
+    frames: () => received.subarray(received.indexOf('\r\n\r\n') + 4)
+  };
+};
+
+const startServer = async (onConnection) => {
+  const server = createWebSocketServer({ port: 0, host: '127.0.0.1', onConnection });
+  await once(server, 'listening');
+  return server;
+};
+
+test('fragments are put back together into one message', async () => {
+  const messages = [];
+  const server = await startServer(connection => connection.on('message', (data) => messages.push(data)));
+  const client = await openClient(server.address().port);
+  try {
+    client.socket.write(clientFrame(0x1, Buffer.from('Hello, '), { fin: false }));
+    client.socket.write(clientFrame(0x0, Buffer.from('node')));
+    while (messages.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+    assert.deepEqual(messages, ['Hello, node']);
+  } finally {
+    client.socket.destroy();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('a message that outgrows the limit fragment by fragment is closed with 1009', async () => {
+  const messages = [];
+  const server = await startServer(connection => connection.on('message', (data) => messages.push(data)));
+  const client = await openClient(server.address().port);
+  try {
+    const fragment = Buffer.alloc(60000, 0x61);
+    client.socket.write(clientFrame(0x2, fragment, { fin: false }));
+    // Each fragment is small; together they pass the 1 MB limit
+    for (let i = 0; i < 20 && !client.socket.destroyed; i++) {
+      client.socket.write(clientFrame(0x0, fragment, { fin: false }));
+    }
+    await client.ended;
+    assert.deepEqual([...client.frames()], [0x88, 2, CloseCode.MESSAGE_TOO_BIG >> 8, CloseCode.MESSAGE_TOO_BIG & 0xff]);
+    assert.deepEqual(messages, []);
+  } finally {
+    client.socket.destroy();
+    await new Promise(resolve => server.close(resolve));
+  }
+});